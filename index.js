@@ -22,11 +22,54 @@
 
 const
   BigQuery = require('@google-cloud/bigquery'),
+  crypto = require('crypto'),
+  fs = require('fs'),
+  path = require('path'),
   debug = require('debug')('kuzzle:kdc:bigQuery'),
   Bluebird = require('bluebird'),
-  Promise = Bluebird;
+  Promise = Bluebird,
+  BatchBuffer = require('./lib/batchBuffer'),
+  Spool = require('./lib/spool'),
+  LoadQueue = require('./lib/loadQueue'),
+  LocalClient = require('./lib/localClient'),
+  aggregates = require('./lib/aggregate'),
+  Stats = require('./lib/stats'),
+  schemaUtils = require('./lib/schema'),
+  flatten = require('./lib/flatten'),
+  tableOptions = require('./lib/tableOptions'),
+  timestamps = require('./lib/timestamp'),
+  transforms = require('./lib/transform'),
+  rules = require('./lib/rules'),
+  kuzzleEvents = require('./lib/events'),
+  templates = require('./lib/template'),
+  tableIds = require('./lib/tableId'),
+  LRU = require('./lib/lru'),
+  metrics = require('./lib/metrics'),
+  Backfill = require('./lib/backfill'),
+  configuration = require('./lib/configuration'),
+  credentialsUtils = require('./lib/credentials'),
+  retryWithBackoff = require('./lib/retry').retryWithBackoff;
+
+const
+  defaultProbePluginName = 'kuzzle-enterprise-probe',
+  defaultMaxBatchSize = 500,
+  defaultFlushInterval = 1000,
+  defaultSpoolFile = 'kdc-bigquery-connector-spool.ndjson',
+  defaultRejectedFile = 'kdc-bigquery-connector-rejected.ndjson',
+  defaultLoadDirectory = 'kdc-bigquery-connector-load',
+  defaultSinkDirectory = 'kdc-bigquery-connector-sink',
+  defaultLocalProjectId = 'local',
+  defaultTimestampColumn = 'timestamp',
+  defaultTableCacheSize = 1000,
+  defaultBackfillIndex = 'measures',
+  defaultShutdownTimeout = 10000,
+  defaultKeyFileWatchInterval = 5000,
+  probesCollection = 'probes',
+  maxStoredProbes = 1000;
 
 /**
+ * @typedef {{probeName: string, probe: ProbeConfiguration, row: object, insertId: string}} BufferedRow The probe is the configuration the row was built with
+ * @typedef {{probeName: string, row: object, insertId: string, errors: object[]}} RejectedRow
  * @typedef {{name: string, type: string, mode: string}} BigQueryField
  * @typedef {{fields: BigQueryField[]}} BigQuerySchema
  * @typedef {{tableName: string}|object} ProbeConfiguration
@@ -39,150 +82,1952 @@ const
  * @class BigQueryConnector
  * @property {KuzzlePluginContext} context
  * @property {object<string,ProbeConfiguration>} probes
+ * @property {Repository} repository The probes added, updated or removed at runtime
+ * @property {Promise} probeChanges The runtime probe changes, applied one at a time
+ * @property {string} sink Where the rows are sent: "bigquery", or "dry-run" and "file" for development and testing
+ * @property {CredentialsSource} credentials Where the credentials of the BigQuery clients come from
+ * @property {object<string,BatchBuffer>} buffers
+ * @property {Set<{tableName: string, entries: BufferedRow[], promise: Promise}>} batches The batches being sent
+ * @property {Spool} spool
+ * @property {LoadQueue} loadQueue Files of rows sent with load jobs, for the probes in "load" ingestion mode
+ * @property {Stats} stats
+ * @property {object<string,Metric>} metrics Prometheus metrics, and their registry
+ * @property {object<string,object<number,AggregateWindow>>} windows The open aggregate windows of each probe, by window start
+ * @property {object<string,BackfillProgress>} backfills Progress of the last backfill of each probe
+ * @property {object<string,BigQuerySchema>} schemas Known table schemas
+ * @property {object<string,string>} lazyTables Tables to create from the first measure, with the name of their probe
+ * @property {LRU} knownTables Most recently resolved table names, with the name of their probe
  */
 class BigQueryConnector {
-  constructor() {
+  /**
+   * @param {function(object): BigQuery} [createBigQuery] Creates a BigQuery client from its options.
+   */
+  constructor(createBigQuery) {
+    this.createBigQuery = createBigQuery || (options => new BigQuery(options));
     this.hooks = {};
+    this.pipes = {
+      'kuzzle:shutdown': 'shutdown'
+    };
+    this.controllers = {
+      connector: {
+        status: 'getStatus',
+        stats: 'getStats',
+        flush: 'flushBuffers',
+        replay: 'replaySpool',
+        recreateTable: 'recreateTable',
+        metrics: 'getMetrics',
+        backfill: 'startBackfill',
+        addProbe: 'addProbe',
+        updateProbe: 'updateProbe',
+        removeProbe: 'removeProbe'
+      }
+    };
+    this.routes = [
+      {verb: 'get', url: '/status', controller: 'connector', action: 'status'},
+      {verb: 'get', url: '/stats', controller: 'connector', action: 'stats'},
+      {verb: 'post', url: '/flush', controller: 'connector', action: 'flush'},
+      {verb: 'post', url: '/spool/_replay', controller: 'connector', action: 'replay'},
+      {verb: 'post', url: '/probes/:probeName/_recreateTable', controller: 'connector', action: 'recreateTable'},
+      {verb: 'get', url: '/metrics', controller: 'connector', action: 'metrics'},
+      {verb: 'post', url: '/probes/:probeName/_backfill', controller: 'connector', action: 'backfill'},
+      {verb: 'post', url: '/probes/:probeName', controller: 'connector', action: 'addProbe'},
+      {verb: 'put', url: '/probes/:probeName', controller: 'connector', action: 'updateProbe'},
+      {verb: 'delete', url: '/probes/:probeName', controller: 'connector', action: 'removeProbe'}
+    ];
     this.probes = {};
+    this.repository = null;
+    this.probeChanges = Promise.resolve();
+    this.projectId = null;
     this.dataSet = null;
+    this.sink = 'bigquery';
+    this.sinkDirectory = path.resolve(defaultSinkDirectory);
+    this.credentials = null;
+    this.keyFileWatcher = null;
+    this.clientOptions = {};
+    this.clients = {};
+    this.buffers = {};
+    this.batches = new Set();
+    this.shutdownTimeout = defaultShutdownTimeout;
+    this.batch = {
+      maxBatchSize: defaultMaxBatchSize,
+      flushInterval: defaultFlushInterval
+    };
+    this.retry = {};
+    this.spool = new Spool(path.resolve(defaultSpoolFile));
+    // rejected rows would be rejected again: they are kept apart, and never replayed
+    this.rejectedSpool = new Spool(path.resolve(defaultRejectedFile));
+    this.rejectedRowsHandler = 'spool';
+    this.loadQueue = this.createLoadQueue(path.resolve(defaultLoadDirectory), {});
+    this.stats = new Stats();
+    this.metrics = createMetrics();
+    this.backfillOptions = {
+      index: defaultBackfillIndex,
+      timestampField: 'timestamp',
+      pageSize: defaultMaxBatchSize
+    };
+    this.backfills = {};
+    this.windows = {};
+    // identify the aggregated rows of this process, as every Kuzzle node
+    // closes its own windows
+    this.processId = crypto.randomBytes(8).toString('hex');
+    this.closedWindows = 0;
+    this.schemas = {};
+    this.schemaUpdates = {};
+    this.schemaDriftPolicy = 'warn';
+    this.schemaDrifts = {};
+    this.lazyTables = {};
+    this.knownTables = new LRU(defaultTableCacheSize);
+    this.tableCreations = {};
+    this.timestamp = {
+      column: defaultTimestampColumn,
+      precision: 'seconds'
+    };
+  }
+
+  /**
+   * @param {object} customConfig
+   * @param {KuzzlePluginContext} context
+   */
+  init(customConfig, context) {
+    this.context = context;
+
+    [].concat(customConfig.probePluginName || defaultProbePluginName).forEach(probePluginName => {
+      this.hooks[`plugin-${probePluginName}:receivedMeasure`] = 'saveMeasure';
+    });
+
+    const configErrors = configuration.validateConfig(customConfig);
+
+    if (configErrors.length > 0) {
+      throw new this.context.errors.PreconditionError(`kdc-bigquery-connector: Invalid configuration (${configErrors.length} error${configErrors.length > 1 ? 's' : ''}):\n  - ${configErrors.join('\n  - ')}`);
+    }
+
+    if (customConfig.sink) {
+      this.sink = customConfig.sink;
+    }
+
+    this.projectId = customConfig.projectId || defaultLocalProjectId;
+    this.clientOptions = {
+      projectId: this.projectId,
+      promise: Bluebird
+    };
+
+    if (this.sink === 'bigquery') {
+      try {
+        this.credentials = credentialsUtils.resolveCredentials(customConfig, process.env);
+      }
+      catch (error) {
+        throw new this.context.errors.PreconditionError(`kdc-bigquery-connector: ${error.message}`);
+      }
+
+      if (this.credentials.credentials) {
+        this.clientOptions.credentials = this.credentials.credentials;
+      }
+
+      this.context.log.info(`Connecting to BigQuery with ${credentialsUtils.describeCredentials(this.credentials)}`);
+
+      if (this.credentials.type === 'keyFilename') {
+        this.watchKeyFile(customConfig.keyFileWatchInterval || defaultKeyFileWatchInterval);
+      }
+    }
+    else if (this.sink === 'file') {
+      this.sinkDirectory = path.resolve(customConfig.sinkDirectory || defaultSinkDirectory);
+      this.context.log.warn(`Rows are not sent to BigQuery: they are written to ${this.sinkDirectory}`);
+    }
+    else {
+      this.context.log.warn('Rows are not sent to BigQuery: dry run, they are checked and logged');
+    }
+
+    this.bigQuery = this.createClient(this.clientOptions);
+
+    this.dataSet = customConfig.dataSet;
+    this.probes = customConfig.probes;
+
+    if (customConfig.maxBatchSize) {
+      this.batch.maxBatchSize = customConfig.maxBatchSize;
+    }
+
+    if (customConfig.flushInterval) {
+      this.batch.flushInterval = customConfig.flushInterval;
+    }
+
+    if (customConfig.shutdownTimeout) {
+      this.shutdownTimeout = customConfig.shutdownTimeout;
+    }
+
+    if (customConfig.retry) {
+      this.retry = customConfig.retry;
+    }
+
+    if (customConfig.backfill) {
+      Object.assign(this.backfillOptions, customConfig.backfill);
+    }
+
+    if (customConfig.tableCacheSize) {
+      this.knownTables = new LRU(customConfig.tableCacheSize);
+    }
+
+    const spoolConfig = customConfig.spool || {};
+    if (spoolConfig.path) {
+      this.spool = new Spool(path.resolve(spoolConfig.path));
+    }
+
+    if (spoolConfig.rejectedPath) {
+      this.rejectedSpool = new Spool(path.resolve(spoolConfig.rejectedPath));
+    }
+
+    const loadConfig = customConfig.load || {};
+    this.loadQueue = this.createLoadQueue(path.resolve(loadConfig.directory || defaultLoadDirectory), loadConfig);
+
+    if (customConfig.rejectedRowsHandler) {
+      this.rejectedRowsHandler = customConfig.rejectedRowsHandler;
+    }
+
+    if (customConfig.timestampColumn) {
+      this.timestamp.column = customConfig.timestampColumn;
+    }
+
+    if (customConfig.timestampPrecision) {
+      this.timestamp.precision = customConfig.timestampPrecision;
+    }
+
+    if (customConfig.schemaDriftPolicy) {
+      this.schemaDriftPolicy = customConfig.schemaDriftPolicy;
+    }
+
+    return this.loadStoredProbes()
+      .then(() => this.listenEvents())
+      .then(() => Promise.all(Object.keys(this.probes).map(probeName => this.createTableIfNotExists(this.probes[probeName], probeName))))
+      .then(() => {
+        if (spoolConfig.replayOnInit) {
+          // do not delay the plugin initialization
+          this.replaySpool()
+            .catch(err => {
+              this.context.log.error(`Unable to replay the spool: ${err.message}`);
+            });
+        }
+
+        if (Object.keys(this.probes).some(probeName => this.probes[probeName].ingestionMode === 'load')) {
+          // files left by a previous run, or that could not be loaded
+          this.loadQueue.recover()
+            .catch(err => {
+              this.context.log.error(`Unable to recover the files to load: ${err.message}`);
+            });
+        }
+      });
+  }
+
+  /**
+   * Applies the probe changes made at runtime, stored in the plugin storage,
+   * to the probes of the configuration.
+   *
+   * @return {Promise}
+   */
+  loadStoredProbes() {
+    const collections = {};
+
+    // configurations are stored as is, without being indexed
+    collections[probesCollection] = {properties: {configuration: {type: 'object', enabled: false}}};
+
+    return this.context.accessors.storage.bootstrap(collections)
+      .then(() => {
+        this.repository = new this.context.constructors.Repository(probesCollection);
+
+        return this.repository.search({query: {match_all: {}}}, {size: maxStoredProbes});
+      })
+      .then(result => {
+        const probes = Object.assign({}, this.probes);
+
+        result.hits.forEach(document => {
+          if (document.configuration === null) {
+            delete probes[document._id];
+            return;
+          }
+
+          const errors = configuration.validateProbeConfig(document._id, document.configuration);
+
+          if (errors.length > 0) {
+            this.context.log.error(`Ignoring the stored configuration of probe ${document._id}: ${errors.join(', ')}`);
+            return;
+          }
+
+          probes[document._id] = document.configuration;
+        });
+
+        this.probes = probes;
+      });
+  }
+
+  /**
+   * Listens to the Kuzzle events of the probes whose source is "events".
+   * Kuzzle registers the hooks once the plugin is initialized: the events
+   * of the probes added or updated at runtime are only listened to if
+   * another probe listens to them already.
+   */
+  listenEvents() {
+    kuzzleEvents.listEvents(this.probes).forEach(event => {
+      this.hooks[event] = 'captureEvent';
+    });
+  }
+
+  /**
+   * Builds the measures of a Kuzzle event, for every probe listening to
+   * it, and saves them like the measures of the probe plugins.
+   *
+   * @param {*} payload
+   * @param {string} event
+   */
+  captureEvent(payload, event) {
+    const probes = this.probes;
+
+    Object.keys(probes)
+      .filter(probeName => kuzzleEvents.getProbeEvents(probes[probeName]).indexOf(event) !== -1)
+      .forEach(probeName => {
+        const measure = kuzzleEvents.buildEventMeasure(probeName, probes[probeName], event, payload);
+
+        if (measure) {
+          this.saveMeasure(measure);
+        }
+      });
+  }
+
+  /**
+   * Creates a table for a given probe (and sets a schema) if it does not exist.
+   * If it does, its schema is compared with the one expected for the probe,
+   * and the drift is handled according to the probe schema drift policy.
+   *
+   * @param {object} probe The probe object (specified in the configuration).
+   * @param {string} probeName The probe Name
+   * @param {object<string,ProbeConfiguration>} [probes] The probes the table name is resolved from, defaults to the current ones.
+   * @return {Promise}
+   */
+  createTableIfNotExists(probe, probeName, probes) {
+    const template = getTableForProbe(probes || this.probes, probeName);
+
+    if (!template) {
+      return Promise.resolve();
+    }
+
+    if (templates.getPlaceholders(template).length > 0) {
+      console.info(`The tables of probe ${probeName} are created from the template ${template} when they receive their first measure.`);
+      return Promise.resolve();
+    }
+
+    const tableName = this.getTableId(probe, template);
+
+    return this.getTable(tableName)
+      .exists()
+      .then(exists => exists[0], () => false)
+      .then(exists => {
+        if (exists) {
+          console.info(`Table ${tableName} exists. Checking its schema.`);
+          return this.checkSchemaDrift(probe, probeName, tableName)
+            .then(() => this.checkTableOptions(probe, probeName, tableName));
+        }
+
+        const schema = getSchemaForProbe(probe, this.getTimestampSettings(probe).column);
+
+        if (!schema) {
+          console.info(`Table ${tableName} does not exist. It will be created from the first measure of probe ${probeName}.`);
+          this.lazyTables[tableName] = probeName;
+          return;
+        }
+
+        console.info(`Table ${tableName} does not exist. Creating.`);
+        return this.getDataset(tableName)
+          .createTable(
+          this.parseTableId(tableName).tableName,
+          tableOptions.buildTableOptions(probe, schema)
+          )
+          .then(() => {
+            this.schemas[tableName] = schema;
+          });
+      })
+      .catch(err => {
+        console.error(`Something went wrong while creating table for probe ${probeName}: ${err && err.message}`);
+        return Promise.reject(err);
+      });
+  }
+
+  /**
+   * Compares the schema of an existing table with the schema expected for a
+   * probe, reports the differences and applies the schema drift policy:
+   *   - "warn": the differences are logged,
+   *   - "fail": the plugin initialization fails,
+   *   - "migrate-additive": the columns missing from the table are added
+   *     (as NULLABLE columns). Other differences are only logged.
+   *
+   * @param {object} probe
+   * @param {string} probeName
+   * @param {string} tableName
+   * @return {Promise}
+   */
+  checkSchemaDrift(probe, probeName, tableName) {
+    const
+      policy = probe.schemaDriftPolicy || this.schemaDriftPolicy,
+      expected = getSchemaForProbe(probe, this.getTimestampSettings(probe).column),
+      table = this.getTable(tableName);
+
+    if (!expected) {
+      // the schema is inferred from the measures: there is nothing to compare with
+      return Promise.resolve();
+    }
+
+    return table.getMetadata()
+      .then(data => {
+        const
+          metadata = data[0],
+          actual = metadata.schema || {fields: []},
+          drift = schemaUtils.diffSchemas(expected, actual);
+
+        this.schemas[tableName] = actual;
+        this.schemaDrifts[probeName] = drift;
+
+        if (drift.missing.length === 0 && drift.added.length === 0 && drift.changed.length === 0) {
+          this.context.log.info(`The schema of table ${tableName} matches the configuration of probe ${probeName}`);
+          return;
+        }
+
+        const report = `the schema of table ${tableName} does not match the configuration of probe ${probeName}: ${formatSchemaDrift(drift)}`;
+
+        if (policy === 'fail') {
+          return Promise.reject(new this.context.errors.PreconditionError(`kdc-bigquery-connector: ${report}`));
+        }
+
+        this.context.log.warn(`Schema drift detected, ${report}`);
+
+        if (policy !== 'migrate-additive' || drift.missing.length === 0) {
+          return;
+        }
+
+        metadata.schema = {fields: schemaUtils.mergeFields(actual.fields || [], expected.fields).fields};
+
+        return table.setMetadata(metadata)
+          .then(() => {
+            this.schemas[tableName] = metadata.schema;
+            this.context.log.info(`Added columns ${drift.missing.join(', ')} to table ${tableName}`);
+          });
+      });
+  }
+
+  /**
+   * Compares the partitioning and clustering settings of an existing table
+   * with the ones configured for its probe. As they cannot be changed once
+   * the table is created, differences are only reported (or make the plugin
+   * initialization fail, with the "fail" schema drift policy).
+   *
+   * @param {object} probe
+   * @param {string} probeName
+   * @param {string} tableName
+   * @return {Promise}
+   */
+  checkTableOptions(probe, probeName, tableName) {
+    const policy = probe.schemaDriftPolicy || this.schemaDriftPolicy;
+
+    return this.getTable(tableName)
+      .getMetadata()
+      .then(data => {
+        const differences = tableOptions.diffTableOptions(tableOptions.buildTableOptions(probe), data[0]);
+
+        if (differences.length === 0) {
+          return;
+        }
+
+        const report = `the partitioning or clustering of table ${tableName} does not match the configuration of probe ${probeName}: ${differences.join('; ')}`;
+
+        if (policy === 'fail') {
+          return Promise.reject(new this.context.errors.PreconditionError(`kdc-bigquery-connector: ${report}`));
+        }
+
+        this.context.log.warn(`Table layout mismatch, ${report}. The table must be recreated to apply the configuration.`);
+      });
+  }
+
+  /**
+   * Saves the measure to BigQuery.
+   *
+   * @param {object} measure
+   * @return {void}
+   */
+  saveMeasure(measure) {
+    // check that the probe that generated the measure is being watched
+    // by this plugin.
+    const tableName = getTableForProbe(this.probes, measure.probeName);
+
+    if (!tableName) {
+      return;
+    }
+
+    this.metrics.measuresReceived.inc({probe: measure.probeName});
+
+    if (this.probes[measure.probeName] && this.probes[measure.probeName].aggregate) {
+      this.aggregateMeasure(measure);
+      return;
+    }
+
+    const tables = this.buildRows(measure);
+
+    Object.keys(tables).forEach(target => {
+      debug(JSON.stringify(tables[target]));
+      this.getBuffer(target).push(tables[target]);
+    });
+  }
+
+  /**
+   * Builds the rows of a measure: they are extracted from the measure,
+   * timestamped, filtered, routed to their table, transformed and given an
+   * insertId.
+   *
+   * @param {object} measure
+   * @return {object<string, BufferedRow[]>} The rows, per table identifier.
+   */
+  buildRows(measure) {
+    const extracted = this.extractRows(measure);
+
+    return this.routeRows(measure, extracted.time, extracted.rows);
+  }
+
+  /**
+   * Extracts the rows of a measure, timestamps them and drops the rows not
+   * matching the filter of the probe.
+   *
+   * @param {object} measure
+   * @return {{time: number, rows: {row: object, index: number}[]}} The measure time, and the rows with their position in the measure.
+   */
+  extractRows(measure) {
+    // extract the rows from the measure and insert them in the table
+    // (add the timestamp if needed)
+    // whose name corresponds with the name of the probe.
+    const data = extractMeasureData(measure.data, this.probes[measure.probeName], column => {
+      this.context.log.warn(`Probe ${measure.probeName}: several attributes of the measure map to the column ${column}, only the first one is kept`);
+    });
+    this.context.log.info(`-----------------------------------------`);
+    this.context.log.info(data);
+    this.context.log.info(`-----------------------------------------`);
+
+    debug(`Received measure from probe ${measure.probeName} (${data.length} rows)`);
+    this.stats.increment(measure.probeName, 'received', data.length);
+
+    const
+      probe = this.probes[measure.probeName],
+      timestampSettings = this.getTimestampSettings(probe),
+      time = getMeasureTime(measure);
+
+    if (data.length === 0) {
+      return {time, rows: []};
+    }
+
+    if (hasTimestampColumn(probe, timestampSettings.column)) {
+      // every row of a measure shares the same timestamp. The documents of
+      // probes whose schema merely declares the column keep their own value
+      const
+        timestamp = timestamps.formatTimestamp(time, timestampSettings.precision),
+        overwrite = addsTimestamp(probe),
+        // the rows of monitors and counters are the measure payload itself:
+        // its timestamp is the one of the measure, stored in the column
+        payloadTimestamp = (probe.type === 'monitor' || probe.type === 'counter') && timestampSettings.column !== 'timestamp';
+
+      data.forEach(row => {
+        if (payloadTimestamp) {
+          delete row.timestamp;
+        }
+
+        if (overwrite || row[timestampSettings.column] === undefined || row[timestampSettings.column] === null) {
+          row[timestampSettings.column] = timestamp;
+        }
+      });
+    }
+
+    const rows = [];
+
+    data.forEach((row, index) => {
+      if (rules.matchesConditions(row, probe && probe.filter)) {
+        rows.push({row, index});
+      }
+    });
+
+    if (rows.length < data.length) {
+      this.stats.increment(measure.probeName, 'filtered', data.length - rows.length);
+      debug(`Filtered out ${data.length - rows.length} rows from probe ${measure.probeName}`);
+    }
+
+    return {time, rows};
+  }
+
+  /**
+   * Routes rows to their table, transforms them and gives them an insertId.
+   *
+   * @param {object} measure
+   * @param {number} time The measure time, in microseconds
+   * @param {{row: object, index: number}[]} rows The rows, with their position in the measure
+   * @return {object<string, BufferedRow[]>} The rows, per table identifier.
+   */
+  routeRows(measure, time, rows) {
+    const
+      probe = this.probes[measure.probeName],
+      timestampSettings = this.getTimestampSettings(probe),
+      routed = {};
+
+    // tables and insertIds are resolved before the transform, from the
+    // columns of the measure
+    rows.forEach(entry => {
+      const
+        row = entry.row,
+        target = this.resolveTable(measure.probeName, row, time);
+
+      const
+        insertId = buildInsertId(measure, probe, time, row, entry.index),
+        transformed = probe && probe.transform
+          ? transforms.applyTransform(row, probe.transform, {timestampPrecision: timestampSettings.precision})
+          : row;
+
+      if (probe && probe.insertIdColumn) {
+        transformed[probe.insertIdColumn] = insertId;
+      }
+
+      routed[target] = routed[target] || [];
+      routed[target].push({probeName: measure.probeName, probe, row: transformed, insertId});
+    });
+
+    return routed;
+  }
+
+  /**
+   * Adds the rows of a measure to the aggregate window of its time. A
+   * window is closed, and its aggregated row buffered, once its end is
+   * reached.
+   *
+   * @param {object} measure
+   */
+  aggregateMeasure(measure) {
+    const
+      aggregate = this.probes[measure.probeName].aggregate,
+      extracted = this.extractRows(measure),
+      start = aggregates.getWindowStart(extracted.time, aggregate.window);
+
+    if (extracted.rows.length === 0) {
+      return;
+    }
+
+    this.windows[measure.probeName] = this.windows[measure.probeName] || {};
+
+    if (!this.windows[measure.probeName][start]) {
+      const window = new aggregates.AggregateWindow(start, aggregate.window);
+
+      window.timer = setTimeout(() => this.closeWindow(measure.probeName, start), Math.max(0, window.end / 1000 - Date.now()));
+      window.timer.unref();
+      this.windows[measure.probeName][start] = window;
+    }
+
+    extracted.rows.forEach(entry => this.windows[measure.probeName][start].add(entry.row));
+  }
+
+  /**
+   * Closes an aggregate window, and buffers its aggregated row. Measures
+   * received for this window afterwards (late measures) are aggregated in
+   * a new row.
+   *
+   * @param {string} probeName
+   * @param {number} start The window start, in microseconds
+   * @return {Promise}
+   */
+  closeWindow(probeName, start) {
+    const window = this.windows[probeName] && this.windows[probeName][start];
+
+    if (!window) {
+      return Promise.resolve();
+    }
+
+    clearTimeout(window.timer);
+    delete this.windows[probeName][start];
+
+    const
+      probe = this.probes[probeName],
+      row = window.toRow(probe.aggregate, this.getTimestampSettings(probe).precision),
+      // the aggregated values may be the same for several nodes, or for a
+      // late row and the row of the window: the insertId is built from the
+      // process and the number of windows it closed, so that such rows are
+      // not dropped as duplicates
+      identity = `${this.processId}:${this.closedWindows++}`,
+      tables = this.routeRows({probeName, _id: identity, data: row}, start, [{row, index: 0}]);
+
+    debug(`Closing the ${probe.aggregate.window}ms window of probe ${probeName} (${window.count} rows aggregated)`);
+
+    return Promise.all(Object.keys(tables).map(target => this.getBuffer(target).push(tables[target])));
+  }
+
+  /**
+   * Closes every aggregate window, including the windows whose end is not
+   * reached yet.
+   *
+   * @return {Promise}
+   */
+  flushWindows() {
+    return Promise.all(Object.keys(this.windows).map(probeName => this.closeWindows(probeName)));
+  }
+
+  /**
+   * Closes the aggregate windows of a probe.
+   *
+   * @param {string} probeName
+   * @return {Promise}
+   */
+  closeWindows(probeName) {
+    return Promise.all(Object.keys(this.windows[probeName] || {}).map(start => this.closeWindow(probeName, Number(start))));
+  }
+
+  /**
+   * Called when Kuzzle shuts down: the partial aggregate windows are
+   * closed, and Kuzzle waits until every buffered row is sent. Rows that
+   * are still buffered or being sent once the shutdown timeout is reached
+   * are written to the dead-letter spool.
+   *
+   * @param {*} payload
+   * @return {Promise<*>} The payload, once the rows are sent or spooled.
+   */
+  shutdown(payload) {
+    this.context.log.info(`Sending the pending rows before shutting down (timeout: ${this.shutdownTimeout}ms)`);
+
+    if (this.keyFileWatcher) {
+      fs.unwatchFile(this.credentials.keyFilename, this.keyFileWatcher);
+      this.keyFileWatcher = null;
+    }
+
+    return this.flushWindows()
+      .then(() => this.flush())
+      .then(() => this.waitForBatches())
+      .timeout(this.shutdownTimeout)
+      .catch(Bluebird.TimeoutError, () => {
+        this.context.log.warn('Shutdown timeout reached, spooling the rows not sent yet');
+        return this.spoolPendingRows();
+      })
+      .catch(err => {
+        this.context.log.error(`Unable to send the pending rows before shutting down: ${err.message}`);
+      })
+      .then(() => payload);
+  }
+
+  /**
+   * @return {Promise} Resolves once no batch is being sent.
+   */
+  waitForBatches() {
+    if (this.batches.size === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(Array.from(this.batches).map(batch => batch.promise))
+      .then(() => this.waitForBatches());
+  }
+
+  /**
+   * Writes the buffered rows, and the rows being sent, to the dead-letter
+   * spool. Rows that end up being inserted anyway are sent again with the
+   * same insertId when the spool is replayed, and dropped by BigQuery.
+   *
+   * @return {Promise}
+   */
+  spoolPendingRows() {
+    const pending = {};
+
+    this.batches.forEach(batch => {
+      pending[batch.tableName] = (pending[batch.tableName] || []).concat(batch.entries);
+    });
+
+    Object.keys(this.buffers).forEach(tableName => {
+      pending[tableName] = (pending[tableName] || []).concat(this.buffers[tableName].clear());
+    });
+
+    return Promise.all(Object.keys(pending)
+      .filter(tableName => pending[tableName].length > 0)
+      .map(tableName => {
+        const entries = pending[tableName];
+
+        this.context.log.warn(`Spooling ${entries.length} rows for table ${tableName}`);
+
+        return this.spool.write(tableName, entries.map(entry => entry.row), 'Not sent before Kuzzle shut down', entries.map(entry => entry.insertId));
+      }));
+  }
+
+  /**
+   * Resolves the table a row is sent to: the table of the first route of
+   * its probe whose conditions are matched by the row, or else the table of
+   * the probe. The placeholders of the table name are replaced with the
+   * probe name (`{probe}`), the measure date (`{YYYYMMDD}`, ...) or the
+   * values of the row (`{column}`).
+   * Tables met for the first time are created when their first batch is
+   * sent. The most recently met ones are remembered, not to create them
+   * again.
+   *
+   * @param {string} probeName
+   * @param {object} row
+   * @param {number} time The measure time, in microseconds
+   * @return {string} The identifier of the table.
+   */
+  resolveTable(probeName, row, time) {
+    const
+      probe = this.probes[probeName] || {},
+      route = rules.findRoute(row, probe.routes),
+      template = route ? route.tableName : getTableForProbe(this.probes, probeName);
+
+    if (!route && templates.getPlaceholders(template).length === 0) {
+      // created when the plugin starts
+      return this.getTableId(probe, template);
+    }
+
+    const tableName = this.getTableId(probe, renderTableName(template, probeName, row, time));
+
+    if (!this.knownTables.get(tableName)) {
+      this.knownTables.set(tableName, probeName);
+      this.lazyTables[tableName] = probeName;
+    }
+
+    return tableName;
+  }
+
+  /**
+   * @param {ProbeConfiguration} probe
+   * @param {string} tableName
+   * @return {string} The identifier of a table of a probe, in the dataset and project of the probe.
+   */
+  getTableId(probe, tableName) {
+    return tableIds.formatTableId(
+      {projectId: probe && probe.projectId, dataSet: probe && probe.dataSet, tableName},
+      {projectId: this.projectId, dataSet: this.dataSet}
+    );
+  }
+
+  /**
+   * @param {string} tableId
+   * @return {TableReference}
+   */
+  parseTableId(tableId) {
+    return tableIds.parseTableId(tableId, {projectId: this.projectId, dataSet: this.dataSet});
+  }
+
+  /**
+   * Watches the key file, to reload the credentials when it changes.
+   *
+   * @param {number} interval How often the file is checked, in milliseconds.
+   */
+  watchKeyFile(interval) {
+    this.keyFileWatcher = (current, previous) => {
+      if (current.mtime.getTime() !== previous.mtime.getTime()) {
+        this.reloadCredentials();
+      }
+    };
+
+    fs.watchFile(this.credentials.keyFilename, {persistent: false, interval}, this.keyFileWatcher);
+  }
+
+  /**
+   * Reads the key file again, and rebuilds the BigQuery clients with the
+   * new key. If the file cannot be read, the current clients are kept.
+   *
+   * @return {boolean} Whether the credentials were reloaded.
+   */
+  reloadCredentials() {
+    let key;
+
+    try {
+      key = credentialsUtils.readKeyFile(this.credentials.keyFilename);
+    }
+    catch (error) {
+      this.context.log.error(`Unable to reload the BigQuery credentials, keeping the current ones: ${error.message}`);
+      return false;
+    }
+
+    this.credentials = Object.assign({}, this.credentials, {credentials: key});
+    this.clientOptions = Object.assign({}, this.clientOptions, {credentials: key});
+    this.bigQuery = this.createClient(this.clientOptions);
+    this.clients = {};
+    this.context.log.info(`BigQuery credentials reloaded, now using ${credentialsUtils.describeCredentials(this.credentials)}`);
+
+    return true;
+  }
+
+  /**
+   * Returns the BigQuery client of a project, creating it if needed. The
+   * clients of other projects than the default one share its credentials.
+   *
+   * @param {string} projectId
+   * @return {BigQuery}
+   */
+  getClient(projectId) {
+    if (!projectId || projectId === this.projectId) {
+      return this.bigQuery;
+    }
+
+    if (!this.clients[projectId]) {
+      this.clients[projectId] = this.createClient(Object.assign({}, this.clientOptions, {projectId}));
+    }
+
+    return this.clients[projectId];
+  }
+
+  /**
+   * @param {object} options The options of the BigQuery client.
+   * @return {BigQuery|LocalClient} The client of a project, for the configured sink.
+   */
+  createClient(options) {
+    if (this.sink === 'bigquery') {
+      return this.createBigQuery(options);
+    }
+
+    return new LocalClient(options.projectId, {sink: this.sink, directory: this.sinkDirectory, log: this.context.log});
+  }
+
+  /**
+   * @param {string} tableId
+   * @return {Dataset} The dataset holding a table.
+   */
+  getDataset(tableId) {
+    const reference = this.parseTableId(tableId);
+
+    return this.getClient(reference.projectId).dataset(reference.dataSet);
+  }
+
+  /**
+   * @param {string} tableId
+   * @return {Table}
+   */
+  getTable(tableId) {
+    return this.getDataset(tableId).table(this.parseTableId(tableId).tableName);
+  }
+
+  /**
+   * @param {ProbeConfiguration} probe
+   * @return {{column: string, precision: string}} The timestamp column name and precision of a probe.
+   */
+  getTimestampSettings(probe) {
+    return {
+      column: (probe && probe.timestampColumn) || this.timestamp.column,
+      precision: (probe && probe.timestampPrecision) || this.timestamp.precision
+    };
+  }
+
+  /**
+   * Returns the buffer holding the rows waiting to be inserted in a table,
+   * creating it if needed.
+   *
+   * @param {string} tableName
+   * @return {BatchBuffer}
+   */
+  getBuffer(tableName) {
+    if (!this.buffers[tableName]) {
+      this.buffers[tableName] = new BatchBuffer(
+        entries => this.sendBatch(tableName, entries),
+        Object.assign({
+          onError: err => this.context.log.error(`Unable to flush the rows buffered for table ${tableName}: ${err.message}`)
+        }, this.batch)
+      );
+    }
+
+    return this.buffers[tableName];
+  }
+
+  /**
+   * Sends a batch of buffered rows to a table, keeping track of it until
+   * it is sent, so that Kuzzle can wait for it before shutting down.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  sendBatch(tableName, entries) {
+    const batch = {tableName, entries, promise: null};
+
+    this.batches.add(batch);
+    batch.promise = this.processBatch(tableName, entries)
+      .finally(() => {
+        this.batches.delete(batch);
+      });
+
+    return batch.promise;
+  }
+
+  /**
+   * Sends a batch of buffered rows to a table, creating the table or
+   * updating its schema beforehand if needed.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  processBatch(tableName, entries) {
+    const
+      loaded = entries.filter(entry => this.getEntryProbe(entry) && this.getEntryProbe(entry).ingestionMode === 'load'),
+      streamed = entries.filter(entry => loaded.indexOf(entry) === -1);
+
+    this.metrics.batchSize.observe({table: tableName}, entries.length);
+
+    return this.ensureTable(tableName, entries)
+      .then(() => this.evolveSchema(tableName, entries))
+      .then(() => Promise.all([
+        streamed.length > 0 ? this.insertRows(tableName, streamed) : null,
+        loaded.length > 0 ? this.writeLoadFile(tableName, loaded) : null
+      ]));
+  }
+
+  /**
+   * @param {BufferedRow} entry
+   * @return {ProbeConfiguration|undefined} The configuration of the probe a row was built with, or else its current configuration.
+   */
+  getEntryProbe(entry) {
+    return entry.probe || this.probes[entry.probeName];
+  }
+
+  /**
+   * Creates the tables whose schema is inferred from the first measures
+   * they receive (probes with the `inferSchema` option and no sample
+   * document), and the tables met by the routes of the probes.
+   * Never rejects: if the table cannot be created, the insert fails and
+   * the rows are spooled.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  ensureTable(tableName, entries) {
+    if (!this.lazyTables[tableName]) {
+      return Promise.resolve();
+    }
+
+    // the probe may have been changed or removed since the rows were built
+    const owner = entries.find(entry => entry.probeName === this.lazyTables[tableName]) || entries[0];
+
+    if (!this.tableCreations[tableName] && !this.getEntryProbe(owner)) {
+      this.context.log.error(`Unable to create table ${tableName}: probe ${owner.probeName} is no longer configured`);
+      return Promise.resolve();
+    }
+
+    if (!this.tableCreations[tableName]) {
+      const
+        probeName = owner.probeName,
+        probe = this.getEntryProbe(owner),
+        rows = entries.filter(entry => entry.probeName === probeName).map(entry => entry.row),
+        declared = getSchemaForProbe(probe, this.getTimestampSettings(probe).column),
+        // rows are already transformed: the timestamp column may have been renamed or dropped
+        timestampColumn = transforms.transformFieldName(this.getTimestampSettings(probe).column, probe.transform),
+        schema = declared || inferSchemaForProbe(
+          Object.assign({}, probe, {timestamp: Boolean(probe.timestamp && timestampColumn)}),
+          rows,
+          timestampColumn
+        );
+
+      this.context.log.info(declared
+        ? `Creating table ${tableName} for probe ${probeName}`
+        : `Creating table ${tableName} with the schema inferred from the measures of probe ${probeName}`);
+      debug(JSON.stringify(schema));
+
+      this.tableCreations[tableName] = this.getDataset(tableName)
+        .createTable(this.parseTableId(tableName).tableName, tableOptions.buildTableOptions(probe, schema))
+        .then(() => {
+          this.schemas[tableName] = schema;
+          delete this.lazyTables[tableName];
+        })
+        .catch(err => {
+          if (err.code === 409) {
+            // created meanwhile (by another Kuzzle node, for instance)
+            delete this.lazyTables[tableName];
+            return;
+          }
+
+          this.context.log.error(`Unable to create table ${tableName} for probe ${probeName}: ${err.message}`);
+        })
+        .finally(() => {
+          delete this.tableCreations[tableName];
+        });
+    }
+
+    return this.tableCreations[tableName];
+  }
+
+  /**
+   * Adds the columns missing from a table to hold a batch of rows, if the
+   * probes that generated them have the `schemaEvolution` option enabled.
+   * New columns are NULLABLE, and existing columns are never dropped nor
+   * modified.
+   * Schema updates of a table are serialized, and never reject: rows that
+   * still do not fit the table are handled as rejected rows.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  evolveSchema(tableName, entries) {
+    const rows = entries
+      .filter(entry => this.getEntryProbe(entry) && this.getEntryProbe(entry).schemaEvolution)
+      .map(entry => entry.row);
+
+    if (rows.length === 0) {
+      return Promise.resolve();
+    }
+
+    const previous = this.schemaUpdates[tableName] || Promise.resolve();
+
+    this.schemaUpdates[tableName] = previous
+      .then(() => this.getTableSchema(tableName))
+      .then(schema => {
+        if (schemaUtils.evolveSchema(schema, rows).added.length === 0) {
+          return;
+        }
+
+        const table = this.getTable(tableName);
+
+        // the cached schema may be outdated: work on fresh metadata, as the
+        // whole table resource is replaced by the update
+        return table.getMetadata()
+          .then(data => {
+            const
+              metadata = data[0],
+              evolution = schemaUtils.evolveSchema(metadata.schema, rows);
+
+            if (evolution.added.length === 0) {
+              this.schemas[tableName] = metadata.schema;
+              return;
+            }
+
+            this.context.log.info(`Adding columns ${evolution.added.join(', ')} to table ${tableName}`);
+            metadata.schema = evolution.schema;
+
+            return table.setMetadata(metadata)
+              .then(() => {
+                this.schemas[tableName] = evolution.schema;
+              });
+          });
+      })
+      .catch(err => {
+        this.context.log.error(`Unable to update the schema of table ${tableName}: ${err.message}`);
+      });
+
+    return this.schemaUpdates[tableName];
+  }
+
+  /**
+   * Returns the schema of a table, fetching it from BigQuery if it is not
+   * known yet.
+   *
+   * @param {string} tableName
+   * @return {Promise<BigQuerySchema>}
+   */
+  getTableSchema(tableName) {
+    if (this.schemas[tableName]) {
+      return Promise.resolve(this.schemas[tableName]);
+    }
+
+    return this.getTable(tableName)
+      .getMetadata()
+      .then(data => {
+        this.schemas[tableName] = data[0].schema || {fields: []};
+        return this.schemas[tableName];
+      });
+  }
+
+  /**
+   * Sends every buffered row to BigQuery, and loads the files of the
+   * probes in "load" ingestion mode.
+   *
+   * @return {Promise}
+   */
+  flush() {
+    return Promise.all(Object.keys(this.buffers).map(tableName => this.buffers[tableName].flush()))
+      .then(() => this.loadQueue.flush());
+  }
+
+  /**
+   * @param {string} directory
+   * @param {{maxFileSize: number, maxFileAge: number, retries: number}} options
+   * @return {LoadQueue}
+   */
+  createLoadQueue(directory, options) {
+    return new LoadQueue(
+      directory,
+      options,
+      (tableName, filePath) => this.loadFile(tableName, filePath),
+      job => this.handleLoadJob(job)
+    );
+  }
+
+  /**
+   * Appends a batch of rows to the file of a table, to be sent later with
+   * a load job. Rows that cannot be written are written to the dead-letter
+   * spool.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  writeLoadFile(tableName, entries) {
+    return this.loadQueue.write(tableName, entries)
+      .catch(err => {
+        const rows = entries.map(entry => entry.row);
+
+        countRows(this.stats, entries, 'failed');
+        entries.forEach(entry => this.stats.recordError(entry.probeName, err.message));
+        this.context.log.error(`Unable to write ${rows.length} rows for table ${tableName} to a load file, spooling them: ${err.message}`);
+
+        return this.spool.write(tableName, rows, err.message, entries.map(entry => entry.insertId))
+          .catch(error => {
+            this.context.log.error(`Unable to write ${rows.length} rows for table ${tableName} to the spool: ${error.message}`);
+          });
+      });
+  }
+
+  /**
+   * Loads a NDJSON file in a table with a load job.
+   *
+   * @param {string} tableName
+   * @param {string} filePath
+   * @return {Promise<string>} The id of the job, once it is done.
+   */
+  loadFile(tableName, filePath) {
+    const start = Date.now();
+
+    return this.getTable(tableName)
+      .import(filePath, {sourceFormat: 'NEWLINE_DELIMITED_JSON'})
+      .then(data => {
+        const job = data[0];
+
+        debug(`Load job ${job.id} started for table ${tableName}`);
+
+        return job.promise().then(() => job.id);
+      })
+      .finally(() => {
+        this.metrics.insertDuration.observe({table: tableName}, (Date.now() - start) / 1000);
+      });
+  }
+
+  /**
+   * Updates the stats and metrics once a load job succeeded, or failed
+   * for good.
+   *
+   * @param {LoadJob} job
+   */
+  handleLoadJob(job) {
+    const probeNames = Object.keys(job.probes);
+
+    if (job.status === 'done') {
+      probeNames.forEach(probeName => {
+        this.stats.increment(probeName, 'inserted', job.probes[probeName]);
+        this.stats.recordSuccess(probeName);
+        this.metrics.rowsInserted.inc({probe: probeName, table: job.table}, job.probes[probeName]);
+      });
+      this.context.log.info(`Loaded ${job.rows === null ? 'the' : job.rows} rows of file ${job.file} in table ${job.table} (job ${job.jobId})`);
+      return;
+    }
+
+    probeNames.forEach(probeName => {
+      this.stats.increment(probeName, 'failed', job.probes[probeName]);
+      this.stats.recordError(probeName, job.error);
+      this.metrics.insertFailures.inc({probe: probeName, table: job.table, reason: 'load'}, job.probes[probeName]);
+    });
+    this.context.log.error(`Unable to load file ${job.file} in table ${job.table} after ${job.attempts} attempts, it will be loaded again at the next start: ${job.error}`);
+  }
+
+  /**
+   * Inserts a batch of rows in a table. Rows that could not be inserted,
+   * even after retrying, are written to the dead-letter spool.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  insertRows(tableName, entries) {
+    const
+      rows = entries.map(entry => entry.row),
+      insertIds = entries.map(entry => entry.insertId);
+
+    return this.sendRows(tableName, rows, insertIds)
+      .then(() => {
+        countRows(this.stats, entries, 'inserted');
+        entries.forEach(entry => this.metrics.rowsInserted.inc({probe: entry.probeName, table: tableName}));
+        entries.forEach(entry => this.stats.recordSuccess(entry.probeName));
+        this.context.log.info(`Saved ${rows.length} rows in table ${tableName}`);
+      })
+      .catch(e => {
+        if (e.name === 'PartialFailureError') {
+          return this.handlePartialFailure(tableName, entries, e);
+        }
+
+        countRows(this.stats, entries, 'failed');
+        entries.forEach(entry => this.metrics.insertFailures.inc({probe: entry.probeName, table: tableName, reason: getErrorReason(e)}));
+        entries.forEach(entry => this.stats.recordError(entry.probeName, e.message));
+        this.context.log.error(`Something weird happened while saving the measures, spooling ${rows.length} rows: ${e.message}`);
+        debug(`Table: ${tableName}`);
+        debug(rows);
+
+        return this.spool.write(tableName, rows, e.message, insertIds)
+          .catch(err => {
+            this.context.log.error(`Unable to write ${rows.length} rows for table ${tableName} to the spool: ${err.message}`);
+          });
+      });
+  }
+
+  /**
+   * Handles an insert that was only partially successful: BigQuery
+   * rejected some rows and, unless told otherwise, did not insert the
+   * valid rows of the batch either (their error reason is then "stopped").
+   * Rejected rows are handed to the rejected rows handler, and stopped
+   * rows are sent again.
+   *
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries The rows of the batch.
+   * @param {Error} error The PartialFailureError returned by the client.
+   * @return {Promise}
+   */
+  handlePartialFailure(tableName, entries, error) {
+    const
+      split = splitRowFailures(entries, error),
+      accepted = split.accepted,
+      stopped = split.stopped,
+      rejected = split.rejected;
+
+    countRows(this.stats, accepted, 'inserted');
+    countRows(this.stats, rejected, 'rejected');
+    countRows(this.stats, rejected, 'failed');
+    accepted.forEach(entry => this.metrics.rowsInserted.inc({probe: entry.probeName, table: tableName}));
+    rejected.forEach(rejectedRow => this.metrics.insertFailures.inc({
+      probe: rejectedRow.probeName,
+      table: tableName,
+      reason: (rejectedRow.errors[0] && rejectedRow.errors[0].reason) || 'invalid'
+    }));
+    accepted.forEach(entry => this.stats.recordSuccess(entry.probeName));
+    rejected.forEach(rejectedRow => this.stats.recordError(rejectedRow.probeName, formatRowErrors(rejectedRow.errors)));
+
+    this.context.log.warn(`Table ${tableName}: ${accepted.length} rows accepted, ${rejected.length} rows rejected, ${stopped.length} rows to send again`);
+    rejected.forEach(rejectedRow => {
+      this.context.log.error(`Row from probe ${rejectedRow.probeName} rejected by table ${tableName}: ${formatRowErrors(rejectedRow.errors)}`);
+      debug(rejectedRow.row);
+    });
+
+    return Promise.all([
+      this.handleRejectedRows(tableName, rejected),
+      stopped.length > 0 ? this.insertRows(tableName, stopped) : null
+    ]);
+  }
+
+  /**
+   * Sends spooled rows again. As for live rows, the rows rejected by
+   * BigQuery are handed to the rejected rows handler, and the valid rows of
+   * a partially failed insert are sent again.
+   *
+   * @param {string} tableName
+   * @param {object[]} rows
+   * @param {string[]} insertIds
+   * @return {Promise<?ReplayOutcome>} The positions of the rows that could not be inserted, if some could.
+   */
+  replayRows(tableName, rows, insertIds) {
+    return this.sendRows(tableName, rows, insertIds)
+      .then(() => null)
+      .catch(error => {
+        if (error.name !== 'PartialFailureError') {
+          return Promise.reject(error);
+        }
+
+        const
+          // spooled rows do not keep the name of their probe
+          entries = rows.map((row, index) => ({probeName: null, row, insertId: insertIds[index]})),
+          split = splitRowFailures(entries, error),
+          rejected = split.rejected.map(rejectedRow => rows.indexOf(rejectedRow.row)),
+          stopped = split.stopped.map(entry => entries.indexOf(entry));
+
+        this.context.log.warn(`Table ${tableName}: ${split.accepted.length} spooled rows accepted, ${rejected.length} rows rejected, ${stopped.length} rows to send again`);
+        split.rejected.forEach(rejectedRow => {
+          this.context.log.error(`Spooled row rejected by table ${tableName}: ${formatRowErrors(rejectedRow.errors)}`);
+          debug(rejectedRow.row);
+        });
+
+        return this.handleRejectedRows(tableName, split.rejected)
+          .then(() => stopped.length > 0
+            ? this.replayRows(tableName, stopped.map(index => rows[index]), stopped.map(index => insertIds[index]))
+            : null)
+          .then(
+            outcome => ({
+              // positions in the rows sent again, to positions in the batch
+              failed: outcome ? outcome.failed.map(index => stopped[index]) : [],
+              rejected: rejected.concat(outcome ? outcome.rejected.map(index => stopped[index]) : []),
+              reason: outcome ? outcome.reason : null
+            }),
+            err => ({failed: stopped, rejected, reason: err.message}));
+      });
+  }
+
+  /**
+   * Hands the rows rejected by BigQuery to the configured handler:
+   *   - "spool": the rows are written to the rejected rows file, which is
+   *     never replayed,
+   *   - "event": the plugin triggers a "rejectedRows" event, so that other
+   *     plugins can process them,
+   *   - "ignore": the rows are dropped.
+   *
+   * @param {string} tableName
+   * @param {RejectedRow[]} rejected
+   * @return {Promise}
+   */
+  handleRejectedRows(tableName, rejected) {
+    if (rejected.length === 0 || this.rejectedRowsHandler === 'ignore') {
+      return Promise.resolve();
+    }
+
+    if (this.rejectedRowsHandler === 'event') {
+      this.context.accessors.trigger('rejectedRows', {table: tableName, rows: rejected});
+      return Promise.resolve();
+    }
+
+    return Promise.mapSeries(rejected, rejectedRow => {
+      return this.rejectedSpool.write(tableName, [rejectedRow.row], formatRowErrors(rejectedRow.errors), [rejectedRow.insertId]);
+    })
+      .catch(err => {
+        this.context.log.error(`Unable to write ${rejected.length} rejected rows for table ${tableName} to the rejected rows file: ${err.message}`);
+      });
+  }
+
+  /**
+   * Sends rows to BigQuery, retrying with an exponential backoff if the
+   * failure is transient. Rows are sent along with their insertId, so that
+   * BigQuery drops the rows sent more than once.
+   *
+   * @param {string} tableName
+   * @param {object[]} rows
+   * @param {string[]} [insertIds]
+   * @return {Promise}
+   */
+  sendRows(tableName, rows, insertIds) {
+    const
+      start = Date.now(),
+      payload = rows.map((row, index) => insertIds && insertIds[index] ? {insertId: insertIds[index], json: row} : {json: row});
+
+    return retryWithBackoff(attempt => {
+      if (attempt > 0) {
+        debug(`Retrying to insert ${rows.length} rows in table ${tableName} (attempt #${attempt})`);
+      }
+
+      return this.getTable(tableName)
+        .insert(payload, {raw: true});
+    }, this.retry)
+      .finally(() => {
+        this.metrics.insertDuration.observe({table: tableName}, (Date.now() - start) / 1000);
+      });
+  }
+
+  /**
+   * Controller action: sends the rows stored in the dead-letter spool to
+   * BigQuery again. Also run when the plugin starts, with the
+   * `spool.replayOnInit` option.
+   *
+   * @return {Promise<{replayed: number, failed: number, rejected: number, skipped: number}>}
+   */
+  replaySpool() {
+    return this.spool
+      .replay((tableName, rows, insertIds) => this.replayRows(tableName, rows, insertIds), this.batch.maxBatchSize)
+      .then(result => {
+        this.context.log.info(`Spool replayed: ${result.replayed} rows inserted, ${result.rejected} rows rejected, ${result.failed} rows spooled again`);
+
+        if (result.skipped > 0) {
+          this.context.log.warn(`${result.skipped} lines of the spool could not be parsed, and were skipped`);
+        }
+
+        return result;
+      });
+  }
+
+  /**
+   * Controller action: returns the configured probes, with their tables
+   * and whether each table is ready to receive rows.
+   *
+   * @return {Promise<object>}
+   */
+  getStatus() {
+    const probes = {};
+
+    Object.keys(this.probes).forEach(probeName => {
+      const
+        probe = this.probes[probeName],
+        template = getTableForProbe(this.probes, probeName),
+        tables = [];
+
+      if (templates.getPlaceholders(template).length === 0) {
+        tables.push(this.getTableId(probe, template));
+      }
+
+      // tables resolved from the table name template or the routes of the probe
+      this.knownTables.forEach((owner, tableName) => {
+        if (owner === probeName && tables.indexOf(tableName) === -1) {
+          tables.push(tableName);
+        }
+      });
+
+      probes[probeName] = {
+        type: probe.type,
+        tableName: template,
+        tables: tables.map(tableName => ({
+          table: tableName,
+          ready: !this.lazyTables[tableName] && !this.tableCreations[tableName],
+          bufferedRows: this.buffers[tableName] ? this.buffers[tableName].length : 0
+        }))
+      };
+    });
+
+    return Promise.resolve({
+      projectId: this.projectId,
+      dataSet: this.dataSet,
+      probes,
+      backfills: this.backfills,
+      loadJobs: this.loadQueue.getJobs()
+    });
+  }
+
+  /**
+   * Controller action: returns the rows received, filtered, inserted and
+   * failed per probe, with the time of the last success and error.
+   *
+   * @return {Promise<object>}
+   */
+  getStats() {
+    return Promise.resolve(this.stats.toJSON());
+  }
+
+  /**
+   * Controller action: sends every buffered row to BigQuery.
+   *
+   * @return {Promise<{flushed: number}>} The number of flushed rows.
+   */
+  flushBuffers() {
+    const flushed = Object.keys(this.buffers).reduce((count, tableName) => count + this.buffers[tableName].length, 0);
+
+    return this.flush().then(() => ({flushed}));
+  }
+
+  /**
+   * Controller action: deletes the table of a probe and creates it again,
+   * with the current configuration of the probe. The rows buffered for the
+   * table are set aside meanwhile, and buffered again once the table is
+   * recreated (or if it cannot be), so that they end up in the new table.
+   *
+   * @param {Request} request
+   * @return {Promise<{table: string}>}
+   */
+  recreateTable(request) {
+    const
+      probeName = request.input.args.probeName,
+      probe = this.probes[probeName];
+
+    if (!probeName) {
+      return Promise.reject(new this.context.errors.BadRequestError('kdc-bigquery-connector: Missing argument "probeName"'));
+    }
+
+    if (!probe) {
+      return Promise.reject(new this.context.errors.NotFoundError(`kdc-bigquery-connector: Unknown probe "${probeName}"`));
+    }
+
+    const template = getTableForProbe(this.probes, probeName);
+
+    if (templates.getPlaceholders(template).length > 0) {
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: The tables of probe "${probeName}" are created from a template, and cannot be recreated`));
+    }
+
+    const
+      tableName = this.getTableId(probe, template),
+      buffered = this.buffers[tableName] ? this.buffers[tableName].clear() : [],
+      restoreBuffer = () => buffered.length > 0 ? this.getBuffer(tableName).push(buffered) : null;
+
+    return this.getTable(tableName).delete()
+      .catch(err => {
+        if (err.code !== 404) {
+          return Promise.reject(err);
+        }
+      })
+      .then(() => {
+        delete this.schemas[tableName];
+        delete this.lazyTables[tableName];
+        this.context.log.info(`Table ${tableName} deleted, creating it again for probe ${probeName}`);
+
+        return this.createTableIfNotExists(probe, probeName);
+      })
+      .then(
+        () => restoreBuffer(),
+        err => Promise.resolve(restoreBuffer()).then(() => Promise.reject(err)))
+      .then(() => ({table: tableName}));
   }
 
   /**
-   * @param {object} customConfig
-   * @param {KuzzlePluginContext} context
+   * Controller action: returns the metrics of the connector, in the
+   * Prometheus text format.
+   *
+   * @param {Request} request
+   * @return {Promise<string>}
    */
-  init(customConfig, context) {
-    this.context = context;
+  getMetrics(request) {
+    this.metrics.bufferedRows.reset();
+    Object.keys(this.buffers).forEach(tableName => {
+      this.metrics.bufferedRows.set({table: tableName}, this.buffers[tableName].length);
+    });
+
+    const text = this.metrics.registry.render();
+
+    request.setResult(text, {
+      raw: true,
+      headers: {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'}
+    });
+
+    return Promise.resolve(text);
+  }
 
-    const probePluginName = customConfig.probePluginName || 'kuzzle-enterprise-probe';
-    this.hooks[`plugin-${probePluginName}:receivedMeasure`] = 'saveMeasure';
+  /**
+   * Controller action: starts sending the measures of a probe stored in
+   * Kuzzle during a time range to BigQuery. Returns right away: the
+   * progress of the backfill is logged, and reported by the status action.
+   *
+   * @param {Request} request
+   * @return {Promise<BackfillProgress>}
+   */
+  startBackfill(request) {
+    const
+      args = request.input.args,
+      probe = this.probes[args.probeName],
+      from = timestamps.parseTimestamp(args.from),
+      to = timestamps.parseTimestamp(args.to);
 
-    if (!customConfig.projectId) {
-      throw new this.context.errors.PreconditionError('kdc-bigquery-connector: The projectId configuration is mandatory');
+    if (!args.probeName) {
+      return Promise.reject(new this.context.errors.BadRequestError('kdc-bigquery-connector: Missing argument "probeName"'));
     }
 
-    if (!customConfig.credentials) {
-      throw new this.context.errors.PreconditionError('kdc-bigquery-connector: The credentials configuration is mandatory');
+    if (!probe) {
+      return Promise.reject(new this.context.errors.NotFoundError(`kdc-bigquery-connector: Unknown probe "${args.probeName}"`));
     }
 
-    const options = {
-      projectId: customConfig.projectId,
-      credentials: customConfig.credentials,
-      promise: Bluebird
-    };
+    if (from === null || to === null || from > to) {
+      return Promise.reject(new this.context.errors.BadRequestError('kdc-bigquery-connector: The "from" and "to" arguments must be a valid time range (epoch milliseconds or ISO 8601 dates)'));
+    }
+
+    if (this.backfills[args.probeName] && this.backfills[args.probeName].status === 'running') {
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: A backfill of probe "${args.probeName}" is already running`));
+    }
 
-    this.bigQuery = new BigQuery(options);
+    const
+      timestampSettings = this.getTimestampSettings(probe),
+      timestampColumn = hasTimestampColumn(probe, timestampSettings.column)
+        ? transforms.transformFieldName(timestampSettings.column, probe.transform)
+        : null;
 
-    if (!customConfig.dataSet) {
-      throw new this.context.errors.PreconditionError('kdc-bigquery-connector: The dataSet configuration is mandatory');
+    if (probe.aggregate) {
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: The measures of probe "${args.probeName}" are aggregated, they cannot be backfilled`));
     }
-    this.dataSet = customConfig.dataSet;
 
-    if (!customConfig.probes) {
-      throw new this.context.errors.PreconditionError('kdc-bigquery-connector: The probes configuration is mandatory');
+    if (!Array.isArray(probe.insertIdFields)) {
+      // the insertIds of live rows are built from the identity of their
+      // measure, which stored measures do not keep
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: Probe "${args.probeName}" has no insertIdFields, its backfilled rows could not be deduplicated with the live ones`));
     }
-    this.probes = customConfig.probes;
 
-    const promises = [];
-    Object.keys(this.probes).forEach(probeName => {
-      promises.push(this.createTableIfNotExists(this.probes[probeName], probeName));
+    if (!timestampColumn) {
+      // the rows already present are looked for in the time range
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: The rows of probe "${args.probeName}" have no timestamp column, its measures cannot be backfilled`));
+    }
+
+    if (!probe.insertIdColumn && timestampSettings.precision === 'seconds') {
+      // without key column, rows already present are found by their
+      // timestamp only: every measure of a second would be skipped
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: The rows of probe "${args.probeName}" have no insertId column and timestamps precise to the second, the rows already present cannot be told apart`));
+    }
+
+    const backfill = new Backfill(this, {
+      probeName: args.probeName,
+      from,
+      to,
+      index: args.index || this.backfillOptions.index,
+      collection: args.collection || args.probeName,
+      timestampField: this.backfillOptions.timestampField,
+      pageSize: this.backfillOptions.pageSize,
+      timestampColumn,
+      precision: timestampSettings.precision,
+      keyColumn: probe.insertIdColumn || null,
+      request
     });
 
-    return Promise.all(promises);
+    this.backfills[args.probeName] = backfill.progress;
+    this.context.log.info(`Starting the backfill of probe ${args.probeName}, from ${backfill.progress.from} to ${backfill.progress.to}`);
+
+    // failures are logged, and reported in the progress of the backfill
+    backfill.run().catch(() => {});
+
+    return Promise.resolve(backfill.progress);
   }
 
   /**
-   * Creates a table for a given probe (and sets a schema) if it does not exist.
+   * Controller action: adds a probe, configured with the request body.
    *
-   * @param {object} probe The probe object (specified in the configuration).
-   * @param {string} probeName The probe Name
-   * @return {Promise}
+   * @param {Request} request
+   * @return {Promise<{probeName: string, configuration: ProbeConfiguration}>}
    */
-  createTableIfNotExists(probe, probeName) {
-    const tableName = getTableForProbe(this.probes, probeName);
+  addProbe(request) {
+    const probeName = request.input.args.probeName;
 
-    if (!tableName) {
-      return Promise.resolve();
-    }
+    return this.queueProbeChange(probeName, () => {
+      if (this.probes[probeName]) {
+        return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: Probe "${probeName}" already exists`));
+      }
 
-    return this.bigQuery
-      .dataset(this.dataSet)
-      .table(tableName)
-      .exists()
-      .then(exists => {
-        if (!exists[0]) {
-          return Promise.reject();
-        }
-        console.info(`Table ${tableName} exists. Done.`);
-      })
-      .catch(() => {
-        console.info(`Table ${tableName} does not exist. Creating.`);
-        const schema = getSchemaForProbe(probe);
-        return this.bigQuery
-          .dataset(this.dataSet)
-          .createTable(
-          tableName,
-          { schema }
-          );
-      })
-      .catch(err => {
-        console.error(`Something went wrong while creating table for probe ${probeName}: ${err.message}`);
-        return Promise.reject();
-      });
+      return this.setProbe(probeName, request.input.body);
+    });
   }
 
   /**
-   * Saves the measure to BigQuery.
+   * Controller action: replaces the configuration of a probe with the
+   * request body.
    *
-   * @param {object} measure
-   * @return {void}
+   * @param {Request} request
+   * @return {Promise<{probeName: string, configuration: ProbeConfiguration}>}
    */
-  saveMeasure(measure) {
-    // check that the probe that generated the measure is being watched
-    // by this plugin.
-    const tableName = getTableForProbe(this.probes, measure.probeName);
+  updateProbe(request) {
+    const probeName = request.input.args.probeName;
 
-    if (!tableName) {
-      return;
+    return this.queueProbeChange(probeName, () => {
+      if (!this.probes[probeName]) {
+        return Promise.reject(new this.context.errors.NotFoundError(`kdc-bigquery-connector: Unknown probe "${probeName}"`));
+      }
+
+      return this.setProbe(probeName, request.input.body);
+    });
+  }
+
+  /**
+   * Controller action: stops forwarding the measures of a probe. Its tables
+   * are kept, and its buffered rows are still sent.
+   *
+   * @param {Request} request
+   * @return {Promise<{probeName: string}>}
+   */
+  removeProbe(request) {
+    const probeName = request.input.args.probeName;
+
+    return this.queueProbeChange(probeName, () => {
+      if (!this.probes[probeName]) {
+        return Promise.reject(new this.context.errors.NotFoundError(`kdc-bigquery-connector: Unknown probe "${probeName}"`));
+      }
+
+      const probes = Object.assign({}, this.probes);
+      delete probes[probeName];
+
+      // removals are stored too, for the probes of the configuration to stay removed
+      return this.repository.createOrReplace({_id: probeName, configuration: null})
+        .then(() => {
+          this.context.log.info(`Probe ${probeName} removed`);
+          return this.swapProbes(probeName, probes);
+        })
+        .then(() => ({probeName}));
+    });
+  }
+
+  /**
+   * Runs a change of the probes once the previous ones are done.
+   *
+   * @param {string} probeName
+   * @param {function(): Promise} change
+   * @return {Promise}
+   */
+  queueProbeChange(probeName, change) {
+    if (!probeName) {
+      return Promise.reject(new this.context.errors.BadRequestError('kdc-bigquery-connector: Missing argument "probeName"'));
     }
 
-    // extract the data from the measure and insert it in the table
-    // (add the timestamp if needed)
-    // whose name corresponds with the name of the probe.
-    const data = extractMeasureData(measure.data);
-    this.context.log.info(`-----------------------------------------`);
-    this.context.log.info(data);
-    this.context.log.info(`-----------------------------------------`);
-    if (
-      this.probes[measure.probeName] &&
-      typeof this.probes[measure.probeName].timestamp != 'undefined' &&
-      this.probes[measure.probeName].timestamp
-    ) {
-      data[0].timestamp = Math.round((new Date()).getTime() / 1000);
+    const result = this.probeChanges.then(() => change());
+
+    this.probeChanges = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Checks the configuration of a probe, creates its table, stores the
+   * configuration and applies it.
+   *
+   * @param {string} probeName
+   * @param {ProbeConfiguration} probe
+   * @return {Promise<{probeName: string, configuration: ProbeConfiguration}>}
+   */
+  setProbe(probeName, probe) {
+    const errors = configuration.validateProbeConfig(probeName, probe);
+
+    if (errors.length > 0) {
+      return Promise.reject(new this.context.errors.BadRequestError(`kdc-bigquery-connector: Invalid probe configuration (${errors.length} error${errors.length > 1 ? 's' : ''}):\n  - ${errors.join('\n  - ')}`));
     }
 
-    debug(`Received measure from probe ${measure.probeName}`);
-    debug(JSON.stringify(data));
+    const
+      probes = Object.assign({}, this.probes),
+      unlistenedEvents = kuzzleEvents.getProbeEvents(probe).filter(event => this.hooks[event] !== 'captureEvent');
+
+    probes[probeName] = probe;
 
-    this.bigQuery
-      .dataset(this.dataSet)
-      .table(tableName)
-      .insert(data)
+    // the table is ready before the first measure is routed to it
+    return this.createTableIfNotExists(probe, probeName, probes)
+      .then(() => this.repository.createOrReplace({_id: probeName, configuration: probe}))
       .then(() => {
-        this.context.log.info(`Saved measure from ${measure.probeName}`);
+        this.context.log.info(`Probe ${probeName} ${this.probes[probeName] ? 'updated' : 'added'}`);
+
+        if (unlistenedEvents.length > 0) {
+          this.context.log.warn(`Probe ${probeName}: the events ${unlistenedEvents.join(', ')} are not listened to yet, they are captured once Kuzzle restarts`);
+        }
+
+        return this.swapProbes(probeName, probes);
       })
-      .catch(e => {
-        this.context.log.error(`Something weird happened while saving the measure: ${e.message}`);
-        debug(`Table: ${tableName}`);
-        debug(data);
+      .then(() => ({probeName, configuration: probe}));
+  }
+
+  /**
+   * Replaces the probes at once: each measure is handled either with the
+   * previous configuration of its probe, or with the new one. The open
+   * aggregate windows of the changed probe are closed beforehand, with its
+   * previous configuration.
+   *
+   * @param {string} probeName The changed probe
+   * @param {object<string,ProbeConfiguration>} probes
+   * @return {Promise}
+   */
+  swapProbes(probeName, probes) {
+    const closing = this.closeWindows(probeName);
+
+    this.probes = probes;
+
+    return closing;
+  }
+}
+
+/**
+ * Matches the per-row errors of a PartialFailureError with the rows of the
+ * batch. The raw API response is used when available, as it also holds the
+ * location (i.e. the field) of each error.
+ *
+ * @param {BufferedRow[]} entries The rows of the batch.
+ * @param {Error} error
+ * @return {{entry: BufferedRow, errors: object[]}[]}
+ */
+function getRowFailures(entries, error) {
+  if (error.response && Array.isArray(error.response.insertErrors)) {
+    return error.response.insertErrors
+      .filter(insertError => entries[insertError.index])
+      .map(insertError => ({entry: entries[insertError.index], errors: insertError.errors || []}));
+  }
+
+  const rows = entries.map(entry => entry.row);
+
+  // rows are sent raw: failures refer to the {insertId, json} objects
+  return (error.errors || [])
+    .map(failure => ({row: failure.row && failure.row.json ? failure.row.json : failure.row, errors: failure.errors}))
+    .filter(failure => rows.indexOf(failure.row) !== -1)
+    .map(failure => ({entry: entries[rows.indexOf(failure.row)], errors: failure.errors || []}));
+}
+
+/**
+ * Sorts the rows of a partially failed insert: the rows BigQuery accepted,
+ * the valid rows it did not insert because of the rejected ones (their
+ * error reason is "stopped"), and the rejected rows.
+ *
+ * @param {BufferedRow[]} entries The rows of the batch.
+ * @param {Error} error The PartialFailureError returned by the client.
+ * @return {{accepted: BufferedRow[], stopped: BufferedRow[], rejected: RejectedRow[]}}
+ */
+function splitRowFailures(entries, error) {
+  const
+    failures = getRowFailures(entries, error),
+    failedEntries = failures.map(failure => failure.entry),
+    stopped = [],
+    rejected = [];
+
+  failures.forEach(failure => {
+    if (failure.errors.length > 0 && failure.errors.every(e => e.reason === 'stopped')) {
+      stopped.push(failure.entry);
+    }
+    else {
+      rejected.push({
+        probeName: failure.entry.probeName,
+        row: failure.entry.row,
+        insertId: failure.entry.insertId,
+        errors: failure.errors
       });
+    }
+  });
+
+  return {
+    accepted: entries.filter(entry => failedEntries.indexOf(entry) === -1),
+    stopped,
+    rejected
+  };
+}
+
+/**
+ * @param {object[]} errors The errors of a rejected row.
+ * @return {string} A human-readable description of the errors.
+ */
+function formatRowErrors(errors) {
+  return errors
+    .map(e => `${e.location ? `field "${e.location}": ` : ''}${e.reason}${e.message ? ` (${e.message})` : ''}`)
+    .join(', ');
+}
+
+/**
+ * @param {{missing: string[], added: string[], changed: object[]}} drift
+ * @return {string} A human-readable description of a schema drift.
+ */
+function formatSchemaDrift(drift) {
+  const parts = [];
+
+  if (drift.missing.length > 0) {
+    parts.push(`missing columns: ${drift.missing.join(', ')}`);
+  }
+
+  if (drift.added.length > 0) {
+    parts.push(`columns absent from the configuration: ${drift.added.join(', ')}`);
+  }
+
+  if (drift.changed.length > 0) {
+    parts.push(`changed columns: ${drift.changed.map(c => `${c.path} (expected ${c.expected}, got ${c.actual})`).join(', ')}`);
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * @return {object<string,Metric>} The metrics of the connector, and their registry.
+ */
+function createMetrics() {
+  const registry = new metrics.Registry();
+
+  return {
+    registry,
+    measuresReceived: registry.counter('kdc_bigquery_measures_received_total', 'Measures received from the probes', ['probe']),
+    rowsInserted: registry.counter('kdc_bigquery_rows_inserted_total', 'Rows inserted in BigQuery', ['probe', 'table']),
+    insertFailures: registry.counter('kdc_bigquery_insert_failures_total', 'Rows that could not be inserted in BigQuery, by error reason', ['probe', 'table', 'reason']),
+    insertDuration: registry.histogram('kdc_bigquery_insert_duration_seconds', 'Duration of the insert requests, retries included', ['table'], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]),
+    batchSize: registry.histogram('kdc_bigquery_batch_size_rows', 'Number of rows of the batches sent to BigQuery', ['table'], [1, 10, 50, 100, 250, 500, 1000, 5000]),
+    bufferedRows: registry.gauge('kdc_bigquery_buffered_rows', 'Rows waiting to be sent to BigQuery', ['table'])
+  };
+}
+
+/**
+ * @param {Error} error
+ * @return {string} The reason of an insert failure: the BigQuery error reason, the error code, or "unknown".
+ */
+function getErrorReason(error) {
+  if (error.errors && error.errors[0] && error.errors[0].reason) {
+    return error.errors[0].reason;
   }
+
+  return String(error.code || 'unknown');
+}
+
+/**
+ * @param {Stats} stats
+ * @param {{probeName: string}[]} entries
+ * @param {string} counter
+ */
+function countRows(stats, entries, counter) {
+  entries.forEach(entry => stats.increment(entry.probeName, counter));
 }
 
 /**
  * @param {object<string, ProbeConfiguration>} probes
  * @param {string} probeName
- * @return {string|null} The name of the table corresponding to the probe. Null if the probe is not being tracked.
+ * @return {string|null} The name (or name template) of the table corresponding to the probe. Null if the probe is not being tracked.
  */
 function getTableForProbe(probes, probeName) {
   if (!probes[probeName]) {
@@ -195,25 +2040,80 @@ function getTableForProbe(probes, probeName) {
   return probes[probeName].tableName;
 }
 
+/**
+ * Renders a table name template for a row.
+ *
+ * @param {string} template
+ * @param {string} probeName
+ * @param {object} row
+ * @param {number} time The measure time, in microseconds
+ * @return {string}
+ */
+function renderTableName(template, probeName, row, time) {
+  const date = new Date(time / 1000);
+
+  return normalizeFieldName(templates.renderTemplate(template, name => {
+    if (name === 'probe') {
+      return probeName;
+    }
+
+    return templates.isDateFormat(name) ? templates.formatDate(name, date) : row[name];
+  }));
+}
+
 /**
  * Infers a table schema for a given probe, based on its type (or its explicitly
- * specified schema).
+ * specified schema, or the sample document to infer it from), on its
+ * transforms, and on its insertId column.
+ *
+ * @param {object} probe The probe object (specified in the configuration).
+ * @param {string} [timestampColumn] The name of the timestamp column.
+ * @return {BigQuerySchema|null} The generated schema. Null if it must be inferred from the first measure.
+ */
+function getSchemaForProbe(probe, timestampColumn) {
+  let schema = buildSchemaForProbe(probe, timestampColumn || defaultTimestampColumn);
+
+  if (schema && probe.aggregate) {
+    schema = aggregates.aggregateSchema(schema, probe.aggregate);
+  }
+
+  if (schema && probe.transform) {
+    schema = transforms.transformSchema(schema, probe.transform);
+  }
+
+  if (schema && probe.insertIdColumn && !schema.fields.some(field => field.name === probe.insertIdColumn)) {
+    schema = {fields: schema.fields.concat({name: probe.insertIdColumn, type: 'STRING', mode: 'NULLABLE'})};
+  }
+
+  return schema;
+}
+
+/**
+ * Builds the schema of the rows extracted from the measures of a probe,
+ * before they are transformed.
  *
  * @param {object} probe The probe object (specified in the configuration).
- * @return {BigQuerySchema} The generated schema.
+ * @param {string} column The name of the timestamp column.
+ * @return {BigQuerySchema|null}
  */
-function getSchemaForProbe(probe) {
+function buildSchemaForProbe(probe, column) {
   if (probe.schema) {
-    if (probe.type === "watcher" && probe.timestamp) {
-      probe.schema.fields.push(
-        {
-          "name": "timestamp",
-          "type": "TIMESTAMP",
-          "mode": "REQUIRED"
-        }
-      );
+    const schema = probe.flatten === 'path' ? flatten.flattenSchema(probe.schema) : probe.schema;
+
+    if (probe.timestamp && !schema.fields.some(field => field.name === column)) {
+      return {
+        fields: schema.fields.concat(buildTimestampField(column))
+      };
     }
-    return probe.schema;
+    return schema;
+  }
+
+  if (probe.inferSchema) {
+    if (!probe.sample) {
+      return null;
+    }
+
+    return inferSchemaForProbe(probe, extractMeasureData({content: probe.sample}, probe), column);
   }
 
   if (!probe.type) {
@@ -224,7 +2124,7 @@ function getSchemaForProbe(probe) {
     if (!probe.hooks || !Array.isArray(probe.hooks)) {
       throw new Error('Monitor probes must have an "hooks" field, of type Array.');
     }
-    return buildMonitorSchema(probe.hooks);
+    return buildMonitorSchema(probe.hooks, column);
   }
 
   if (probe.type === 'counter') {
@@ -235,11 +2135,7 @@ function getSchemaForProbe(probe) {
           type: 'INTEGER',
           mode: 'REQUIRED'
         },
-        {
-          name: 'timestamp',
-          type: 'TIMESTAMP',
-          mode: 'REQUIRED'
-        }
+        buildTimestampField(column)
       ]
     };
   }
@@ -247,13 +2143,136 @@ function getSchemaForProbe(probe) {
   throw new Error(`Schema is mandatory for probes of type ${probe.type}`);
 }
 
+/**
+ * @param {string} [column] The name of the timestamp column.
+ * @return {BigQueryField}
+ */
+function buildTimestampField(column) {
+  return {
+    name: column || defaultTimestampColumn,
+    type: 'TIMESTAMP',
+    mode: 'REQUIRED'
+  };
+}
+
+/**
+ * Tells whether the rows of a probe hold a timestamp column: monitor and
+ * counter schemas always have one, other probes have one if they have the
+ * `timestamp` option, or if their schema declares it.
+ *
+ * @param {ProbeConfiguration} probe
+ * @param {string} column The name of the timestamp column.
+ * @return {boolean}
+ */
+function hasTimestampColumn(probe, column) {
+  if (!probe) {
+    return false;
+  }
+
+  if (addsTimestamp(probe)) {
+    return true;
+  }
+
+  return Boolean(probe.schema && Array.isArray(probe.schema.fields) && probe.schema.fields.some(field => field.name === column));
+}
+
+/**
+ * Tells whether the connector adds the timestamp column to the rows of a
+ * probe, in which case it always holds the time of the measure.
+ *
+ * @param {ProbeConfiguration} probe
+ * @return {boolean}
+ */
+function addsTimestamp(probe) {
+  return probe.type === 'monitor' || probe.type === 'counter' || Boolean(probe.timestamp);
+}
+
+/**
+ * Builds the insertId of a row, used by BigQuery to drop the rows sent more
+ * than once: a hash of the probe name and either the configured key fields
+ * of the row, or the identity and time of the measure along with the
+ * position of the row in the measure.
+ *
+ * @param {object} measure
+ * @param {ProbeConfiguration} probe
+ * @param {number} time The measure time, in microseconds
+ * @param {object} row The row, before its transform
+ * @param {number} index The position of the row in the measure
+ * @return {string}
+ */
+function buildInsertId(measure, probe, time, row, index) {
+  const key = probe && Array.isArray(probe.insertIdFields)
+    ? [measure.probeName].concat(probe.insertIdFields.map(field => row[field] === undefined ? null : row[field]))
+    : [measure.probeName, getMeasureIdentity(measure), time, index];
+
+  return crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex');
+}
+
+/**
+ * @param {object} measure
+ * @return {string} The identifier of the measure if it has one, or else its content.
+ */
+function getMeasureIdentity(measure) {
+  const id = measure._id || measure.id || (measure.data && measure.data._id);
+
+  return id ? String(id) : JSON.stringify(measure.data === undefined ? null : measure.data);
+}
+
+/**
+ * Returns the time at which a measure was taken: the timestamp of the
+ * measure payload if there is a valid one, or the current time.
+ *
+ * @param {object} measure
+ * @return {number} The number of microseconds since the epoch.
+ */
+function getMeasureTime(measure) {
+  const candidates = [measure.timestamp, measure.data && measure.data.timestamp];
+
+  for (const candidate of candidates) {
+    const parsed = timestamps.parseTimestamp(candidate);
+
+    if (parsed !== null) {
+      return parsed;
+    }
+  }
+
+  return Date.now() * 1000;
+}
+
+/**
+ * Infers a table schema from rows extracted from the measures (or from the
+ * sample document) of a probe. Fields whose value is always null cannot be
+ * inferred, and are left out.
+ *
+ * @param {object} probe The probe object (specified in the configuration).
+ * @param {object[]} rows
+ * @param {string} [timestampColumn] The name of the timestamp column.
+ * @return {BigQuerySchema} The inferred schema.
+ */
+function inferSchemaForProbe(probe, rows, timestampColumn) {
+  const
+    column = timestampColumn || defaultTimestampColumn,
+    fields = schemaUtils.inferFields(rows);
+
+  if (!probe.timestamp) {
+    return {fields};
+  }
+
+  return {
+    fields: fields
+      .filter(field => field.name !== column)
+      .concat(buildTimestampField(column))
+  };
+}
+
 /**
  * Builds a table schema based on the list of events a monitor probe listens to.
  *
  * @param {string[]} hooks The list of events counted by the monitor.
+ * @param {string} [timestampColumn] The name of the timestamp column.
  * @return {BigQuerySchema} The schema.
  */
-function buildMonitorSchema(hooks) {
+function buildMonitorSchema(hooks, timestampColumn) {
   const schema = hooks.map(hookName => {
     return {
       name: normalizeFieldName(hookName),
@@ -261,11 +2280,7 @@ function buildMonitorSchema(hooks) {
       mode: 'NULLABLE'
     };
   });
-  schema.push({
-    name: 'timestamp',
-    type: 'TIMESTAMP',
-    mode: 'REQUIRED'
-  });
+  schema.push(buildTimestampField(timestampColumn));
 
   return {
     fields: schema
@@ -273,23 +2288,50 @@ function buildMonitorSchema(hooks) {
 }
 
 /**
- * Extracts the data from the measure (watchers and samplers pack the data in
- * a `content` attribute) and normalizes the attribute names to make them
- * BigQuery table-compliant.
+ * Extracts the rows from the measure data, and normalizes the attribute names
+ * to make them BigQuery table-compliant.
+ * Measures come in different shapes:
+ *   - watchers pack the data in a `content` attribute,
+ *   - samplers pack an array of sampled documents in a `content` attribute:
+ *     each document becomes a row,
+ *   - monitors and counters send the data as is.
+ *
+ * Nested documents are converted according to the probe `flatten` mode:
+ *   - "legacy" (default): nested attributes are moved to the top level,
+ *     losing their path,
+ *   - "path": nested attributes are moved to the top level, their column
+ *     name keeping their path (e.g. `user_id`),
+ *   - "record": nested objects and arrays are kept, to be stored in RECORD
+ *     and REPEATED columns.
  *
  * @param {object} data
- * @return {object}
+ * @param {ProbeConfiguration} [probe]
+ * @param {function(string)} [onCollision] Called when several attributes map to the same column.
+ * @return {object[]} The rows (may be empty if a sampler did not sample anything).
  */
-function extractMeasureData(data) {
-  if (data.content) {
-    let extractedData = [flattenObject(data.content)];
+function extractMeasureData(data, probe, onCollision) {
+  const mode = (probe && probe.flatten) || 'legacy';
+  let documents = [data];
 
-    return extractedData.map(datum => {
-      return normalizeMeasureData(datum);
-    });
+  if (data.content) {
+    documents = Array.isArray(data.content) ? data.content : [data.content];
   }
 
-  return normalizeMeasureData(data);
+  return documents.map(document => {
+    if (document === null || typeof document !== 'object') {
+      return normalizeMeasureData({value: document});
+    }
+
+    if (mode === 'path') {
+      return flatten.flattenPaths(document, normalizeFieldName, onCollision);
+    }
+
+    if (mode === 'record') {
+      return flatten.toRecord(document, normalizeFieldName, onCollision);
+    }
+
+    return normalizeMeasureData(flattenObject(document));
+  });
 }
 
 /**
@@ -0,0 +1,224 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  timestamps = require('./timestamp');
+
+/**
+ * @typedef {object} AggregateConfiguration
+ * @property {number} window The window size, in milliseconds.
+ * @property {object<string, string>} columns The aggregation of each column. Other columns keep their last value.
+ * @property {string} windowStartColumn Defaults to "window_start".
+ * @property {string} windowEndColumn Defaults to "window_end".
+ */
+
+const
+  aggregations = ['sum', 'max', 'min', 'avg', 'last'],
+  numericAggregations = ['sum', 'max', 'min', 'avg'];
+
+/**
+ * Rolls up the rows of a probe received during a time window into a single
+ * row.
+ *
+ * @class AggregateWindow
+ * @property {number} start The window start, in microseconds since the epoch
+ * @property {number} end The window end (excluded), in microseconds since the epoch
+ * @property {number} count The number of aggregated rows
+ */
+class AggregateWindow {
+  /**
+   * @param {number} start In microseconds since the epoch.
+   * @param {number} size In milliseconds.
+   */
+  constructor(start, size) {
+    this.start = start;
+    this.end = start + size * 1000;
+    this.count = 0;
+    this.columns = {};
+    this.timer = null;
+  }
+
+  /**
+   * @param {object} row
+   */
+  add(row) {
+    this.count++;
+
+    Object.keys(row).forEach(column => {
+      const
+        value = row[column],
+        accumulator = this.columns[column] || {sum: 0, count: 0, max: null, min: null, last: null};
+
+      this.columns[column] = accumulator;
+
+      if (value === undefined) {
+        return;
+      }
+
+      accumulator.last = value;
+
+      if (typeof value === 'number' && isFinite(value)) {
+        accumulator.sum += value;
+        accumulator.count++;
+        accumulator.max = accumulator.max === null ? value : Math.max(accumulator.max, value);
+        accumulator.min = accumulator.min === null ? value : Math.min(accumulator.min, value);
+      }
+    });
+  }
+
+  /**
+   * Builds the aggregated row. Numeric aggregations of columns without any
+   * numeric value are null.
+   *
+   * @param {AggregateConfiguration} aggregate
+   * @param {string} precision The precision of the window start and end columns.
+   * @return {object}
+   */
+  toRow(aggregate, precision) {
+    const
+      row = {},
+      windowColumns = getWindowColumns(aggregate);
+
+    Object.keys(this.columns).forEach(column => {
+      const
+        accumulator = this.columns[column],
+        aggregation = (aggregate.columns && aggregate.columns[column]) || 'last';
+
+      if (numericAggregations.indexOf(aggregation) !== -1 && accumulator.count === 0) {
+        row[column] = null;
+      }
+      else if (aggregation === 'avg') {
+        row[column] = accumulator.sum / accumulator.count;
+      }
+      else {
+        row[column] = accumulator[aggregation];
+      }
+    });
+
+    row[windowColumns.start] = timestamps.formatTimestamp(this.start, precision);
+    row[windowColumns.end] = timestamps.formatTimestamp(this.end, precision);
+
+    return row;
+  }
+}
+
+/**
+ * Windows are aligned on the epoch: a 1 minute window starts at the
+ * beginning of a minute.
+ *
+ * @param {number} time In microseconds since the epoch.
+ * @param {number} size The window size, in milliseconds.
+ * @return {number} The start of the window holding the time, in microseconds since the epoch.
+ */
+function getWindowStart(time, size) {
+  const sizeInMicroseconds = size * 1000;
+
+  return Math.floor(time / sizeInMicroseconds) * sizeInMicroseconds;
+}
+
+/**
+ * @param {AggregateConfiguration} aggregate
+ * @return {{start: string, end: string}} The names of the window start and end columns.
+ */
+function getWindowColumns(aggregate) {
+  return {
+    start: aggregate.windowStartColumn || 'window_start',
+    end: aggregate.windowEndColumn || 'window_end'
+  };
+}
+
+/**
+ * Computes the schema of the aggregated rows: the window start and end
+ * columns are added, and averaged INTEGER columns become FLOAT columns.
+ *
+ * @param {BigQuerySchema} schema The schema of the rows before aggregation.
+ * @param {AggregateConfiguration} aggregate
+ * @return {BigQuerySchema}
+ */
+function aggregateSchema(schema, aggregate) {
+  const
+    windowColumns = getWindowColumns(aggregate),
+    fields = schema.fields
+      .filter(field => field.name !== windowColumns.start && field.name !== windowColumns.end)
+      .map(field => {
+        const aggregation = aggregate.columns && aggregate.columns[field.name];
+
+        if (aggregation === 'avg' && field.type === 'INTEGER') {
+          return Object.assign({}, field, {type: 'FLOAT'});
+        }
+
+        return field;
+      });
+
+  return {
+    fields: fields.concat(
+      {name: windowColumns.start, type: 'TIMESTAMP', mode: 'NULLABLE'},
+      {name: windowColumns.end, type: 'TIMESTAMP', mode: 'NULLABLE'}
+    )
+  };
+}
+
+/**
+ * Checks the aggregate settings of a probe.
+ *
+ * @param {AggregateConfiguration} aggregate
+ * @return {string[]} The errors found, if any.
+ */
+function validateAggregate(aggregate) {
+  const errors = [];
+
+  if (typeof aggregate !== 'object' || aggregate === null || Array.isArray(aggregate)) {
+    return ['aggregate must be an object'];
+  }
+
+  if (typeof aggregate.window !== 'number' || !(aggregate.window > 0)) {
+    errors.push('aggregate.window must be a positive number of milliseconds');
+  }
+
+  if (aggregate.columns !== undefined && (typeof aggregate.columns !== 'object' || aggregate.columns === null || Array.isArray(aggregate.columns))) {
+    errors.push('aggregate.columns must be an object');
+  }
+  else {
+    Object.keys(aggregate.columns || {}).forEach(column => {
+      if (aggregations.indexOf(aggregate.columns[column]) === -1) {
+        errors.push(`aggregate.columns.${column} must be one of: ${aggregations.join(', ')}`);
+      }
+    });
+  }
+
+  ['windowStartColumn', 'windowEndColumn'].forEach(key => {
+    if (aggregate[key] !== undefined && (typeof aggregate[key] !== 'string' || aggregate[key].length === 0)) {
+      errors.push(`aggregate.${key} must be a non-empty string`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  aggregations,
+  AggregateWindow,
+  getWindowStart,
+  getWindowColumns,
+  aggregateSchema,
+  validateAggregate
+};
@@ -0,0 +1,315 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  Promise = require('bluebird'),
+  timestamps = require('./timestamp');
+
+/**
+ * Fields Kuzzle adds to the stored documents, which the live measures do
+ * not hold.
+ */
+const storedOnlyFields = ['_kuzzle_info', '_meta'];
+
+/**
+ * @typedef {object} BackfillProgress
+ * @property {string} probeName
+ * @property {string} from
+ * @property {string} to
+ * @property {string} status "running", "done" or "failed"
+ * @property {number|null} total The number of stored measures in the time range
+ * @property {number} processed The number of measures processed so far
+ * @property {number} skipped The number of measures already present in BigQuery (or without timestamp)
+ * @property {number} rows The number of rows sent to BigQuery
+ * @property {string} startedAt
+ * @property {string|null} endedAt
+ * @property {string|null} error
+ */
+
+/**
+ * Sends the measures of a probe stored in Kuzzle during a time range to
+ * BigQuery. The measures are read page by page, and turned into rows the
+ * same way as live measures.
+ * Rows already present in their table are skipped, so that a backfill can
+ * safely be run again. They are found by their insertId if the tables hold
+ * it (in the key column), or else by their timestamp.
+ *
+ * @class Backfill
+ * @property {BigQueryConnector} connector
+ * @property {object} options
+ * @property {BackfillProgress} progress
+ * @property {object<string, Promise<object<string, boolean>>>} existing InsertIds (or timestamps) already present, per table
+ */
+class Backfill {
+  /**
+   * @param {BigQueryConnector} connector
+   * @param {object} options
+   * @param {string} options.probeName
+   * @param {number} options.from Start of the time range, in microseconds since the epoch
+   * @param {number} options.to End of the time range, in microseconds since the epoch
+   * @param {string} options.index The index holding the stored measures
+   * @param {string} options.collection The collection holding the stored measures
+   * @param {string} options.timestampField The field holding the time of the stored measures
+   * @param {number} options.pageSize
+   * @param {string} options.timestampColumn The timestamp column of the tables (once transformed)
+   * @param {string} options.precision The timestamp precision of the probe
+   * @param {?string} options.keyColumn The column holding the insertIds of the rows, if any
+   * @param {Request} [options.request] The request that started the backfill
+   */
+  constructor(connector, options) {
+    this.connector = connector;
+    this.options = options;
+    this.existing = {};
+    this.progress = {
+      probeName: options.probeName,
+      from: new Date(options.from / 1000).toISOString(),
+      to: new Date(options.to / 1000).toISOString(),
+      status: 'running',
+      total: null,
+      processed: 0,
+      skipped: 0,
+      rows: 0,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      error: null
+    };
+  }
+
+  /**
+   * @return {Promise<BackfillProgress>}
+   */
+  run() {
+    const
+      log = this.connector.context.log,
+      range = {};
+
+    range[this.options.timestampField] = {
+      gte: Math.floor(this.options.from / 1000),
+      lte: Math.ceil(this.options.to / 1000)
+    };
+
+    return this.execute({
+      controller: 'document',
+      action: 'search',
+      index: this.options.index,
+      collection: this.options.collection,
+      scroll: '1m',
+      size: this.options.pageSize,
+      body: {
+        query: {range},
+        sort: [{[this.options.timestampField]: 'asc'}]
+      }
+    })
+      .then(result => this.processPage(result))
+      .then(() => {
+        this.progress.status = 'done';
+        this.progress.endedAt = new Date().toISOString();
+        log.info(`Backfill of probe ${this.options.probeName} done: ${this.progress.processed} measures processed, ${this.progress.skipped} skipped, ${this.progress.rows} rows sent`);
+        return this.progress;
+      })
+      .catch(err => {
+        this.progress.status = 'failed';
+        this.progress.endedAt = new Date().toISOString();
+        this.progress.error = err.message;
+        log.error(`Backfill of probe ${this.options.probeName} failed: ${err.message}`);
+        return Promise.reject(err);
+      });
+  }
+
+  /**
+   * Processes a page of search results, then fetches the next one.
+   *
+   * @param {{hits: object[], total: number, scrollId: string}} result
+   * @return {Promise}
+   */
+  processPage(result) {
+    if (this.progress.total === null) {
+      this.progress.total = result.total;
+    }
+
+    if (result.hits.length === 0) {
+      return Promise.resolve();
+    }
+
+    return this.processHits(result.hits)
+      .then(() => {
+        this.connector.context.log.info(`Backfill of probe ${this.options.probeName}: ${this.progress.processed}/${this.progress.total} measures processed`);
+
+        if (!result.scrollId || this.progress.processed >= this.progress.total) {
+          return;
+        }
+
+        return this.execute({controller: 'document', action: 'scroll', scrollId: result.scrollId, scroll: '1m'})
+          .then(next => this.processPage(next));
+      });
+  }
+
+  /**
+   * Builds the rows of stored measures, and sends the ones missing from
+   * their table.
+   *
+   * @param {{_id: string, _source: object}[]} hits
+   * @return {Promise}
+   */
+  processHits(hits) {
+    const batches = {};
+
+    return Promise.mapSeries(hits, hit => {
+      const time = timestamps.parseTimestamp(hit._source[this.options.timestampField]);
+
+      this.progress.processed++;
+
+      if (time === null) {
+        this.progress.skipped++;
+        return;
+      }
+
+      const tables = this.connector.buildRows({
+        probeName: this.options.probeName,
+        timestamp: hit._source[this.options.timestampField],
+        data: getMeasureData(hit._source)
+      });
+
+      let missing = 0;
+
+      return Promise.mapSeries(Object.keys(tables), tableName => {
+        return Promise.filter(tables[tableName], entry => this.isPresent(tableName, entry, time).then(present => !present))
+          .then(entries => {
+            missing += entries.length;
+            batches[tableName] = (batches[tableName] || []).concat(entries);
+          });
+      })
+        .then(() => {
+          if (missing === 0) {
+            this.progress.skipped++;
+          }
+        });
+    })
+      .then(() => Promise.mapSeries(Object.keys(batches).filter(tableName => batches[tableName].length > 0), tableName => this.insert(tableName, batches[tableName])));
+  }
+
+  /**
+   * @param {string} tableName
+   * @param {BufferedRow[]} entries
+   * @return {Promise}
+   */
+  insert(tableName, entries) {
+    const batches = [];
+
+    for (let i = 0; i < entries.length; i += this.connector.batch.maxBatchSize) {
+      batches.push(entries.slice(i, i + this.connector.batch.maxBatchSize));
+    }
+
+    return Promise.mapSeries(batches, batch => {
+      return this.connector.processBatch(tableName, batch)
+        .then(() => {
+          this.progress.rows += batch.length;
+        });
+    });
+  }
+
+  /**
+   * @param {string} tableName
+   * @param {BufferedRow} entry
+   * @param {number} time The measure time, in microseconds
+   * @return {Promise<boolean>} True if the row is already present in the table.
+   */
+  isPresent(tableName, entry, time) {
+    if (!this.existing[tableName]) {
+      this.existing[tableName] = this.getExistingRows(tableName);
+    }
+
+    const key = this.options.keyColumn
+      ? entry.insertId
+      : timestamps.roundTimestamp(time, this.options.precision);
+
+    return this.existing[tableName]
+      .then(existing => Boolean(existing[key]));
+  }
+
+  /**
+   * Lists the insertIds (or, without key column, the timestamps) of the
+   * rows present in a table during the time range.
+   *
+   * @param {string} tableName
+   * @return {Promise<object<string, boolean>>}
+   */
+  getExistingRows(tableName) {
+    const
+      reference = this.connector.parseTableId(tableName),
+      column = this.options.timestampColumn,
+      selected = this.options.keyColumn ? `\`${this.options.keyColumn}\`` : `UNIX_MICROS(\`${column}\`)`,
+      query = `SELECT DISTINCT ${selected} AS id FROM \`${reference.projectId}.${reference.dataSet}.${reference.tableName}\``
+        + ` WHERE \`${column}\` BETWEEN TIMESTAMP_MICROS(@from) AND TIMESTAMP_MICROS(@to)`;
+
+    return this.connector.getClient(reference.projectId)
+      // timestamps are rounded to the precision of the probe: widen the range accordingly
+      .query({query, params: {from: this.options.from - 1000000, to: this.options.to + 1000000}})
+      .then(data => {
+        const existing = {};
+
+        data[0].forEach(row => {
+          existing[this.options.keyColumn ? row.id : Number(row.id)] = true;
+        });
+
+        return existing;
+      })
+      .catch(err => {
+        if (err.code === 404) {
+          // the table does not exist yet
+          return {};
+        }
+
+        return Promise.reject(err);
+      });
+  }
+
+  /**
+   * Executes a Kuzzle API request, on behalf of the user who started the
+   * backfill.
+   *
+   * @param {object} data
+   * @return {Promise<object>} The result of the request.
+   */
+  execute(data) {
+    const context = this.connector.context;
+
+    return context.accessors.execute(new context.constructors.Request(this.options.request, data))
+      .then(response => response.result);
+  }
+}
+
+/**
+ * @param {object} source A stored measure.
+ * @return {object} The data of the measure, as received by the probe.
+ */
+function getMeasureData(source) {
+  const data = Object.assign({}, source);
+
+  storedOnlyFields.forEach(field => {
+    delete data[field];
+  });
+
+  return data;
+}
+
+module.exports = Backfill;
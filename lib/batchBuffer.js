@@ -0,0 +1,124 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  Promise = require('bluebird');
+
+/**
+ * In-memory buffer accumulating the rows destined to a single table.
+ * The rows are handed to the flush handler as soon as the buffer holds
+ * `maxBatchSize` rows, or when `flushInterval` milliseconds have elapsed
+ * since the first row was buffered, whichever comes first.
+ *
+ * @class BatchBuffer
+ * @property {function} onFlush
+ * @property {number} maxBatchSize
+ * @property {number} flushInterval
+ * @property {function(Error)} onError
+ * @property {object[]} rows
+ */
+class BatchBuffer {
+  /**
+   * @param {function(object[]): Promise} onFlush Called with every batch of rows to send.
+   * @param {{maxBatchSize: number, flushInterval: number, onError: function(Error)}} options
+   *   `onError` is called when a flush triggered by the timer fails.
+   */
+  constructor(onFlush, options) {
+    this.onFlush = onFlush;
+    this.maxBatchSize = options.maxBatchSize;
+    this.flushInterval = options.flushInterval;
+    this.onError = options.onError || (() => {});
+    this.rows = [];
+    this.timer = null;
+  }
+
+  /**
+   * @return {number} The number of rows waiting to be flushed.
+   */
+  get length() {
+    return this.rows.length;
+  }
+
+  /**
+   * Adds rows to the buffer, flushing it if it is full.
+   *
+   * @param {object|object[]} rows
+   * @return {Promise}
+   */
+  push(rows) {
+    [].concat(rows).forEach(row => this.rows.push(row));
+
+    if (this.rows.length >= this.maxBatchSize) {
+      return this.flush();
+    }
+
+    if (!this.timer && this.rows.length > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        // nothing waits for this flush: a failure must not end the process
+        this.flush().catch(err => this.onError(err));
+      }, this.flushInterval);
+
+      // a pending flush must not keep the process alive
+      this.timer.unref();
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Empties the buffer, sending its rows in batches of at most
+   * `maxBatchSize` rows.
+   *
+   * @return {Promise}
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batches = [];
+
+    while (this.rows.length > 0) {
+      batches.push(this.rows.splice(0, this.maxBatchSize));
+    }
+
+    return Promise.all(batches.map(batch => Promise.try(() => this.onFlush(batch))));
+  }
+
+  /**
+   * Empties the buffer without flushing it.
+   *
+   * @return {object[]} The rows that were waiting to be flushed.
+   */
+  clear() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    return this.rows.splice(0, this.rows.length);
+  }
+}
+
+module.exports = BatchBuffer;
@@ -0,0 +1,470 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  aggregates = require('./aggregate'),
+  rules = require('./rules'),
+  tableOptions = require('./tableOptions'),
+  timestamps = require('./timestamp'),
+  transforms = require('./transform');
+
+const
+  probeTypes = ['monitor', 'counter', 'watcher', 'sampler'],
+  rejectedRowsHandlers = ['spool', 'event', 'ignore'],
+  schemaDriftPolicies = ['warn', 'fail', 'migrate-additive'],
+  flattenModes = ['legacy', 'path', 'record'],
+  ingestionModes = ['streaming', 'load'],
+  probeSources = ['probe', 'events'],
+  sinks = ['bigquery', 'dry-run', 'file'],
+  fieldTypes = [
+    'STRING', 'BYTES', 'INTEGER', 'INT64', 'FLOAT', 'FLOAT64', 'NUMERIC', 'BOOLEAN', 'BOOL',
+    'TIMESTAMP', 'DATE', 'TIME', 'DATETIME', 'GEOGRAPHY', 'RECORD', 'STRUCT'
+  ],
+  fieldModes = ['NULLABLE', 'REQUIRED', 'REPEATED'];
+
+/**
+ * A node of the configuration schema. Every key is optional:
+ *   - type: "string", "number", "integer", "boolean", "object" or "array",
+ *     or a list of them,
+ *   - enum: the allowed values,
+ *   - minimum: the minimum value of a number,
+ *   - minItems: the minimum length of an array,
+ *   - items: the schema of the items of an array,
+ *   - properties: the schema of each known key of an object, other keys are reported,
+ *   - required: the mandatory keys of an object,
+ *   - values: the schema of every value of an object used as a map,
+ *   - validate: checks that cannot be described by the schema, returning
+ *     errors relative to the node.
+ *
+ * @typedef {object} ConfigSchema
+ */
+
+const fieldSchema = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: {type: 'string'},
+    type: {type: 'string', enum: fieldTypes},
+    mode: {type: 'string', enum: fieldModes},
+    description: {type: 'string'},
+    fields: {type: 'array'}
+  },
+  validate: field => {
+    if ((field.type === 'RECORD' || field.type === 'STRUCT') && !Array.isArray(field.fields)) {
+      return [`fields is mandatory for ${field.type} fields`];
+    }
+
+    return [];
+  }
+};
+
+// RECORD fields hold fields themselves
+fieldSchema.properties.fields.items = fieldSchema;
+
+const probeSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: {type: 'string', enum: probeTypes},
+    tableName: {type: 'string'},
+    dataSet: {type: 'string'},
+    projectId: {type: 'string'},
+    timestamp: {type: 'boolean'},
+    timestampColumn: {type: 'string'},
+    timestampPrecision: {type: 'string', enum: timestamps.precisions},
+    hooks: {type: 'array', minItems: 1, items: {type: 'string'}},
+    schema: {
+      type: 'object',
+      required: ['fields'],
+      properties: {
+        fields: {type: 'array', items: fieldSchema}
+      }
+    },
+    flatten: {type: 'string', enum: flattenModes},
+    inferSchema: {type: 'boolean'},
+    sample: {type: 'object'},
+    partitioning: {
+      type: 'object',
+      properties: {type: {}, field: {type: 'string'}, expirationMs: {}, requirePartitionFilter: {type: 'boolean'}}
+    },
+    clustering: {},
+    transform: {
+      type: 'object',
+      properties: {add: {}, compute: {}, cast: {}, hash: {}, salt: {type: 'string'}, redact: {}, drop: {}, rename: {}}
+    },
+    filter: {},
+    routes: {},
+    insertIdFields: {type: 'array', minItems: 1, items: {type: 'string'}},
+    insertIdColumn: {type: 'string'},
+    schemaDriftPolicy: {type: 'string', enum: schemaDriftPolicies},
+    schemaEvolution: {type: 'boolean'},
+    ingestionMode: {type: 'string', enum: ingestionModes},
+    aggregate: {
+      type: 'object',
+      properties: {window: {}, columns: {}, windowStartColumn: {}, windowEndColumn: {}}
+    },
+    source: {type: 'string', enum: probeSources},
+    events: {type: 'array', minItems: 1, items: {type: 'string'}},
+    index: {type: 'string'},
+    collections: {type: 'array', minItems: 1, items: {type: 'string'}}
+  },
+  validate: validateProbe
+};
+
+const configSchema = {
+  type: 'object',
+  required: ['dataSet', 'probes'],
+  properties: {
+    projectId: {type: 'string'},
+    credentials: {type: 'object'},
+    keyFilename: {type: 'string'},
+    keyFileWatchInterval: {type: 'number', minimum: 1},
+    credentialsEnv: {type: 'string'},
+    dataSet: {type: 'string'},
+    sink: {type: 'string', enum: sinks},
+    sinkDirectory: {type: 'string'},
+    probes: {type: 'object', values: probeSchema},
+    probePluginName: {type: ['string', 'array'], minItems: 1, items: {type: 'string'}},
+    maxBatchSize: {type: 'integer', minimum: 1},
+    flushInterval: {type: 'number', minimum: 1},
+    shutdownTimeout: {type: 'number', minimum: 1},
+    retry: {
+      type: 'object',
+      properties: {
+        retries: {type: 'integer', minimum: 0},
+        minDelay: {type: 'number', minimum: 0},
+        maxDelay: {type: 'number', minimum: 0},
+        factor: {type: 'number', minimum: 1}
+      }
+    },
+    spool: {
+      type: 'object',
+      properties: {
+        path: {type: 'string'},
+        rejectedPath: {type: 'string'},
+        replayOnInit: {type: 'boolean'}
+      }
+    },
+    load: {
+      type: 'object',
+      properties: {
+        directory: {type: 'string'},
+        maxFileSize: {type: 'integer', minimum: 1},
+        maxFileAge: {type: 'number', minimum: 1},
+        retries: {type: 'integer', minimum: 0}
+      }
+    },
+    rejectedRowsHandler: {type: 'string', enum: rejectedRowsHandlers},
+    timestampColumn: {type: 'string'},
+    timestampPrecision: {type: 'string', enum: timestamps.precisions},
+    schemaDriftPolicy: {type: 'string', enum: schemaDriftPolicies},
+    tableCacheSize: {type: 'integer', minimum: 1},
+    backfill: {
+      type: 'object',
+      properties: {
+        index: {type: 'string'},
+        timestampField: {type: 'string'},
+        pageSize: {type: 'integer', minimum: 1}
+      }
+    },
+    // set by Kuzzle
+    privileged: {type: 'boolean'},
+    activated: {type: 'boolean'}
+  },
+  validate: config => {
+    const
+      errors = [],
+      sources = ['credentials', 'keyFilename', 'credentialsEnv'].filter(key => config[key] !== undefined);
+
+    if (sources.length > 1) {
+      errors.push(`${sources.join(', ')}: only one credentials source can be configured`);
+    }
+
+    // the local sinks never connect to a project
+    if ((config.sink === undefined || config.sink === 'bigquery') && (config.projectId === undefined || config.projectId === null)) {
+      errors.push('projectId is mandatory for the "bigquery" sink');
+    }
+
+    if (config.sinkDirectory !== undefined && config.sink !== 'file') {
+      errors.push('sinkDirectory is only used by the "file" sink');
+    }
+
+    return errors;
+  }
+};
+
+/**
+ * Checks the plugin configuration.
+ *
+ * @param {object} config
+ * @return {string[]} Every error found, prefixed with the path of the faulty key.
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  validateValue(config, configSchema, '', errors);
+
+  return errors;
+}
+
+/**
+ * Checks the configuration of a single probe, added or updated at runtime.
+ *
+ * @param {string} probeName
+ * @param {object} probe
+ * @return {string[]} Every error found, prefixed with the probe name and the path of the faulty key.
+ */
+function validateProbeConfig(probeName, probe) {
+  const errors = [];
+
+  validateValue(probe, probeSchema, probeName, errors);
+
+  return errors;
+}
+
+/**
+ * The checks of a probe involving several keys, or delegated to the
+ * module handling the key.
+ *
+ * @param {object} probe
+ * @return {string[]}
+ */
+function validateProbe(probe) {
+  let errors = [];
+
+  if (probe.type === 'monitor' && probe.hooks === undefined) {
+    errors.push('hooks is mandatory for monitor probes');
+  }
+
+  if ((probe.type === 'watcher' || probe.type === 'sampler') && !probe.schema && !probe.inferSchema) {
+    errors.push(`schema is mandatory for ${probe.type} probes, unless inferSchema is set`);
+  }
+
+  if (isObject(probe.transform)) {
+    errors = errors.concat(transforms.validateTransform(probe.transform));
+  }
+
+  if (isObject(probe.aggregate)) {
+    errors = errors.concat(aggregates.validateAggregate(probe.aggregate));
+
+    if (probe.type !== 'counter' && probe.type !== 'monitor') {
+      errors.push('aggregate is only available for counter and monitor probes');
+    }
+  }
+
+  if (probe.source === 'events') {
+    if (probe.type === 'monitor' && probe.events !== undefined) {
+      errors.push('events is not used by monitor probes: the events they listen to are their hooks');
+    }
+
+    if (probe.type !== 'monitor' && probe.events === undefined) {
+      errors.push('events is mandatory for probes whose source is "events"');
+    }
+
+    if (probe.collections !== undefined && probe.index === undefined) {
+      errors.push('collections requires index');
+    }
+  }
+  else {
+    ['events', 'index', 'collections']
+      .filter(key => probe[key] !== undefined)
+      .forEach(key => errors.push(`${key} is only available for probes whose source is "events"`));
+  }
+
+  return errors
+    .concat(tableOptions.validateTableOptions(probe))
+    .concat(rules.validateRules(probe));
+}
+
+/**
+ * @param {*} value
+ * @param {ConfigSchema} schema
+ * @param {string} path
+ * @param {string[]} errors Where the errors are added.
+ */
+function validateValue(value, schema, path, errors) {
+  const name = path || 'The configuration';
+
+  if (schema.type && ![].concat(schema.type).some(type => matchesType(value, type))) {
+    errors.push(`${name} must be ${[].concat(schema.type).map(describeType).join(' or ')}`);
+    return;
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${name} must be greater than or equal to ${schema.minimum}`);
+  }
+
+  if (schema.minItems !== undefined && Array.isArray(value) && value.length < schema.minItems) {
+    errors.push(`${name} must have at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${joinPath(path, key)} is mandatory`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) {
+        if (value[key] !== undefined) {
+          validateValue(value[key], schema.properties[key], joinPath(path, key), errors);
+        }
+        return;
+      }
+
+      const suggestion = suggest(key, Object.keys(schema.properties));
+
+      errors.push(`${joinPath(path, key)} is not a known option${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    });
+  }
+
+  if (schema.values) {
+    Object.keys(value).forEach(key => validateValue(value[key], schema.values, joinPath(path, key), errors));
+  }
+
+  if (schema.validate) {
+    schema.validate(value).forEach(error => errors.push(joinPath(path, error)));
+  }
+}
+
+/**
+ * Finds the known key closest to an unknown one, to hint at a typo.
+ *
+ * @param {string} key
+ * @param {string[]} candidates
+ * @return {string|null} The closest candidate, or null if none is close enough.
+ */
+function suggest(key, candidates) {
+  const
+    normalize = name => name.toLowerCase().replace(/[_-]/g, ''),
+    maxDistance = Math.max(2, Math.floor(key.length / 4));
+  let
+    best = null,
+    bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = normalize(candidate) === normalize(key) ? 0 : levenshtein(key.toLowerCase(), candidate.toLowerCase());
+
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} The edit distance between two strings.
+ */
+function levenshtein(a, b) {
+  let previous = [];
+
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      ));
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * @param {*} value
+ * @param {string} type
+ * @return {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'object':
+      return isObject(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * @param {string} type
+ * @return {string}
+ */
+function describeType(type) {
+  return ['object', 'array', 'integer'].indexOf(type) === -1 ? `a ${type}` : `an ${type}`;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} True if the value is an object, and not an array.
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string} path
+ * @param {string} key
+ * @return {string}
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+module.exports = {
+  probeTypes,
+  rejectedRowsHandlers,
+  schemaDriftPolicies,
+  flattenModes,
+  ingestionModes,
+  probeSources,
+  sinks,
+  validateConfig,
+  validateProbeConfig,
+  suggest
+};
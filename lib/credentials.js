@@ -0,0 +1,142 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  fs = require('fs'),
+  path = require('path');
+
+/**
+ * @typedef {object} CredentialsSource
+ * @property {string} type "inline", "keyFilename", "environment" or "default"
+ * @property {string} [keyFilename] The absolute path of the key file
+ * @property {string} [variable] The name of the environment variable holding the key
+ * @property {object} [credentials] The service account key, unless Application Default Credentials are used
+ */
+
+/**
+ * Resolves the credentials used by the BigQuery clients, from the first
+ * configured source: an inline `credentials` object, a `keyFilename`
+ * path, or a `credentialsEnv` environment variable holding the JSON key.
+ * Without any of them, the client uses Application Default Credentials.
+ * Error messages never include the content of the key.
+ *
+ * @param {{credentials: object, keyFilename: string, credentialsEnv: string}} config
+ * @param {object<string, string>} env The environment variables.
+ * @return {CredentialsSource}
+ * @throws {Error} If the key cannot be read.
+ */
+function resolveCredentials(config, env) {
+  if (config.credentials) {
+    return {type: 'inline', credentials: config.credentials};
+  }
+
+  if (config.keyFilename) {
+    const keyFilename = path.resolve(config.keyFilename);
+
+    return {type: 'keyFilename', keyFilename, credentials: readKeyFile(keyFilename)};
+  }
+
+  if (config.credentialsEnv) {
+    if (!env[config.credentialsEnv]) {
+      throw new Error(`The environment variable ${config.credentialsEnv} is not set`);
+    }
+
+    return {
+      type: 'environment',
+      variable: config.credentialsEnv,
+      credentials: parseKey(env[config.credentialsEnv], `The environment variable ${config.credentialsEnv}`)
+    };
+  }
+
+  return {type: 'default'};
+}
+
+/**
+ * @param {string} keyFilename
+ * @return {object} The service account key stored in the file.
+ * @throws {Error} If the file cannot be read, or does not hold a JSON key.
+ */
+function readKeyFile(keyFilename) {
+  let content;
+
+  try {
+    content = fs.readFileSync(keyFilename, 'utf8');
+  }
+  catch (error) {
+    throw new Error(`Unable to read the key file ${keyFilename}: ${error.code || error.message}`);
+  }
+
+  return parseKey(content, `The key file ${keyFilename}`);
+}
+
+/**
+ * @param {string} content
+ * @param {string} origin Where the key comes from, for error messages.
+ * @return {object}
+ * @throws {Error} If the content is not a service account key.
+ */
+function parseKey(content, origin) {
+  let key;
+
+  try {
+    key = JSON.parse(content);
+  }
+  catch (error) {
+    // the parse error message may quote the content
+    throw new Error(`${origin} does not hold a valid JSON key`);
+  }
+
+  if (!key || typeof key !== 'object' || !key.client_email || !key.private_key) {
+    throw new Error(`${origin} does not hold a service account key (client_email and private_key are mandatory)`);
+  }
+
+  return key;
+}
+
+/**
+ * Describes credentials without disclosing any secret, for log messages.
+ *
+ * @param {CredentialsSource} source
+ * @return {string}
+ */
+function describeCredentials(source) {
+  const account = source.credentials && source.credentials.client_email
+    ? `the service account ${source.credentials.client_email}`
+    : 'the configured credentials';
+
+  switch (source.type) {
+    case 'keyFilename':
+      return `${account}, from the key file ${source.keyFilename}`;
+    case 'environment':
+      return `${account}, from the environment variable ${source.variable}`;
+    case 'default':
+      return 'the Application Default Credentials';
+    default:
+      return account;
+  }
+}
+
+module.exports = {
+  resolveCredentials,
+  readKeyFile,
+  describeCredentials
+};
@@ -0,0 +1,141 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  crypto = require('crypto');
+
+/**
+ * @param {ProbeConfiguration} probe
+ * @return {string[]} The Kuzzle events a probe listens to, if its source is "events".
+ */
+function getProbeEvents(probe) {
+  if (!probe || probe.source !== 'events') {
+    return [];
+  }
+
+  return (probe.type === 'monitor' ? probe.hooks : probe.events) || [];
+}
+
+/**
+ * Lists the Kuzzle events listened to by a set of probes.
+ *
+ * @param {object<string,ProbeConfiguration>} probes
+ * @return {string[]}
+ */
+function listEvents(probes) {
+  const events = [];
+
+  Object.keys(probes).forEach(probeName => {
+    getProbeEvents(probes[probeName])
+      .filter(event => events.indexOf(event) === -1)
+      .forEach(event => events.push(event));
+  });
+
+  return events;
+}
+
+/**
+ * Builds the measure of a Kuzzle event captured by a probe, shaped like
+ * the measures of the Enterprise Probe plugin:
+ *   - monitors count the event in the column of the event,
+ *   - counters count the event,
+ *   - watchers and samplers get the documents of the event (the documents
+ *     of the request for document events, or else the event payload).
+ *
+ * Events of requests on other indexes or collections than the ones of
+ * the probe are ignored.
+ *
+ * @param {string} probeName
+ * @param {ProbeConfiguration} probe
+ * @param {string} event
+ * @param {*} payload
+ * @return {object|null} The measure, or null if the event is ignored.
+ */
+function buildEventMeasure(probeName, probe, event, payload) {
+  const resource = isRequest(payload) ? payload.input.resource || {} : {};
+
+  if (probe.index !== undefined && resource.index !== probe.index) {
+    return null;
+  }
+
+  if (probe.collections !== undefined && probe.collections.indexOf(resource.collection) === -1) {
+    return null;
+  }
+
+  const measure = {
+    // events are unique: identical events must not share their insertId
+    id: isRequest(payload) && payload.id ? `${event}:${payload.id}` : crypto.randomBytes(16).toString('hex'),
+    probeName,
+    timestamp: Date.now()
+  };
+
+  if (probe.type === 'monitor') {
+    measure.data = {};
+    measure.data[event] = 1;
+  }
+  else if (probe.type === 'counter') {
+    measure.data = {count: 1};
+  }
+  else {
+    measure.data = {content: getEventDocuments(payload)};
+  }
+
+  return measure;
+}
+
+/**
+ * @param {*} payload
+ * @return {object|object[]} The documents of a request (with their _id), or else the payload.
+ */
+function getEventDocuments(payload) {
+  if (payload === null || typeof payload !== 'object') {
+    return {value: payload};
+  }
+
+  if (!isRequest(payload)) {
+    return payload;
+  }
+
+  const
+    resource = payload.input.resource || {},
+    result = payload.result || {};
+
+  if (Array.isArray(result.hits)) {
+    return result.hits.map(hit => Object.assign({_id: hit._id}, hit._source));
+  }
+
+  return Object.assign({_id: result._id || resource._id}, payload.input.body, result._source);
+}
+
+/**
+ * @param {*} payload
+ * @return {boolean} True if the event payload is a Kuzzle request.
+ */
+function isRequest(payload) {
+  return Boolean(payload && typeof payload === 'object' && payload.input && typeof payload.input === 'object');
+}
+
+module.exports = {
+  getProbeEvents,
+  listEvents,
+  buildEventMeasure
+};
@@ -0,0 +1,200 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @typedef {function(string): string} FieldNameNormalizer
+ * @typedef {function(string)} CollisionHandler Called with the name of a column set more than once.
+ */
+
+/**
+ * Flattens a document into a single-level row, keeping the path of nested
+ * attributes in the column names: `{user: {id: 1}}` becomes `{user_id: 1}`.
+ * Arrays of scalar values are kept as is (REPEATED columns), other arrays are
+ * JSON-encoded.
+ * If several attributes end up with the same column name, the first value is
+ * kept and the collision is reported.
+ *
+ * @param {object} document
+ * @param {FieldNameNormalizer} normalize
+ * @param {CollisionHandler} [onCollision]
+ * @return {object}
+ */
+function flattenPaths(document, normalize, onCollision) {
+  const row = {};
+
+  flattenInto(row, document, '', normalize, onCollision || (() => {}));
+
+  return row;
+}
+
+/**
+ * @param {object} row The row being built.
+ * @param {object} object The object to flatten.
+ * @param {string} prefix The column name prefix of the object attributes.
+ * @param {FieldNameNormalizer} normalize
+ * @param {CollisionHandler} onCollision
+ */
+function flattenInto(row, object, prefix, normalize, onCollision) {
+  Object.keys(object).forEach(key => {
+    const
+      column = prefix + normalize(key),
+      value = object[key];
+
+    if (isPlainObject(value)) {
+      flattenInto(row, value, `${column}_`, normalize, onCollision);
+      return;
+    }
+
+    let flatValue = value;
+
+    if (Array.isArray(value)) {
+      flatValue = value.every(item => !isPlainObject(item) && !Array.isArray(item))
+        ? value.filter(item => item !== null && item !== undefined)
+        : JSON.stringify(value);
+    }
+
+    setColumn(row, column, flatValue, onCollision);
+  });
+}
+
+/**
+ * Converts a document into a row holding nested objects and arrays, matching
+ * BigQuery RECORD and REPEATED columns. Attribute names are normalized at
+ * every level, null items are removed from arrays (BigQuery does not accept
+ * them), and nested arrays are JSON-encoded.
+ *
+ * @param {object} document
+ * @param {FieldNameNormalizer} normalize
+ * @param {CollisionHandler} [onCollision]
+ * @return {object}
+ */
+function toRecord(document, normalize, onCollision) {
+  const
+    handler = onCollision || (() => {}),
+    record = {};
+
+  Object.keys(document).forEach(key => {
+    setColumn(record, normalize(key), toRecordValue(document[key], normalize, handler), handler);
+  });
+
+  return record;
+}
+
+/**
+ * @param {*} value
+ * @param {FieldNameNormalizer} normalize
+ * @param {CollisionHandler} onCollision
+ * @return {*}
+ */
+function toRecordValue(value, normalize, onCollision) {
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => item !== null && item !== undefined)
+      .map(item => Array.isArray(item) ? JSON.stringify(item) : toRecordValue(item, normalize, onCollision));
+  }
+
+  if (isPlainObject(value)) {
+    return toRecord(value, normalize, onCollision);
+  }
+
+  return value;
+}
+
+/**
+ * Converts a schema describing nested documents into the schema of the rows
+ * produced by `flattenPaths`: RECORD fields are replaced by their sub-fields,
+ * prefixed with the record name, and repeated records become JSON-encoded
+ * STRING fields.
+ *
+ * @param {BigQuerySchema} schema
+ * @return {BigQuerySchema}
+ */
+function flattenSchema(schema) {
+  return {
+    fields: flattenFields(schema.fields || [], '', false)
+  };
+}
+
+/**
+ * @param {BigQueryField[]} fields
+ * @param {string} prefix
+ * @param {boolean} nullable Whether the fields belong to a nullable record.
+ * @return {BigQueryField[]}
+ */
+function flattenFields(fields, prefix, nullable) {
+  return fields.reduce((flatFields, field) => {
+    const
+      name = prefix + field.name,
+      mode = field.mode || 'NULLABLE',
+      isRecord = ['RECORD', 'STRUCT'].indexOf((field.type || '').toUpperCase()) !== -1;
+
+    if (isRecord && mode === 'REPEATED') {
+      flatFields.push({name, type: 'STRING', mode: 'NULLABLE'});
+    }
+    else if (isRecord) {
+      Array.prototype.push.apply(flatFields, flattenFields(field.fields || [], `${name}_`, nullable || mode === 'NULLABLE'));
+    }
+    else {
+      flatFields.push({
+        name,
+        type: field.type,
+        mode: nullable && mode === 'REQUIRED' ? 'NULLABLE' : mode
+      });
+    }
+
+    return flatFields;
+  }, []);
+}
+
+/**
+ * Sets a column value, unless a column with the same name (BigQuery column
+ * names are case-insensitive) already exists.
+ *
+ * @param {object} row
+ * @param {string} column
+ * @param {*} value
+ * @param {CollisionHandler} onCollision
+ */
+function setColumn(row, column, value, onCollision) {
+  const existing = Object.keys(row).find(name => name.toLowerCase() === column.toLowerCase());
+
+  if (existing !== undefined) {
+    onCollision(column);
+    return;
+  }
+
+  row[column] = value;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+module.exports = {
+  flattenPaths,
+  toRecord,
+  flattenSchema
+};
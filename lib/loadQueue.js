@@ -0,0 +1,325 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  retryWithBackoff = require('./retry').retryWithBackoff,
+  appendFile = Promise.promisify(fs.appendFile),
+  mkdir = Promise.promisify(fs.mkdir),
+  readdir = Promise.promisify(fs.readdir),
+  rename = Promise.promisify(fs.rename),
+  unlink = Promise.promisify(fs.unlink);
+
+const defaultOptions = {
+  maxFileSize: 10 * 1024 * 1024,
+  maxFileAge: 5 * 60 * 1000,
+  retries: 3
+};
+
+/**
+ * Maximum number of load jobs kept in the history.
+ */
+const maxJobHistory = 100;
+
+/**
+ * Name of the files holding the rows of a table: the table name, the file
+ * creation time and a sequence number.
+ */
+const fileNamePattern = /^(.+)\.(\d+)-(\d+)\.ndjson(\.failed)?$/;
+
+/**
+ * @typedef {{path: string, table: string, size: number, probes: ?object<string,number>, timer: Timeout}} LoadFile
+ * @typedef {{file: string, table: string, rows: number, probes: object<string,number>, status: string, attempts: number, jobId: string, error: string, date: string}} LoadJob
+ */
+
+/**
+ * Writes rows to local NDJSON files, one file per table, and hands them to
+ * a load function (a BigQuery load job) once they are big or old enough.
+ * Files are loaded one at a time. A file that could not be loaded, even
+ * after retrying, is renamed with a ".failed" extension and loaded again
+ * at the next rotation triggered by the age of a file, or at the next
+ * recovery.
+ *
+ * @class LoadQueue
+ * @property {string} directory
+ * @property {object<string,LoadFile>} files The files being written, per table
+ * @property {object<string,string>} failed The files that could not be loaded, with their table
+ * @property {LoadJob[]} jobs The most recent load jobs
+ */
+class LoadQueue {
+  /**
+   * @param {string} directory Where the files are written.
+   * @param {{maxFileSize: number, maxFileAge: number, retries: number}} options
+   * @param {function(string, string): Promise<string>} load Loads a file in a table, resolves to the job id once the job is done.
+   * @param {function(LoadJob)} [onJobEnd] Called when a job succeeds or fails for good.
+   */
+  constructor(directory, options, load, onJobEnd) {
+    this.directory = directory;
+    this.options = Object.assign({}, defaultOptions, options);
+    this.load = load;
+    this.onJobEnd = onJobEnd || (() => {});
+    this.files = {};
+    this.failed = {};
+    this.jobs = [];
+    this.sequence = 0;
+    // writes, rotations and loads are chained to keep the files consistent
+    this.pending = Promise.resolve();
+    this.loads = Promise.resolve();
+  }
+
+  /**
+   * Appends rows to the file of a table, rotating it if it is big enough.
+   *
+   * @param {string} tableName
+   * @param {{probeName: string, row: object}[]} entries
+   * @return {Promise}
+   */
+  write(tableName, entries) {
+    const lines = entries.map(entry => JSON.stringify(entry.row)).join('\n') + '\n';
+
+    return this.serialize(() => this.getFile(tableName)
+      .then(file => appendFile(file.path, lines)
+        .then(() => {
+          file.size += Buffer.byteLength(lines);
+          entries.forEach(entry => {
+            file.probes[entry.probeName] = (file.probes[entry.probeName] || 0) + 1;
+          });
+
+          if (file.size >= this.options.maxFileSize) {
+            this.rotateFile(tableName);
+          }
+        })));
+  }
+
+  /**
+   * Closes the file of a table and queues it for loading, along with the
+   * files that could not be loaded so far.
+   *
+   * @param {string} tableName
+   * @return {Promise} Resolves once the file is loaded (or failed for good).
+   */
+  rotate(tableName) {
+    let loaded;
+
+    return this
+      .serialize(() => {
+        loaded = this.rotateFile(tableName);
+        this.retryFailed();
+      })
+      .then(() => loaded);
+  }
+
+  /**
+   * Closes every file and waits until all of them are loaded.
+   *
+   * @return {Promise}
+   */
+  flush() {
+    return this
+      .serialize(() => {
+        Object.keys(this.files).forEach(tableName => this.rotateFile(tableName));
+      })
+      .then(() => this.loads);
+  }
+
+  /**
+   * Queues the files left in the directory by a previous run, or that
+   * could not be loaded, for loading.
+   *
+   * @return {Promise<number>} The number of recovered files.
+   */
+  recover() {
+    return this.serialize(() => readdir(this.directory)
+      .catch(error => error.code === 'ENOENT' ? [] : Promise.reject(error))
+      .then(names => {
+        const open = Object.keys(this.files).map(tableName => this.files[tableName].path);
+
+        return names
+          .map(name => ({name, match: fileNamePattern.exec(name)}))
+          .filter(candidate => candidate.match && open.indexOf(path.join(this.directory, candidate.name)) === -1)
+          .map(candidate => {
+            this.enqueue({
+              path: path.join(this.directory, candidate.name),
+              table: decodeURIComponent(candidate.match[1]),
+              size: null,
+              probes: null
+            });
+
+            return candidate.name;
+          })
+          .length;
+      }));
+  }
+
+  /**
+   * Runs a task once the previous writes, rotations and recoveries are
+   * done. A failed task does not prevent the next ones from running.
+   *
+   * @param {function(): *} task
+   * @return {Promise} The result of the task.
+   */
+  serialize(task) {
+    const result = this.pending.then(task);
+
+    this.pending = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * @return {LoadJob[]} The most recent load jobs, oldest first.
+   */
+  getJobs() {
+    return this.jobs.slice();
+  }
+
+  /**
+   * Returns the file being written for a table, creating it if needed.
+   *
+   * @param {string} tableName
+   * @return {Promise<LoadFile>}
+   */
+  getFile(tableName) {
+    if (this.files[tableName]) {
+      return Promise.resolve(this.files[tableName]);
+    }
+
+    return mkdir(this.directory)
+      .catch(error => error.code === 'EEXIST' ? null : Promise.reject(error))
+      .then(() => {
+        const file = {
+          path: path.join(this.directory, `${encodeURIComponent(tableName)}.${Date.now()}-${this.sequence++}.ndjson`),
+          table: tableName,
+          size: 0,
+          probes: {},
+          timer: setTimeout(() => this.rotate(tableName), this.options.maxFileAge)
+        };
+
+        file.timer.unref();
+        this.files[tableName] = file;
+
+        return file;
+      });
+  }
+
+  /**
+   * @param {string} tableName
+   * @return {Promise} Resolves once the file is loaded.
+   */
+  rotateFile(tableName) {
+    const file = this.files[tableName];
+
+    if (!file) {
+      return Promise.resolve();
+    }
+
+    clearTimeout(file.timer);
+    delete this.files[tableName];
+
+    return this.enqueue(file);
+  }
+
+  /**
+   * Queues the files that could not be loaded for loading again.
+   */
+  retryFailed() {
+    Object.keys(this.failed).forEach(filePath => {
+      const table = this.failed[filePath];
+
+      delete this.failed[filePath];
+      this.enqueue({path: filePath, table, size: null, probes: null});
+    });
+  }
+
+  /**
+   * @param {LoadFile} file
+   * @return {Promise} Resolves once the file is loaded, never rejects.
+   */
+  enqueue(file) {
+    const job = {
+      file: file.path,
+      table: file.table,
+      // the rows of recovered files are not counted
+      rows: file.probes ? Object.keys(file.probes).reduce((count, probeName) => count + file.probes[probeName], 0) : null,
+      probes: file.probes || {},
+      status: 'pending',
+      attempts: 0,
+      jobId: null,
+      error: null,
+      date: new Date().toISOString()
+    };
+
+    this.jobs.push(job);
+    if (this.jobs.length > maxJobHistory) {
+      this.jobs.shift();
+    }
+
+    this.loads = this.loads.then(() => this.loadFile(job));
+
+    return this.loads;
+  }
+
+  /**
+   * @param {LoadJob} job
+   * @return {Promise}
+   */
+  loadFile(job) {
+    job.status = 'running';
+
+    return retryWithBackoff(attempt => {
+      job.attempts = attempt + 1;
+      return this.load(job.table, job.file);
+    }, {retries: this.options.retries}, () => true)
+      .then(jobId => {
+        job.status = 'done';
+        job.jobId = jobId;
+
+        return unlink(job.file);
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = error.message;
+
+        if (/\.failed$/.test(job.file)) {
+          this.failed[job.file] = job.table;
+          return;
+        }
+
+        const failedPath = `${job.file}.failed`;
+
+        return rename(job.file, failedPath)
+          .then(() => {
+            job.file = failedPath;
+            this.failed[failedPath] = job.table;
+          });
+      })
+      .catch(() => {})
+      .then(() => {
+        job.date = new Date().toISOString();
+        this.onJobEnd(job);
+      });
+  }
+}
+
+module.exports = LoadQueue;
@@ -0,0 +1,383 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  schemaUtils = require('./schema'),
+  appendFile = Promise.promisify(fs.appendFile),
+  mkdir = Promise.promisify(fs.mkdir),
+  readFile = Promise.promisify(fs.readFile),
+  unlink = Promise.promisify(fs.unlink),
+  writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * Stands in for the BigQuery client of a project when rows must not be
+ * sent to BigQuery, to check probe configurations without a cloud
+ * project:
+ *   - "dry-run": rows are checked against the table schema, and logged,
+ *   - "file": rows are checked against the table schema, and written to
+ *     a NDJSON file per table, next to a JSON file holding the table
+ *     schema (and its other settings).
+ * Tables are kept in memory in "dry-run" mode, and in the directory in
+ * "file" mode. Only the client methods used by the connector are
+ * implemented, with the same results and errors.
+ *
+ * @class LocalClient
+ * @property {string} projectId
+ * @property {string} sink "dry-run" or "file"
+ * @property {string} directory Where the files of the "file" sink are written
+ * @property {object<string,object>} tables The metadata of the known tables, by table identifier
+ */
+class LocalClient {
+  /**
+   * @param {string} projectId
+   * @param {{sink: string, directory: string, log: object}} options
+   */
+  constructor(projectId, options) {
+    this.projectId = projectId;
+    this.sink = options.sink;
+    this.directory = options.directory;
+    this.log = options.log;
+    this.tables = {};
+    this.jobs = 0;
+    this.ready = null;
+  }
+
+  /**
+   * @param {string} name
+   * @return {LocalDataset}
+   */
+  dataset(name) {
+    return new LocalDataset(this, name);
+  }
+
+  /**
+   * No row is stored in BigQuery: queries (i.e. the search of the rows
+   * already sent by a backfill) find nothing.
+   *
+   * @return {Promise<Array>}
+   */
+  query() {
+    return Promise.resolve([[]]);
+  }
+
+  /**
+   * @param {string} tableId
+   * @param {string} extension
+   * @return {string} The path of a file of a table, in the "file" sink directory.
+   */
+  getPath(tableId, extension) {
+    return path.join(this.directory, `${encodeURIComponent(this.projectId)}.${tableId}${extension}`);
+  }
+
+  /**
+   * @param {string} tableId
+   * @return {Promise<object|null>} The metadata of a table, or null if it does not exist.
+   */
+  readMetadata(tableId) {
+    if (this.tables[tableId] || this.sink !== 'file') {
+      return Promise.resolve(this.tables[tableId] || null);
+    }
+
+    return readFile(this.getPath(tableId, '.schema.json'), 'utf8')
+      .then(content => {
+        this.tables[tableId] = JSON.parse(content);
+        return this.tables[tableId];
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          return Promise.reject(error);
+        }
+
+        return null;
+      });
+  }
+
+  /**
+   * @param {string} tableId
+   * @param {object} metadata
+   * @return {Promise}
+   */
+  writeMetadata(tableId, metadata) {
+    this.tables[tableId] = metadata;
+
+    if (this.sink !== 'file') {
+      return Promise.resolve();
+    }
+
+    return this.createDirectory()
+      .then(() => writeFile(this.getPath(tableId, '.schema.json'), JSON.stringify(metadata, null, 2)));
+  }
+
+  /**
+   * @param {string} tableId
+   * @return {Promise}
+   */
+  removeTable(tableId) {
+    delete this.tables[tableId];
+
+    if (this.sink !== 'file') {
+      return Promise.resolve();
+    }
+
+    return Promise.all(['.schema.json', '.ndjson'].map(extension => unlink(this.getPath(tableId, extension))
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          return Promise.reject(error);
+        }
+      })));
+  }
+
+  /**
+   * Logs the rows ("dry-run" sink), or appends them to the file of their
+   * table ("file" sink).
+   *
+   * @param {string} tableId
+   * @param {object[]} rows
+   * @return {Promise}
+   */
+  writeRows(tableId, rows) {
+    if (rows.length === 0) {
+      return Promise.resolve();
+    }
+
+    if (this.sink !== 'file') {
+      this.log.info(`[dry-run] ${rows.length} rows would be inserted in table ${this.projectId}:${tableId}`);
+      rows.forEach(row => this.log.info(`[dry-run] ${this.projectId}:${tableId} ${JSON.stringify(row)}`));
+      return Promise.resolve();
+    }
+
+    return this.createDirectory()
+      .then(() => appendFile(this.getPath(tableId, '.ndjson'), rows.map(row => `${JSON.stringify(row)}\n`).join('')));
+  }
+
+  /**
+   * @return {Promise} Resolves once the "file" sink directory exists.
+   */
+  createDirectory() {
+    if (!this.ready) {
+      this.ready = mkdir(this.directory)
+        .catch(error => {
+          if (error.code !== 'EEXIST') {
+            this.ready = null;
+            return Promise.reject(error);
+          }
+        });
+    }
+
+    return this.ready;
+  }
+}
+
+/**
+ * @class LocalDataset
+ */
+class LocalDataset {
+  /**
+   * @param {LocalClient} client
+   * @param {string} id
+   */
+  constructor(client, id) {
+    this.client = client;
+    this.id = id;
+  }
+
+  /**
+   * @param {string} name
+   * @return {LocalTable}
+   */
+  table(name) {
+    return new LocalTable(this, name);
+  }
+
+  /**
+   * @param {string} name
+   * @param {{schema: BigQuerySchema}} options The table settings.
+   * @return {Promise<Array>}
+   */
+  createTable(name, options) {
+    const table = this.table(name);
+
+    return this.client.readMetadata(table.tableId)
+      .then(metadata => {
+        if (metadata) {
+          return Promise.reject(apiError(409, `Already Exists: Table ${this.client.projectId}:${table.tableId}`));
+        }
+
+        return this.client.writeMetadata(table.tableId, Object.assign({}, options));
+      })
+      .then(() => [table]);
+  }
+}
+
+/**
+ * @class LocalTable
+ */
+class LocalTable {
+  /**
+   * @param {LocalDataset} dataset
+   * @param {string} id
+   */
+  constructor(dataset, id) {
+    this.dataset = dataset;
+    this.client = dataset.client;
+    this.id = id;
+    this.tableId = `${dataset.id}.${id}`;
+  }
+
+  /**
+   * @return {Promise<boolean[]>}
+   */
+  exists() {
+    return this.client.readMetadata(this.tableId).then(metadata => [Boolean(metadata)]);
+  }
+
+  /**
+   * @return {Promise<object[]>}
+   */
+  getMetadata() {
+    return this.client.readMetadata(this.tableId)
+      .then(metadata => {
+        if (!metadata) {
+          return Promise.reject(apiError(404, `Not found: Table ${this.client.projectId}:${this.tableId}`));
+        }
+
+        return [metadata];
+      });
+  }
+
+  /**
+   * @param {object} metadata
+   * @return {Promise<object[]>}
+   */
+  setMetadata(metadata) {
+    return this.getMetadata()
+      .then(() => this.client.writeMetadata(this.tableId, metadata))
+      .then(() => [metadata]);
+  }
+
+  /**
+   * @return {Promise}
+   */
+  delete() {
+    return this.getMetadata()
+      .then(() => this.client.removeTable(this.tableId))
+      .then(() => [{}]);
+  }
+
+  /**
+   * Inserts the rows matching the table schema. The other rows are
+   * reported with a PartialFailureError.
+   *
+   * @param {object[]} rows
+   * @param {{raw: boolean}} [options] Whether the rows are {insertId, json} objects.
+   * @return {Promise}
+   */
+  insert(rows, options) {
+    const raw = Boolean(options && options.raw);
+
+    return this.checkRows(rows.map(row => raw ? row.json : row))
+      .then(result => this.client.writeRows(this.tableId, result.valid)
+        .then(() => {
+          if (result.insertErrors.length === 0) {
+            return [{}];
+          }
+
+          const error = new Error('A failure occurred during this request.');
+
+          error.name = 'PartialFailureError';
+          error.errors = result.insertErrors.map(insertError => ({row: rows[insertError.index], errors: insertError.errors}));
+          error.response = {insertErrors: result.insertErrors};
+
+          return Promise.reject(error);
+        }));
+  }
+
+  /**
+   * Loads a NDJSON file in the table. Like a BigQuery load job, the job
+   * fails, and no row is loaded, if a row does not match the table schema.
+   *
+   * @param {string} filePath
+   * @return {Promise<Array>} The load job, whose promise() method resolves once it is done.
+   */
+  import(filePath) {
+    const
+      job = {id: `local-load-${Date.now()}-${this.client.jobs++}`},
+      done = readFile(filePath, 'utf8')
+        .then(content => this.checkRows(content.split('\n').filter(line => line.length > 0).map(line => JSON.parse(line))))
+        .then(result => {
+          if (result.insertErrors.length > 0) {
+            const errors = result.insertErrors.map(insertError => `row ${insertError.index + 1}: ${insertError.errors.map(e => `${e.location}: ${e.message}`).join(', ')}`);
+
+            return Promise.reject(new Error(`Load job ${job.id} failed: ${errors.join('; ')}`));
+          }
+
+          return this.client.writeRows(this.tableId, result.valid);
+        });
+
+    // failures are reported by the promise of the job
+    done.catch(() => {});
+    job.promise = () => done;
+
+    return Promise.resolve([job]);
+  }
+
+  /**
+   * @param {object[]} rows
+   * @return {Promise<{valid: object[], insertErrors: object[]}>} The rows matching the table schema, and the errors of the other ones.
+   */
+  checkRows(rows) {
+    return this.getMetadata()
+      .then(data => {
+        const
+          fields = (data[0].schema && data[0].schema.fields) || [],
+          valid = [],
+          insertErrors = [];
+
+        rows.forEach((row, index) => {
+          const errors = schemaUtils.checkRow(row, fields);
+
+          if (errors.length > 0) {
+            insertErrors.push({index, errors});
+          }
+          else {
+            valid.push(row);
+          }
+        });
+
+        return {valid, insertErrors};
+      });
+  }
+}
+
+/**
+ * @param {number} code
+ * @param {string} message
+ * @return {Error} An error shaped like the errors of the BigQuery API.
+ */
+function apiError(code, message) {
+  return Object.assign(new Error(message), {code, errors: [{reason: code === 404 ? 'notFound' : 'duplicate', message}]});
+}
+
+module.exports = LocalClient;
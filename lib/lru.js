@@ -0,0 +1,103 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Least recently used cache: once full, adding an entry evicts the entry
+ * that has not been read nor written for the longest time.
+ *
+ * @class LRU
+ * @property {number} maxSize
+ * @property {Map} entries Entries, from the least to the most recently used
+ */
+class LRU {
+  /**
+   * @param {number} maxSize
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * @return {number} The number of cached entries.
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {string} key
+   * @return {boolean} True if the key is cached. Does not count as a use of the entry.
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * @param {string} key
+   * @return {*} The cached value, or undefined.
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    return value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Calls a function with every cached value and its key. Does not count as
+   * a use of the entries.
+   *
+   * @param {function(*, string)} callback
+   */
+  forEach(callback) {
+    this.entries.forEach((value, key) => callback(value, key));
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = LRU;
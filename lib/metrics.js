@@ -0,0 +1,296 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Base class of the metrics: values are stored per combination of label
+ * values.
+ *
+ * @class Metric
+ * @property {string} name
+ * @property {string} help
+ * @property {string[]} labelNames
+ * @property {object<string, {labels: object, value: *}>} series
+ */
+class Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames || [];
+    this.series = {};
+  }
+
+  /**
+   * @param {object} labels
+   * @param {function(): *} init Returns the initial value of new series.
+   * @return {{labels: object, value: *}} The series of the given label values.
+   */
+  getSeries(labels, init) {
+    const key = this.labelNames.map(name => String(labels[name])).join('\u0000');
+
+    if (!this.series[key]) {
+      this.series[key] = {labels: Object.assign({}, labels), value: init()};
+    }
+
+    return this.series[key];
+  }
+
+  /**
+   * @return {string[]} The lines of the metric, in the text format.
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    Object.keys(this.series).forEach(key => {
+      this.renderSeries(this.series[key]).forEach(line => lines.push(line));
+    });
+
+    return lines;
+  }
+
+  /**
+   * @param {{labels: object, value: *}} series
+   * @return {string[]}
+   */
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels, this.labelNames)} ${formatValue(series.value)}`];
+  }
+}
+
+/**
+ * Monotonic counter.
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} [value] Defaults to 1.
+   */
+  inc(labels, value) {
+    this.getSeries(labels, () => 0).value += value === undefined ? 1 : value;
+  }
+}
+
+/**
+ * Value that can go up and down.
+ */
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  /**
+   * Removes every series, for gauges whose series are all set again before
+   * being exposed.
+   */
+  reset() {
+    this.series = {};
+  }
+}
+
+/**
+ * Distribution of observed values, counted in cumulative buckets.
+ *
+ * @property {number[]} buckets Upper bounds of the buckets, sorted
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets]
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = (buckets || defaultBuckets).slice().sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({counts: this.buckets.map(() => 0), sum: 0, count: 0}));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.value.counts[index]++;
+      }
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  renderSeries(series) {
+    const
+      labelNames = this.labelNames.concat('le'),
+      lines = this.buckets.map((bound, index) => {
+        const labels = formatLabels(Object.assign({}, series.labels, {le: formatValue(bound)}), labelNames);
+
+        return `${this.name}_bucket${labels} ${series.value.counts[index]}`;
+      });
+
+    lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, series.labels, {le: '+Inf'}), labelNames)} ${series.value.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels, this.labelNames)} ${formatValue(series.value.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels, this.labelNames)} ${series.value.count}`);
+
+    return lines;
+  }
+}
+
+/**
+ * Set of metrics, exposed in the Prometheus text format (version 0.0.4).
+ *
+ * @class Registry
+ * @property {Metric[]} metrics
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @return {Counter}
+   */
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @return {Gauge}
+   */
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets]
+   * @return {Histogram}
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @param {Metric} metric
+   * @return {Metric}
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @return {string} Every metric, in the Prometheus text format.
+   */
+  render() {
+    return this.metrics
+      .map(metric => metric.render().join('\n'))
+      .join('\n') + '\n';
+  }
+}
+
+/**
+ * @param {object} labels
+ * @param {string[]} labelNames
+ * @return {string} e.g. `{probe="a",table="b"}`
+ */
+function formatLabels(labels, labelNames) {
+  if (labelNames.length === 0) {
+    return '';
+  }
+
+  const pairs = labelNames.map(name => {
+    const value = String(labels[name] === undefined ? '' : labels[name])
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+
+    return `${name}="${value}"`;
+  });
+
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * @param {number} value
+ * @return {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+
+  return String(value);
+}
+
+/**
+ * @param {string} help
+ * @return {string}
+ */
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram
+};
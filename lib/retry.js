@@ -0,0 +1,125 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  Promise = require('bluebird');
+
+/**
+ * HTTP status codes returned by BigQuery for errors that are worth retrying.
+ */
+const transientStatusCodes = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error codes raised by the network layer when a request could not complete.
+ */
+const transientNetworkCodes = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+];
+
+/**
+ * Reasons given by BigQuery for errors that are worth retrying.
+ * See https://cloud.google.com/bigquery/troubleshooting-errors
+ */
+const transientReasons = ['backendError', 'internalError', 'rateLimitExceeded'];
+
+const defaultOptions = {
+  retries: 5,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2
+};
+
+/**
+ * Calls `fn` until the promise it returns resolves. Failed attempts are
+ * retried after an exponentially growing delay, randomized with full jitter,
+ * as long as the error is transient and there are retries left.
+ *
+ * @param {function(number): Promise} fn Called with the attempt number, starting at 0.
+ * @param {{retries: number, minDelay: number, maxDelay: number, factor: number}} [options]
+ * @param {function(Error): boolean} [isRetryable] Decides whether an error is worth retrying.
+ * @return {Promise}
+ */
+function retryWithBackoff(fn, options, isRetryable) {
+  const
+    settings = Object.assign({}, defaultOptions, options),
+    shouldRetry = isRetryable || isTransientError;
+
+  function attempt(attemptNumber) {
+    return Promise.try(() => fn(attemptNumber))
+      .catch(error => {
+        if (attemptNumber >= settings.retries || !shouldRetry(error)) {
+          return Promise.reject(error);
+        }
+
+        return Promise
+          .delay(computeDelay(attemptNumber, settings))
+          .then(() => attempt(attemptNumber + 1));
+      });
+  }
+
+  return attempt(0);
+}
+
+/**
+ * Computes the time to wait before the next attempt ("full jitter" strategy:
+ * a random delay between 0 and the exponential backoff ceiling).
+ *
+ * @param {number} attemptNumber
+ * @param {{minDelay: number, maxDelay: number, factor: number}} settings
+ * @return {number} The delay, in milliseconds.
+ */
+function computeDelay(attemptNumber, settings) {
+  const ceiling = Math.min(settings.maxDelay, settings.minDelay * Math.pow(settings.factor, attemptNumber));
+
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Tells whether an error returned by the BigQuery client is transient,
+ * i.e. if sending the same request again later may succeed.
+ *
+ * @param {Error} error
+ * @return {boolean}
+ */
+function isTransientError(error) {
+  if (!error || error.name === 'PartialFailureError') {
+    return false;
+  }
+
+  if (transientStatusCodes.indexOf(error.code) !== -1 || transientNetworkCodes.indexOf(error.code) !== -1) {
+    return true;
+  }
+
+  return Array.isArray(error.errors) && error.errors.some(e => transientReasons.indexOf(e.reason) !== -1);
+}
+
+module.exports = {
+  retryWithBackoff,
+  computeDelay,
+  isTransientError
+};
@@ -0,0 +1,173 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @typedef {object} Condition
+ * @property {string} field The column name to test.
+ * @property {*} equals
+ * @property {Array} in
+ * @property {number|string} gt
+ * @property {number|string} gte
+ * @property {number|string} lt
+ * @property {number|string} lte
+ * @property {boolean} exists
+ *
+ * @typedef {{when: Condition[], tableName: string}} Route
+ */
+
+const operators = ['equals', 'in', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+/**
+ * Tells whether a row matches every condition of a list.
+ *
+ * @param {object} row
+ * @param {Condition[]} [conditions]
+ * @return {boolean} True if the row matches every condition (or if there is no condition).
+ */
+function matchesConditions(row, conditions) {
+  return (conditions || []).every(condition => matchesCondition(row, condition));
+}
+
+/**
+ * @param {object} row
+ * @param {Condition} condition
+ * @return {boolean} True if the row field matches every operator of the condition.
+ */
+function matchesCondition(row, condition) {
+  const
+    value = row[condition.field],
+    exists = value !== null && value !== undefined;
+
+  if (condition.exists !== undefined && condition.exists !== exists) {
+    return false;
+  }
+
+  if (condition.equals !== undefined && value !== condition.equals) {
+    return false;
+  }
+
+  if (condition.in !== undefined && condition.in.indexOf(value) === -1) {
+    return false;
+  }
+
+  const ranges = [
+    ['gt', (a, b) => a > b],
+    ['gte', (a, b) => a >= b],
+    ['lt', (a, b) => a < b],
+    ['lte', (a, b) => a <= b]
+  ];
+
+  return ranges.every(range => condition[range[0]] === undefined || (exists && range[1](value, condition[range[0]])));
+}
+
+/**
+ * Returns the first route whose conditions are matched by a row.
+ *
+ * @param {object} row
+ * @param {Route[]} [routes]
+ * @return {Route|null}
+ */
+function findRoute(row, routes) {
+  return (routes || []).find(route => matchesConditions(row, route.when)) || null;
+}
+
+/**
+ * Checks a list of conditions.
+ *
+ * @param {Condition[]} conditions
+ * @param {string} path The configuration path of the conditions, for error messages.
+ * @return {string[]} The errors found, if any.
+ */
+function validateConditions(conditions, path) {
+  if (!Array.isArray(conditions)) {
+    return [`${path} must be an array of conditions`];
+  }
+
+  const errors = [];
+
+  conditions.forEach((condition, index) => {
+    const conditionPath = `${path}[${index}]`;
+
+    if (!condition || typeof condition.field !== 'string') {
+      errors.push(`${conditionPath}.field must be a string`);
+      return;
+    }
+
+    const keys = Object.keys(condition).filter(key => key !== 'field');
+
+    if (keys.length === 0) {
+      errors.push(`${conditionPath} must have at least one operator among: ${operators.join(', ')}`);
+    }
+
+    keys
+      .filter(key => operators.indexOf(key) === -1)
+      .forEach(key => errors.push(`${conditionPath}.${key} is not a valid operator (expected one of: ${operators.join(', ')})`));
+
+    if (condition.in !== undefined && !Array.isArray(condition.in)) {
+      errors.push(`${conditionPath}.in must be an array`);
+    }
+
+    if (condition.exists !== undefined && typeof condition.exists !== 'boolean') {
+      errors.push(`${conditionPath}.exists must be a boolean`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Checks the filter and routes of a probe.
+ *
+ * @param {{filter: Condition[], routes: Route[]}} probe
+ * @return {string[]} The errors found, if any.
+ */
+function validateRules(probe) {
+  let errors = [];
+
+  if (probe.filter !== undefined) {
+    errors = errors.concat(validateConditions(probe.filter, 'filter'));
+  }
+
+  if (probe.routes !== undefined) {
+    if (!Array.isArray(probe.routes)) {
+      return errors.concat('routes must be an array');
+    }
+
+    probe.routes.forEach((route, index) => {
+      if (!route || typeof route.tableName !== 'string' || route.tableName.length === 0) {
+        errors.push(`routes[${index}].tableName must be a non-empty string`);
+      }
+
+      if (route && route.when !== undefined) {
+        errors = errors.concat(validateConditions(route.when, `routes[${index}].when`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  matchesConditions,
+  findRoute,
+  validateRules
+};
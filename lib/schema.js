@@ -0,0 +1,368 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @typedef {{name: string, type: string, mode: string, fields: BigQueryField[]}} BigQueryField
+ * @typedef {{fields: BigQueryField[]}} BigQuerySchema
+ */
+
+/**
+ * Legacy and standard SQL names of the same types.
+ */
+const typeAliases = {
+  INT64: 'INTEGER',
+  FLOAT64: 'FLOAT',
+  BOOL: 'BOOLEAN',
+  STRUCT: 'RECORD'
+};
+
+const isoDateRegExp = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Infers the BigQuery type of a value.
+ *
+ * @param {*} value
+ * @return {string|null} The BigQuery type, or null if it cannot be inferred (null values, empty arrays).
+ */
+function inferType(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (Array.isArray(value)) {
+    return value.reduce((type, item) => widenType(type, inferType(item)), null);
+  }
+
+  if (value instanceof Date) {
+    return 'TIMESTAMP';
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return 'BOOLEAN';
+    case 'number':
+      return Number.isInteger(value) ? 'INTEGER' : 'FLOAT';
+    case 'string':
+      return isoDateRegExp.test(value) ? 'TIMESTAMP' : 'STRING';
+    case 'object':
+      return 'RECORD';
+    default:
+      return 'STRING';
+  }
+}
+
+/**
+ * Returns a type able to hold the values of both types: INTEGER and FLOAT
+ * are widened to FLOAT, other conflicting types to STRING.
+ *
+ * @param {string|null} type
+ * @param {string|null} other
+ * @return {string|null}
+ */
+function widenType(type, other) {
+  if (!type || type === other) {
+    return other || type;
+  }
+
+  if (!other) {
+    return type;
+  }
+
+  if (['INTEGER', 'FLOAT'].indexOf(type) !== -1 && ['INTEGER', 'FLOAT'].indexOf(other) !== -1) {
+    return 'FLOAT';
+  }
+
+  return 'STRING';
+}
+
+/**
+ * Infers the schema of a field from its value.
+ *
+ * @param {string} name
+ * @param {*} value
+ * @return {BigQueryField|null} The field, or null if its type cannot be inferred.
+ */
+function inferField(name, value) {
+  const type = inferType(value);
+
+  if (!type) {
+    return null;
+  }
+
+  const field = {
+    name,
+    type,
+    mode: Array.isArray(value) ? 'REPEATED' : 'NULLABLE'
+  };
+
+  if (type === 'RECORD') {
+    const items = [].concat(value).filter(item => item !== null && typeof item === 'object');
+    field.fields = inferFields(items);
+  }
+
+  return field;
+}
+
+/**
+ * Infers the fields of a list of documents.
+ *
+ * @param {object[]} documents
+ * @return {BigQueryField[]}
+ */
+function inferFields(documents) {
+  const fields = [];
+
+  documents.forEach(document => {
+    Object.keys(document).forEach(name => {
+      const
+        inferred = inferField(name, document[name]),
+        existing = fields.find(field => field.name === name);
+
+      if (!inferred) {
+        return;
+      }
+
+      if (!existing) {
+        fields.push(inferred);
+      }
+      else if (existing.type === 'RECORD' && inferred.type === 'RECORD') {
+        existing.fields = mergeFields(existing.fields, inferred.fields).fields;
+      }
+      else {
+        existing.type = widenType(existing.type, inferred.type);
+      }
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Adds the fields missing from a list of fields, recursing into records.
+ * Existing fields are never removed nor modified.
+ *
+ * @param {BigQueryField[]} fields The current fields.
+ * @param {BigQueryField[]} additions The fields to add if they are missing.
+ * @param {string} [prefix] The path of the record holding the fields.
+ * @return {{fields: BigQueryField[], added: string[]}} The merged fields and the paths of the added ones.
+ */
+function mergeFields(fields, additions, prefix) {
+  const
+    merged = fields.map(field => Object.assign({}, field)),
+    added = [];
+
+  additions.forEach(addition => {
+    const
+      path = prefix ? `${prefix}.${addition.name}` : addition.name,
+      existing = merged.find(field => field.name.toLowerCase() === addition.name.toLowerCase());
+
+    if (!existing) {
+      // added columns must be nullable (or repeated) for existing rows to remain valid
+      merged.push(Object.assign({}, addition, {mode: addition.mode === 'REPEATED' ? 'REPEATED' : 'NULLABLE'}));
+      added.push(path);
+    }
+    else if (existing.type === 'RECORD' && addition.type === 'RECORD') {
+      const result = mergeFields(existing.fields || [], addition.fields || [], path);
+      existing.fields = result.fields;
+      Array.prototype.push.apply(added, result.added);
+    }
+  });
+
+  return {fields: merged, added};
+}
+
+/**
+ * Computes the schema needed to hold a list of rows, by adding the missing
+ * fields to an existing schema.
+ *
+ * @param {BigQuerySchema} schema
+ * @param {object[]} rows
+ * @return {{schema: BigQuerySchema, added: string[]}} The evolved schema and the paths of the added fields.
+ */
+function evolveSchema(schema, rows) {
+  const result = mergeFields((schema && schema.fields) || [], inferFields(rows));
+
+  return {
+    schema: {fields: result.fields},
+    added: result.added
+  };
+}
+
+/**
+ * Compares the schema expected from the configuration with the actual schema
+ * of a table.
+ *
+ * @param {BigQuerySchema} expected
+ * @param {BigQuerySchema} actual
+ * @return {{missing: string[], added: string[], changed: object[]}} The paths of the
+ *   columns missing from the table, the paths of the table columns absent from the
+ *   configuration, and the columns whose type or mode differ.
+ */
+function diffSchemas(expected, actual) {
+  const diff = {missing: [], added: [], changed: []};
+
+  diffFields((expected && expected.fields) || [], (actual && actual.fields) || [], '', diff);
+
+  return diff;
+}
+
+/**
+ * @param {BigQueryField[]} expected
+ * @param {BigQueryField[]} actual
+ * @param {string} prefix
+ * @param {{missing: string[], added: string[], changed: object[]}} diff
+ */
+function diffFields(expected, actual, prefix, diff) {
+  const findField = (fields, name) => fields.find(field => field.name.toLowerCase() === name.toLowerCase());
+
+  expected.forEach(field => {
+    const
+      path = prefix + field.name,
+      existing = findField(actual, field.name);
+
+    if (!existing) {
+      diff.missing.push(path);
+      return;
+    }
+
+    const
+      expectedType = normalizeType(field.type),
+      actualType = normalizeType(existing.type),
+      expectedMode = field.mode || 'NULLABLE',
+      actualMode = existing.mode || 'NULLABLE';
+
+    if (expectedType !== actualType || expectedMode !== actualMode) {
+      diff.changed.push({
+        path,
+        expected: `${expectedType} ${expectedMode}`,
+        actual: `${actualType} ${actualMode}`
+      });
+    }
+    else if (expectedType === 'RECORD') {
+      diffFields(field.fields || [], existing.fields || [], `${path}.`, diff);
+    }
+  });
+
+  actual
+    .filter(field => !findField(expected, field.name))
+    .forEach(field => diff.added.push(prefix + field.name));
+}
+
+/**
+ * Checks a row against the fields of a table, the way BigQuery does when
+ * the row is inserted: unknown columns, missing required values, and
+ * values that cannot be converted to the type of their column are
+ * reported.
+ *
+ * @param {object} row
+ * @param {BigQueryField[]} fields
+ * @param {string} [prefix] The path of the RECORD field holding the row.
+ * @return {{reason: string, location: string, message: string}[]} The errors found, in the format of the BigQuery insert errors.
+ */
+function checkRow(row, fields, prefix) {
+  const
+    errors = [],
+    findField = name => fields.find(field => field.name.toLowerCase() === name.toLowerCase()),
+    invalid = (location, message) => errors.push({reason: 'invalid', location, message});
+
+  Object.keys(row)
+    .filter(name => !findField(name))
+    .forEach(name => invalid((prefix || '') + name, 'no such field'));
+
+  fields.forEach(field => {
+    const
+      location = (prefix || '') + field.name,
+      key = Object.keys(row).find(name => name.toLowerCase() === field.name.toLowerCase()),
+      value = key === undefined ? null : row[key];
+
+    if (value === null || value === undefined) {
+      if (field.mode === 'REQUIRED') {
+        invalid(location, 'Missing required field');
+      }
+      return;
+    }
+
+    if (Array.isArray(value) !== (field.mode === 'REPEATED')) {
+      invalid(location, field.mode === 'REPEATED' ? 'Array expected for a repeated field' : 'Array specified for a non-repeated field');
+      return;
+    }
+
+    [].concat(value).forEach(item => {
+      const type = normalizeType(field.type);
+
+      if (!matchesType(item, type)) {
+        invalid(location, `Cannot convert value to ${type}`);
+      }
+      else if (type === 'RECORD') {
+        checkRow(item, field.fields || [], `${location}.`).forEach(error => errors.push(error));
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * @param {*} value A non-null value.
+ * @param {string} type A legacy SQL type.
+ * @return {boolean} True if BigQuery can convert the value to the type.
+ */
+function matchesType(value, type) {
+  const isNumeric = typeof value === 'string' && value.trim() !== '' && isFinite(Number(value));
+
+  switch (type) {
+    case 'INTEGER':
+      return Number.isInteger(value) || (isNumeric && Number.isInteger(Number(value)));
+    case 'FLOAT':
+    case 'NUMERIC':
+      return (typeof value === 'number' && isFinite(value)) || isNumeric;
+    case 'BOOLEAN':
+      return typeof value === 'boolean' || value === 'true' || value === 'false';
+    case 'TIMESTAMP':
+      return (typeof value === 'number' && isFinite(value)) || value instanceof Date || (typeof value === 'string' && !isNaN(Date.parse(value)));
+    case 'RECORD':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value !== 'object';
+  }
+}
+
+/**
+ * @param {string} type
+ * @return {string} The legacy SQL name of the type.
+ */
+function normalizeType(type) {
+  const upperCased = (type || 'STRING').toUpperCase();
+
+  return typeAliases[upperCased] || upperCased;
+}
+
+module.exports = {
+  inferType,
+  widenType,
+  inferField,
+  inferFields,
+  mergeFields,
+  evolveSchema,
+  diffSchemas,
+  checkRow
+};
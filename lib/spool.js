@@ -0,0 +1,258 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  Promise = require('bluebird'),
+  appendFile = Promise.promisify(fs.appendFile),
+  readFile = Promise.promisify(fs.readFile),
+  readdir = Promise.promisify(fs.readdir),
+  rename = Promise.promisify(fs.rename),
+  unlink = Promise.promisify(fs.unlink);
+
+/**
+ * @typedef {{table: string, row: object, insertId: string, reason: string, date: string}} SpoolEntry
+ * @typedef {{failed: number[], rejected: number[], reason: string}} ReplayOutcome The positions of the rows of a batch that could not be inserted
+ */
+
+/**
+ * Dead-letter spool: a local NDJSON file storing the rows that could not be
+ * inserted in BigQuery, one line per row along with the reason of the
+ * failure, so that they can be replayed later.
+ *
+ * @class Spool
+ * @property {string} path
+ */
+class Spool {
+  /**
+   * @param {string} filePath The spool file path.
+   */
+  constructor(filePath) {
+    this.path = filePath;
+    // writes are chained to prevent lines from being interleaved
+    this.pending = Promise.resolve();
+    // replays are chained not to replay the same file twice
+    this.replays = Promise.resolve();
+  }
+
+  /**
+   * Appends rows to the spool file.
+   *
+   * @param {string} tableName
+   * @param {object[]} rows
+   * @param {string} reason Why the rows could not be inserted.
+   * @param {string[]} [insertIds] The insertIds of the rows, kept to send them again with the same ones.
+   * @return {Promise}
+   */
+  write(tableName, rows, reason, insertIds) {
+    const
+      date = new Date().toISOString(),
+      lines = rows
+        .map((row, index) => JSON.stringify({table: tableName, row, insertId: insertIds && insertIds[index], reason, date}))
+        .join('\n') + '\n';
+
+    const result = this.pending.then(() => appendFile(this.path, lines));
+
+    this.pending = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Sends the spooled rows again. The spool file is set aside during the
+   * replay, so rows failing again (or failing meanwhile) end up in a fresh
+   * spool file. Files set aside by a previous replay that could not
+   * complete are replayed as well.
+   * Lines that cannot be parsed (such as a line torn by a crash) are
+   * skipped. If a file cannot be replayed, its content is merged back into
+   * the spool.
+   *
+   * The insert function rejects if no row could be inserted. If only some
+   * rows could not, it resolves with their positions in the batch: the rows
+   * that failed for a transient reason are spooled again, along with the
+   * reason, while the rows rejected for good are only counted.
+   *
+   * @param {function(string, object[], string[]): Promise<?ReplayOutcome>} insert Inserts rows (with their insertIds) in a table.
+   * @param {number} batchSize Maximum number of rows per insert.
+   * @return {Promise<{replayed: number, failed: number, rejected: number, skipped: number}>}
+   */
+  replay(insert, batchSize) {
+    const
+      result = {replayed: 0, failed: 0, rejected: 0, skipped: 0},
+      replayed = this.replays
+        .then(() => this.pending)
+        .then(() => this.setAside())
+        .then(files => Promise.mapSeries(files, file => this.replayFile(file, insert, batchSize, result)))
+        .then(() => result);
+
+    this.replays = replayed.catch(() => {});
+
+    return replayed;
+  }
+
+  /**
+   * Renames the spool file, to replay it.
+   *
+   * @return {Promise<string[]>} The paths of the files to replay, the ones left by previous replays included.
+   */
+  setAside() {
+    const
+      directory = path.dirname(this.path),
+      replayFile = new RegExp(`^${escapeRegExp(path.basename(this.path))}\\.\\d+\\.replay$`);
+
+    return rename(this.path, `${this.path}.${Date.now()}.replay`)
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          return Promise.reject(error);
+        }
+      })
+      .then(() => readdir(directory))
+      .then(files => files
+        .filter(file => replayFile.test(file))
+        .sort()
+        .map(file => path.join(directory, file)));
+  }
+
+  /**
+   * @param {string} file A spool file set aside.
+   * @param {function(string, object[], string[]): Promise} insert
+   * @param {number} batchSize
+   * @param {{replayed: number, failed: number, rejected: number, skipped: number}} result Updated with the rows of the file.
+   * @return {Promise}
+   */
+  replayFile(file, insert, batchSize, result) {
+    return readFile(file, 'utf8')
+      .then(content => {
+        const parsed = parseEntries(content);
+
+        result.skipped += parsed.invalid;
+
+        return Promise.mapSeries(groupInBatches(parsed.entries, batchSize), batch => {
+          return insert(batch.table, batch.rows, batch.insertIds)
+            .then(outcome => {
+              const
+                failed = (outcome && outcome.failed) || [],
+                rejected = (outcome && outcome.rejected) || [];
+
+              result.replayed += batch.rows.length - failed.length - rejected.length;
+              result.failed += failed.length;
+              result.rejected += rejected.length;
+
+              if (failed.length > 0) {
+                return this.write(batch.table, failed.map(index => batch.rows[index]), outcome.reason, failed.map(index => batch.insertIds[index]));
+              }
+            }, error => {
+              result.failed += batch.rows.length;
+              return this.write(batch.table, batch.rows, error.message, batch.insertIds);
+            });
+        });
+      })
+      .then(() => unlink(file))
+      .catch(error => this.restore(file).then(() => Promise.reject(error)));
+  }
+
+  /**
+   * Merges a file set aside back into the spool. Rows already replayed are
+   * sent again with the same insertId, and dropped by BigQuery. If the
+   * merge fails, the file is left as is, to be replayed next time.
+   *
+   * @param {string} file
+   * @return {Promise}
+   */
+  restore(file) {
+    const restored = this.pending
+      .then(() => readFile(file, 'utf8'))
+      .then(content => appendFile(this.path, content.length === 0 || content.endsWith('\n') ? content : `${content}\n`))
+      .then(() => unlink(file));
+
+    this.pending = restored.catch(() => {});
+
+    return this.pending;
+  }
+}
+
+/**
+ * @param {string} content The content of a spool file.
+ * @return {{entries: SpoolEntry[], invalid: number}} The spooled rows, and the number of lines that cannot be parsed.
+ */
+function parseEntries(content) {
+  const parsed = {entries: [], invalid: 0};
+
+  content
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .forEach(line => {
+      let entry;
+
+      try {
+        entry = JSON.parse(line);
+      }
+      catch (error) {
+        entry = null;
+      }
+
+      if (entry && typeof entry === 'object' && typeof entry.table === 'string') {
+        parsed.entries.push(entry);
+      }
+      else {
+        parsed.invalid++;
+      }
+    });
+
+  return parsed;
+}
+
+/**
+ * @param {string} string
+ * @return {string} The string, with the regular expression special characters escaped.
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Groups spooled rows by table, in batches of at most `batchSize` rows.
+ *
+ * @param {SpoolEntry[]} entries
+ * @param {number} batchSize
+ * @return {{table: string, rows: object[], insertIds: string[]}[]}
+ */
+function groupInBatches(entries, batchSize) {
+  const
+    batches = [],
+    current = {};
+
+  entries.forEach(entry => {
+    if (!current[entry.table] || current[entry.table].rows.length >= batchSize) {
+      current[entry.table] = {table: entry.table, rows: [], insertIds: []};
+      batches.push(current[entry.table]);
+    }
+
+    current[entry.table].rows.push(entry.row);
+    current[entry.table].insertIds.push(entry.insertId);
+  });
+
+  return batches;
+}
+
+module.exports = Spool;
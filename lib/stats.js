@@ -0,0 +1,104 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Per-probe counters, and time of the last insert success and failure.
+ *
+ * @class Stats
+ * @property {object<string, object<string, number>>} probes
+ * @property {object<string, {lastSuccess: string, lastError: {message: string, date: string}}>} events
+ */
+class Stats {
+  constructor() {
+    this.probes = {};
+    this.events = {};
+  }
+
+  /**
+   * @param {string} probeName
+   * @param {string} counter
+   * @param {number} [count] Defaults to 1.
+   */
+  increment(probeName, counter, count) {
+    const probe = this.get(probeName);
+
+    probe[counter] = (probe[counter] || 0) + (count === undefined ? 1 : count);
+  }
+
+  /**
+   * @param {string} probeName
+   * @return {object<string, number>} The counters of the probe.
+   */
+  get(probeName) {
+    if (!this.probes[probeName]) {
+      this.probes[probeName] = {};
+    }
+
+    return this.probes[probeName];
+  }
+
+  /**
+   * Records the time of a successful insert.
+   *
+   * @param {string} probeName
+   */
+  recordSuccess(probeName) {
+    this.getEvents(probeName).lastSuccess = new Date().toISOString();
+  }
+
+  /**
+   * Records the time and the reason of a failed insert.
+   *
+   * @param {string} probeName
+   * @param {string} message
+   */
+  recordError(probeName, message) {
+    this.getEvents(probeName).lastError = {message, date: new Date().toISOString()};
+  }
+
+  /**
+   * @param {string} probeName
+   * @return {object} The last success and error of the probe.
+   */
+  getEvents(probeName) {
+    if (!this.events[probeName]) {
+      this.events[probeName] = {lastSuccess: null, lastError: null};
+    }
+
+    return this.events[probeName];
+  }
+
+  /**
+   * @return {object<string, object>} The counters and the last success and error of every probe.
+   */
+  toJSON() {
+    const result = {};
+
+    Object.keys(this.probes).concat(Object.keys(this.events)).forEach(probeName => {
+      result[probeName] = Object.assign({}, this.get(probeName), this.getEvents(probeName));
+    });
+
+    return result;
+  }
+}
+
+module.exports = Stats;
@@ -0,0 +1,71 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Tables are identified by their name, prefixed with their dataset and
+ * project when they differ from the default ones: `table`,
+ * `dataset.table` or `project.dataset.table`.
+ *
+ * @typedef {{projectId: string, dataSet: string, tableName: string}} TableReference
+ */
+
+/**
+ * @param {TableReference} reference
+ * @param {{projectId: string, dataSet: string}} defaults
+ * @return {string} The identifier of the table.
+ */
+function formatTableId(reference, defaults) {
+  const
+    projectId = reference.projectId || defaults.projectId,
+    dataSet = reference.dataSet || defaults.dataSet;
+
+  if (projectId !== defaults.projectId) {
+    return `${projectId}.${dataSet}.${reference.tableName}`;
+  }
+
+  if (dataSet !== defaults.dataSet) {
+    return `${dataSet}.${reference.tableName}`;
+  }
+
+  return reference.tableName;
+}
+
+/**
+ * @param {string} tableId
+ * @param {{projectId: string, dataSet: string}} defaults
+ * @return {TableReference}
+ */
+function parseTableId(tableId, defaults) {
+  const parts = tableId.split('.');
+
+  return {
+    // domain-scoped project ids hold dots
+    projectId: parts.length > 2 ? parts.slice(0, -2).join('.') : defaults.projectId,
+    dataSet: parts.length > 1 ? parts[parts.length - 2] : defaults.dataSet,
+    tableName: parts[parts.length - 1]
+  };
+}
+
+module.exports = {
+  formatTableId,
+  parseTableId
+};
@@ -0,0 +1,145 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @typedef {{type: string, field: string, expirationMs: number, requirePartitionFilter: boolean}} PartitioningConfiguration
+ */
+
+const
+  partitioningTypes = ['DAY', 'HOUR'],
+  maxClusteringFields = 4;
+
+/**
+ * Builds the options of a table creation request: the schema, and the
+ * partitioning and clustering settings of the probe.
+ *
+ * @param {{partitioning: PartitioningConfiguration, clustering: string[]}} probe
+ * @param {BigQuerySchema} schema
+ * @return {object}
+ */
+function buildTableOptions(probe, schema) {
+  const options = {schema};
+
+  if (probe.partitioning) {
+    options.timePartitioning = {
+      type: probe.partitioning.type || 'DAY'
+    };
+
+    // no field means ingestion-time partitioning
+    if (probe.partitioning.field) {
+      options.timePartitioning.field = probe.partitioning.field;
+    }
+
+    if (probe.partitioning.expirationMs) {
+      options.timePartitioning.expirationMs = String(probe.partitioning.expirationMs);
+    }
+
+    if (probe.partitioning.requirePartitionFilter) {
+      options.timePartitioning.requirePartitionFilter = true;
+    }
+  }
+
+  if (probe.clustering && probe.clustering.length > 0) {
+    options.clustering = {fields: probe.clustering};
+  }
+
+  return options;
+}
+
+/**
+ * Compares the partitioning and clustering settings expected for a probe
+ * with the ones of an existing table.
+ *
+ * @param {object} expected The options built by `buildTableOptions`.
+ * @param {object} metadata The table metadata.
+ * @return {string[]} A description of every difference.
+ */
+function diffTableOptions(expected, metadata) {
+  const
+    differences = [],
+    expectedPartitioning = expected.timePartitioning || {},
+    actualPartitioning = metadata.timePartitioning || {},
+    compare = (name, expectedValue, actualValue) => {
+      if (expectedValue !== actualValue) {
+        differences.push(`${name}: expected ${expectedValue}, got ${actualValue}`);
+      }
+    };
+
+  if (!expected.timePartitioning || !metadata.timePartitioning) {
+    compare('partitioning', Boolean(expected.timePartitioning), Boolean(metadata.timePartitioning));
+  }
+  else {
+    compare('partitioning type', expectedPartitioning.type, actualPartitioning.type || 'DAY');
+    compare('partitioning field', expectedPartitioning.field || '(ingestion time)', actualPartitioning.field || '(ingestion time)');
+    compare('partition expiration', Number(expectedPartitioning.expirationMs || 0), Number(actualPartitioning.expirationMs || 0));
+    compare(
+      'partition filter requirement',
+      Boolean(expectedPartitioning.requirePartitionFilter),
+      Boolean(actualPartitioning.requirePartitionFilter || metadata.requirePartitionFilter)
+    );
+  }
+
+  compare(
+    'clustering fields',
+    ((expected.clustering && expected.clustering.fields) || []).join(', ') || '(none)',
+    ((metadata.clustering && metadata.clustering.fields) || []).join(', ') || '(none)'
+  );
+
+  return differences;
+}
+
+/**
+ * Checks the partitioning and clustering settings of a probe.
+ *
+ * @param {{partitioning: PartitioningConfiguration, clustering: string[]}} probe
+ * @return {string[]} The errors found, if any.
+ */
+function validateTableOptions(probe) {
+  const errors = [];
+
+  if (probe.partitioning) {
+    if (probe.partitioning.type && partitioningTypes.indexOf(probe.partitioning.type) === -1) {
+      errors.push(`partitioning.type must be one of: ${partitioningTypes.join(', ')}`);
+    }
+
+    if (probe.partitioning.expirationMs !== undefined && !(probe.partitioning.expirationMs > 0)) {
+      errors.push('partitioning.expirationMs must be a positive number');
+    }
+  }
+
+  if (probe.clustering) {
+    if (!Array.isArray(probe.clustering) || probe.clustering.length > maxClusteringFields) {
+      errors.push(`clustering must be an array of at most ${maxClusteringFields} field names`);
+    }
+    else if (!probe.partitioning) {
+      errors.push('clustering requires partitioning');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  buildTableOptions,
+  diffTableOptions,
+  validateTableOptions
+};
@@ -0,0 +1,96 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  placeholderRegExp = /\{([^{}]+)\}/g,
+  dateFormatRegExp = /^(YYYY|MM|DD|HH)([-_]?(YYYY|MM|DD|HH))*$/;
+
+/**
+ * Replaces the `{name}` placeholders of a template with the corresponding
+ * values. Missing values are replaced with an empty string.
+ *
+ * @param {string} template
+ * @param {function(string): *} resolve Returns the value of a placeholder.
+ * @return {string}
+ */
+function renderTemplate(template, resolve) {
+  return template.replace(placeholderRegExp, (match, name) => {
+    const value = resolve(name.trim());
+
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * @param {string} template
+ * @return {string[]} The names of the placeholders of the template.
+ */
+function getPlaceholders(template) {
+  const
+    names = [],
+    regExp = new RegExp(placeholderRegExp.source, 'g');
+  let match = regExp.exec(template);
+
+  while (match) {
+    names.push(match[1].trim());
+    match = regExp.exec(template);
+  }
+
+  return names;
+}
+
+/**
+ * @param {string} name
+ * @return {boolean} True if a placeholder name is a date format, made of
+ * the YYYY, MM, DD and HH tokens, optionally separated by "-" or "_".
+ */
+function isDateFormat(name) {
+  return dateFormatRegExp.test(name);
+}
+
+/**
+ * Formats a date (in UTC) according to a date format placeholder.
+ *
+ * @param {string} format e.g. "YYYYMMDD"
+ * @param {Date} date
+ * @return {string}
+ */
+function formatDate(format, date) {
+  const pad = value => (value < 10 ? '0' : '') + value;
+
+  return format
+    .replace('YYYY', String(date.getUTCFullYear()))
+    .replace('MM', pad(date.getUTCMonth() + 1))
+    .replace('DD', pad(date.getUTCDate()))
+    .replace('HH', pad(date.getUTCHours()));
+}
+
+module.exports = {
+  renderTemplate,
+  getPlaceholders,
+  isDateFormat,
+  formatDate
+};
@@ -0,0 +1,113 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const precisions = ['seconds', 'milliseconds', 'microseconds'];
+
+/**
+ * Parses a timestamp found in a measure. Numbers (and numeric strings) are
+ * milliseconds since the epoch, other strings are ISO 8601 dates, whose
+ * fraction of a second is kept up to the microsecond.
+ *
+ * @param {number|string|Date} value
+ * @return {number|null} The number of microseconds since the epoch, or null if the value is not a valid timestamp.
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.getTime() * 1000;
+  }
+
+  if (typeof value === 'number') {
+    return isFinite(value) ? Math.round(value * 1000) : null;
+  }
+
+  if (typeof value !== 'string' || value.length === 0) {
+    return null;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+
+  const milliseconds = Date.parse(value);
+
+  if (isNaN(milliseconds)) {
+    return null;
+  }
+
+  // Date.parse truncates the fraction of a second to the millisecond
+  const fraction = /:\d{2}\.(\d+)/.exec(value);
+  const extraMicroseconds = fraction ? parseInt((fraction[1].slice(3) + '000').slice(0, 3), 10) : 0;
+
+  return milliseconds * 1000 + extraMicroseconds;
+}
+
+/**
+ * Formats a timestamp to be inserted in a BigQuery TIMESTAMP column.
+ *
+ * @param {number} microseconds The number of microseconds since the epoch.
+ * @param {string} precision "seconds", "milliseconds" or "microseconds".
+ * @return {number|string} A number of seconds since the epoch (rounded to the
+ *   second or to the millisecond), or an ISO 8601 date for microseconds, as
+ *   a number cannot hold them accurately.
+ */
+function formatTimestamp(microseconds, precision) {
+  if (precision === 'microseconds') {
+    const
+      milliseconds = Math.floor(microseconds / 1000),
+      remainder = String(microseconds - milliseconds * 1000);
+
+    return new Date(milliseconds).toISOString().replace('Z', `${'000'.slice(remainder.length)}${remainder}Z`);
+  }
+
+  if (precision === 'milliseconds') {
+    return Math.round(microseconds / 1000) / 1000;
+  }
+
+  return Math.round(microseconds / 1000000);
+}
+
+/**
+ * Rounds a timestamp the way formatTimestamp does, to compare it with the
+ * timestamps stored in a table.
+ *
+ * @param {number} microseconds The number of microseconds since the epoch.
+ * @param {string} precision "seconds", "milliseconds" or "microseconds".
+ * @return {number} The rounded number of microseconds since the epoch.
+ */
+function roundTimestamp(microseconds, precision) {
+  if (precision === 'microseconds') {
+    return microseconds;
+  }
+
+  if (precision === 'milliseconds') {
+    return Math.round(microseconds / 1000) * 1000;
+  }
+
+  return Math.round(microseconds / 1000000) * 1000000;
+}
+
+module.exports = {
+  precisions,
+  parseTimestamp,
+  formatTimestamp,
+  roundTimestamp
+};
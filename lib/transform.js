@@ -0,0 +1,263 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  crypto = require('crypto'),
+  schemaUtils = require('./schema'),
+  timestamps = require('./timestamp'),
+  renderTemplate = require('./template').renderTemplate;
+
+/**
+ * @typedef {object} TransformConfiguration
+ * @property {object<string, *>} add Constant fields to add.
+ * @property {object<string, string>} compute Fields computed from a template, e.g. "{first_name} {last_name}".
+ * @property {object<string, string>} cast Fields to convert to another BigQuery type.
+ * @property {string[]} hash Fields to replace with their SHA-256 hash.
+ * @property {string} salt Salt prepended to the values to hash.
+ * @property {string[]} redact Fields whose value is removed (set to null).
+ * @property {string[]} drop Fields to remove.
+ * @property {object<string, string>} rename Fields to rename.
+ */
+
+const castTypes = ['INTEGER', 'FLOAT', 'STRING', 'BOOLEAN', 'TIMESTAMP'];
+
+/**
+ * Applies the transforms of a probe to a row, in this order: add, compute,
+ * cast, hash, redact, drop and rename. Field names are column names, i.e.
+ * normalized attribute names.
+ *
+ * @param {object} row
+ * @param {TransformConfiguration} transform
+ * @param {{timestampPrecision: string}} options
+ * @return {object} The transformed row.
+ */
+function applyTransform(row, transform, options) {
+  const result = Object.assign({}, row);
+
+  Object.keys(transform.add || {}).forEach(field => {
+    result[field] = transform.add[field];
+  });
+
+  Object.keys(transform.compute || {}).forEach(field => {
+    result[field] = renderTemplate(transform.compute[field], name => row[name]);
+  });
+
+  Object.keys(transform.cast || {}).forEach(field => {
+    if (field in result) {
+      result[field] = castValue(result[field], transform.cast[field], options.timestampPrecision);
+    }
+  });
+
+  (transform.hash || []).forEach(field => {
+    if (result[field] !== null && result[field] !== undefined) {
+      result[field] = hashValue(result[field], transform.salt);
+    }
+  });
+
+  (transform.redact || []).forEach(field => {
+    if (field in result) {
+      result[field] = null;
+    }
+  });
+
+  (transform.drop || []).forEach(field => {
+    delete result[field];
+  });
+
+  Object.keys(transform.rename || {}).forEach(field => {
+    if (field in result) {
+      const value = result[field];
+      delete result[field];
+      result[transform.rename[field]] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Applies the transforms of a probe to the schema of its measures, to get
+ * the schema of the transformed rows.
+ *
+ * @param {BigQuerySchema} schema
+ * @param {TransformConfiguration} transform
+ * @return {BigQuerySchema}
+ */
+function transformSchema(schema, transform) {
+  let fields = schema.fields.map(field => Object.assign({}, field));
+
+  const setField = field => {
+    fields = fields.filter(f => f.name !== field.name).concat(field);
+  };
+
+  Object.keys(transform.add || {}).forEach(name => {
+    setField(schemaUtils.inferField(name, transform.add[name]) || {name, type: 'STRING', mode: 'NULLABLE'});
+  });
+
+  Object.keys(transform.compute || {}).forEach(name => {
+    setField({name, type: 'STRING', mode: 'NULLABLE'});
+  });
+
+  fields.forEach(field => {
+    if (transform.cast && transform.cast[field.name]) {
+      field.type = transform.cast[field.name];
+    }
+
+    if ((transform.hash || []).indexOf(field.name) !== -1) {
+      field.type = 'STRING';
+    }
+
+    if ((transform.redact || []).indexOf(field.name) !== -1 && field.mode === 'REQUIRED') {
+      field.mode = 'NULLABLE';
+    }
+  });
+
+  return {
+    fields: fields
+      .filter(field => (transform.drop || []).indexOf(field.name) === -1)
+      .map(field => {
+        if (transform.rename && transform.rename[field.name]) {
+          field.name = transform.rename[field.name];
+        }
+
+        return field;
+      })
+  };
+}
+
+/**
+ * Tells what becomes of a field once transformed.
+ *
+ * @param {string} name
+ * @param {TransformConfiguration} [transform]
+ * @return {string|null} The name of the field once transformed, or null if it is dropped.
+ */
+function transformFieldName(name, transform) {
+  if (!transform) {
+    return name;
+  }
+
+  if ((transform.drop || []).indexOf(name) !== -1) {
+    return null;
+  }
+
+  return (transform.rename && transform.rename[name]) || name;
+}
+
+/**
+ * Checks the transforms of a probe.
+ *
+ * @param {TransformConfiguration} transform
+ * @return {string[]} The errors found, if any.
+ */
+function validateTransform(transform) {
+  const errors = [];
+
+  ['add', 'compute', 'cast', 'rename'].forEach(key => {
+    if (transform[key] !== undefined && (typeof transform[key] !== 'object' || Array.isArray(transform[key]))) {
+      errors.push(`transform.${key} must be an object`);
+    }
+  });
+
+  ['hash', 'redact', 'drop'].forEach(key => {
+    if (transform[key] !== undefined && !Array.isArray(transform[key])) {
+      errors.push(`transform.${key} must be an array of field names`);
+    }
+  });
+
+  Object.keys(transform.cast || {}).forEach(field => {
+    if (castTypes.indexOf(transform.cast[field]) === -1) {
+      errors.push(`transform.cast.${field} must be one of: ${castTypes.join(', ')}`);
+    }
+  });
+
+  Object.keys(transform.compute || {}).forEach(field => {
+    if (typeof transform.compute[field] !== 'string') {
+      errors.push(`transform.compute.${field} must be a template string`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Converts a value to a BigQuery type. Values that cannot be converted
+ * become null.
+ *
+ * @param {*} value
+ * @param {string} type
+ * @param {string} timestampPrecision
+ * @return {*}
+ */
+function castValue(value, type, timestampPrecision) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (type) {
+    case 'INTEGER':
+    case 'FLOAT': {
+      const number = typeof value === 'boolean' ? Number(value) : parseFloat(value);
+
+      if (!isFinite(number)) {
+        return null;
+      }
+
+      return type === 'INTEGER' ? Math.trunc(number) : number;
+    }
+    case 'BOOLEAN':
+      if (['true', '1', 1, true].indexOf(value) !== -1) {
+        return true;
+      }
+
+      return ['false', '0', 0, false].indexOf(value) !== -1 ? false : null;
+    case 'TIMESTAMP': {
+      const microseconds = timestamps.parseTimestamp(value);
+
+      return microseconds === null ? null : timestamps.formatTimestamp(microseconds, timestampPrecision);
+    }
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {string} [salt]
+ * @return {string} The hexadecimal SHA-256 hash of the value.
+ */
+function hashValue(value, salt) {
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return crypto
+    .createHash('sha256')
+    .update((salt || '') + text)
+    .digest('hex');
+}
+
+module.exports = {
+  castTypes,
+  applyTransform,
+  transformSchema,
+  transformFieldName,
+  validateTransform
+};
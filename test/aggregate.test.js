@@ -0,0 +1,120 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  aggregates = require('../lib/aggregate');
+
+describe('aggregate', () => {
+  describe('AggregateWindow', () => {
+    const start = Date.UTC(2018, 2, 14, 15, 9) * 1000;
+
+    it('should compute the aggregation of every column', () => {
+      const window = new aggregates.AggregateWindow(start, 60000);
+
+      window.add({a: 1, b: 1, c: 1, d: 1, e: 'foo'});
+      window.add({a: 4, b: 4, c: 4, d: 4, e: 'bar'});
+      window.add({a: 1, b: 2, c: 2, d: 3});
+
+      should(window.count).eql(3);
+      should(window.toRow({columns: {a: 'sum', b: 'max', c: 'min', d: 'avg'}}, 'seconds')).eql({
+        a: 6,
+        b: 4,
+        c: 1,
+        d: 8 / 3,
+        e: 'bar',
+        window_start: start / 1000000,
+        window_end: start / 1000000 + 60
+      });
+    });
+
+    it('should ignore the non-numeric values of numeric aggregations', () => {
+      const window = new aggregates.AggregateWindow(start, 60000);
+
+      window.add({a: 'foo', b: null, c: 2});
+      window.add({a: null, b: null, c: 'bar'});
+
+      should(window.toRow({columns: {a: 'sum', b: 'max', c: 'avg'}, windowStartColumn: 'from', windowEndColumn: 'to'}, 'milliseconds')).eql({
+        a: null,
+        b: null,
+        c: 2,
+        from: start / 1000000,
+        to: start / 1000000 + 60
+      });
+    });
+  });
+
+  describe('#getWindowStart', () => {
+    it('should align the windows on the epoch', () => {
+      const minute = Date.UTC(2018, 2, 14, 15, 9);
+
+      should(aggregates.getWindowStart((minute + 59999) * 1000, 60000)).eql(minute * 1000);
+      should(aggregates.getWindowStart(minute * 1000, 60000)).eql(minute * 1000);
+      should(aggregates.getWindowStart((minute + 60000) * 1000, 60000)).eql((minute + 60000) * 1000);
+      should(aggregates.getWindowStart((minute + 301000) * 1000, 300000)).eql((minute + 60000) * 1000);
+    });
+  });
+
+  describe('#aggregateSchema', () => {
+    it('should add the window columns and turn averaged integers into floats', () => {
+      const schema = {
+        fields: [
+          {name: 'a', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'b', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'window_end', type: 'TIMESTAMP', mode: 'REQUIRED'}
+        ]
+      };
+
+      should(aggregates.aggregateSchema(schema, {window: 60000, columns: {a: 'avg', b: 'sum'}})).eql({
+        fields: [
+          {name: 'a', type: 'FLOAT', mode: 'NULLABLE'},
+          {name: 'b', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'window_start', type: 'TIMESTAMP', mode: 'NULLABLE'},
+          {name: 'window_end', type: 'TIMESTAMP', mode: 'NULLABLE'}
+        ]
+      });
+      should(schema.fields[0].type).eql('INTEGER');
+    });
+  });
+
+  describe('#validateAggregate', () => {
+    it('should accept valid settings', () => {
+      should(aggregates.validateAggregate({window: 60000})).eql([]);
+      should(aggregates.validateAggregate({
+        window: 60000,
+        columns: {a: 'sum', b: 'max', c: 'min', d: 'avg', e: 'last'},
+        windowStartColumn: 'from',
+        windowEndColumn: 'to'
+      })).eql([]);
+    });
+
+    it('should report invalid settings', () => {
+      should(aggregates.validateAggregate('1m')).eql(['aggregate must be an object']);
+      should(aggregates.validateAggregate({window: 0, columns: {a: 'median'}, windowStartColumn: ''})).eql([
+        'aggregate.window must be a positive number of milliseconds',
+        'aggregate.columns.a must be one of: sum, max, min, avg, last',
+        'aggregate.windowStartColumn must be a non-empty string'
+      ]);
+      should(aggregates.validateAggregate({window: 1000, columns: ['a']})).eql(['aggregate.columns must be an object']);
+    });
+  });
+});
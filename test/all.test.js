@@ -22,9 +22,13 @@
 
 const
   should = require('should'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
   sinon = require('sinon'),
   rewire = require('rewire'),
   BigQueryConnector = rewire('../index.js'),
+  Backfill = require('../lib/backfill'),
   Promise = require('bluebird');
 
 describe('BigQueryConnector', () => {
@@ -33,7 +37,15 @@ describe('BigQueryConnector', () => {
         errors: {
           PreconditionError: Error
         },
-        log: console
+        log: console,
+        accessors: {
+          storage: {bootstrap: () => Promise.resolve()}
+        },
+        constructors: {
+          Repository: function repositoryMock () {
+            this.search = () => Promise.resolve({total: 0, hits: []});
+          }
+        }
       },
     config = {
       projectId: 'toto',
@@ -41,13 +53,21 @@ describe('BigQueryConnector', () => {
         echo: 'LOL'
       },
       dataSet: 'LULZ',
-      probes: ['probe_1', 'probe_2']
+      probes: {
+        probe_1: {type: 'counter'},
+        probe_2: {type: 'monitor', hooks: ['some:hook']}
+      }
     };
   let
     bigQueryConnector,
+    createBigQuery,
     existsStub = sinon.stub(),
     createTableStub = sinon.stub(),
     insertStub = sinon.stub(),
+    getMetadataStub = sinon.stub(),
+    setMetadataStub = sinon.stub(),
+    deleteStub = sinon.stub(),
+    importStub = sinon.stub(),
     BigQueryMock = function bqMock () {
       return {
         dataset() {
@@ -55,163 +75,2052 @@ describe('BigQueryConnector', () => {
             table () {
               return {
                 exists: existsStub,
-                insert: insertStub
+                insert: insertStub,
+                getMetadata: getMetadataStub,
+                setMetadata: setMetadataStub,
+                delete: deleteStub,
+                import: importStub
               };
             },
             createTable: createTableStub
           };
         }
       };
-    };
+    };
+
+  beforeEach(() => {
+    createBigQuery = options => new BigQueryMock(options);
+    bigQueryConnector = new BigQueryConnector(options => createBigQuery(options));
+  });
+
+  afterEach(() => {
+    // pending flushes must not outlive their test
+    Object.keys(bigQueryConnector.buffers).forEach(tableName => bigQueryConnector.buffers[tableName].clear());
+  });
+
+  describe('#init', () => {
+    it('should throw if a mandatory option is missing', () => {
+      should(() => bigQueryConnector.init({}, context)).throw(/Invalid configuration \(3 errors\):\n {2}- dataSet is mandatory\n {2}- probes is mandatory\n {2}- projectId is mandatory for the "bigquery" sink$/);
+    });
+
+    it('should throw if several credentials sources are configured', () => {
+      should(() => bigQueryConnector.init(Object.assign({}, config, {keyFilename: '/tmp/key.json'}), context))
+        .throw(/credentials, keyFilename: only one credentials source can be configured/);
+    });
+
+    it('should report every error at once, with the probe name and key path', () => {
+      let error;
+
+      try {
+        bigQueryConnector.init(Object.assign({}, config, {
+          rejectedRowsHandler: 'foo',
+          maxBatchSize: 0,
+          probes: {
+            some_probe: {type: 'counter', schemaDriftPolicy: 'foo', clustering: ['a'], timestampPrecision: 'nanoseconds'},
+            other_probe: {type: 'watcher', flatten: 'foo', ingestionMode: 'batch', insertIdFields: 'id'}
+          }
+        }), context);
+      }
+      catch (e) {
+        error = e;
+      }
+
+      should(error.message.split('\n')).eql([
+        'kdc-bigquery-connector: Invalid configuration (9 errors):',
+        '  - probes.some_probe.schemaDriftPolicy must be one of: warn, fail, migrate-additive',
+        '  - probes.some_probe.timestampPrecision must be one of: seconds, milliseconds, microseconds',
+        '  - probes.some_probe.clustering requires partitioning',
+        '  - probes.other_probe.flatten must be one of: legacy, path, record',
+        '  - probes.other_probe.ingestionMode must be one of: streaming, load',
+        '  - probes.other_probe.insertIdFields must be an array',
+        '  - probes.other_probe.schema is mandatory for watcher probes, unless inferSchema is set',
+        '  - rejectedRowsHandler must be one of: spool, event, ignore',
+        '  - maxBatchSize must be greater than or equal to 1'
+      ]);
+    });
+
+    it('should check the probe types and schemas', () => {
+      should(() => bigQueryConnector.init(Object.assign({}, config, {
+        probes: {
+          some_probe: {type: 'countr'},
+          some_monitor: {type: 'monitor'},
+          some_watcher: {
+            type: 'watcher',
+            schema: {fields: [{name: 'a', type: 'TEXT'}, {name: 'b', type: 'INTEGER', mode: 'OPTIONAL'}, {name: 'c', type: 'RECORD'}]}
+          }
+        }
+      }), context)).throw(new RegExp([
+        'probes.some_probe.type must be one of: monitor, counter, watcher, sampler',
+        'probes.some_monitor.hooks is mandatory for monitor probes',
+        'probes.some_watcher.schema.fields\\[0\\].type must be one of: STRING, ',
+        'probes.some_watcher.schema.fields\\[1\\].mode must be one of: NULLABLE, REQUIRED, REPEATED',
+        'probes.some_watcher.schema.fields\\[2\\].fields is mandatory for RECORD fields'
+      ].join('.*\\n.*')));
+    });
+
+    it('should check the transforms, aggregates, filters and routes of the probes', () => {
+      should(() => bigQueryConnector.init(Object.assign({}, config, {
+        probes: {
+          some_probe: {
+            type: 'counter',
+            transform: {cast: {count: 'NUMBER'}},
+            aggregate: {window: 60000, columns: {count: 'median'}},
+            routes: [{when: [{field: 'a', equals: 1}]}]
+          },
+          some_watcher: {type: 'watcher', inferSchema: true, aggregate: {window: 60000}}
+        }
+      }), context)).throw(new RegExp([
+        'probes.some_probe.transform.cast.count must be one of: INTEGER',
+        'probes.some_probe.aggregate.columns.count must be one of: sum, max, min, avg, last',
+        'probes.some_probe.routes\\[0\\].tableName must be a non-empty string',
+        'probes.some_watcher.aggregate is only available for counter and monitor probes'
+      ].join('.*\\n.*')));
+    });
+
+    it('should hint at the closest option for unknown keys', () => {
+      let error;
+
+      try {
+        bigQueryConnector.init(Object.assign({}, config, {
+          probes: {some_probe: {type: 'counter', table_name: 'foo', partitioning: {expiration: 1}}},
+          maxBatchSise: 100,
+          somethingElse: true
+        }), context);
+      }
+      catch (e) {
+        error = e;
+      }
+
+      should(error.message.split('\n')).eql([
+        'kdc-bigquery-connector: Invalid configuration (4 errors):',
+        '  - probes.some_probe.table_name is not a known option (did you mean "tableName"?)',
+        '  - probes.some_probe.partitioning.expiration is not a known option (did you mean "expirationMs"?)',
+        '  - maxBatchSise is not a known option (did you mean "maxBatchSize"?)',
+        '  - somethingElse is not a known option'
+      ]);
+    });
+
+    it('should call createTableIfNotExists for every probe', (done) => {
+      sinon.stub(bigQueryConnector, 'createTableIfNotExists').returns(Promise.resolve());
+      bigQueryConnector
+        .init(config, context)
+        .then(() => {
+          should(bigQueryConnector.createTableIfNotExists.calledWith(config.probes.probe_1, 'probe_1')).eql(true);
+          should(bigQueryConnector.createTableIfNotExists.calledWith(config.probes.probe_2, 'probe_2')).eql(true);
+        })
+        .finally(() => {
+          bigQueryConnector.createTableIfNotExists.restore();
+          done();
+        });
+    });
+  });
+
+  describe('#captureEvent', () => {
+    beforeEach(() => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_monitor: {type: 'monitor', source: 'events', hooks: ['core:overload', 'document:afterCreate']},
+        some_watcher: {type: 'watcher', source: 'events', events: ['document:afterCreate'], index: 'foo', inferSchema: true},
+        probe_monitor: {type: 'monitor', hooks: ['document:afterCreate']}
+      };
+    });
+
+    it('should listen to the events of the probes and to the measures of every probe plugin', () => {
+      sinon.stub(bigQueryConnector, 'createTableIfNotExists').returns(Promise.resolve());
+
+      return bigQueryConnector.init(Object.assign({}, config, {probes: bigQueryConnector.probes, probePluginName: ['some-probe', 'other-probe']}), context)
+        .then(() => {
+          should(bigQueryConnector.hooks).eql({
+            'plugin-some-probe:receivedMeasure': 'saveMeasure',
+            'plugin-other-probe:receivedMeasure': 'saveMeasure',
+            'core:overload': 'captureEvent',
+            'document:afterCreate': 'captureEvent'
+          });
+        });
+    });
+
+    it('should save the measures of the event for every probe listening to it', () => {
+      bigQueryConnector.captureEvent({id: 'request-id', input: {resource: {index: 'foo', collection: 'bar'}}, result: {_id: 'doc', _source: {a: 1}}}, 'document:afterCreate');
+
+      should(bigQueryConnector.buffers.some_monitor.rows[0].row).match({document_afterCreate: 1, timestamp: Number});
+      should(bigQueryConnector.buffers.some_watcher.rows[0].row).eql({_id: 'doc', a: 1});
+      should(bigQueryConnector.buffers.probe_monitor).be.undefined();
+
+      bigQueryConnector.captureEvent({input: {resource: {index: 'other'}}}, 'document:afterCreate');
+      bigQueryConnector.captureEvent(95, 'core:overload');
+
+      should(bigQueryConnector.buffers.some_monitor.length).eql(3);
+      should(bigQueryConnector.buffers.some_watcher.length).eql(1);
+    });
+  });
+
+  describe('#credentials', () => {
+    const
+      key = {type: 'service_account', client_email: 'foo@bar.iam.gserviceaccount.com', private_key: 'super-secret-key'},
+      keyFilename = path.join(os.tmpdir(), `kdc-bigquery-key-test-${process.pid}.json`);
+    let clientOptions;
+
+    beforeEach(() => {
+      clientOptions = [];
+      createBigQuery = options => {
+        clientOptions.push(options);
+        return new BigQueryMock();
+      };
+      bigQueryConnector.context = Object.assign({}, context, {
+        log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()}
+      });
+      sinon.stub(bigQueryConnector, 'createTableIfNotExists').returns(Promise.resolve());
+      sinon.stub(fs, 'watchFile');
+      sinon.stub(fs, 'unwatchFile');
+      fs.writeFileSync(keyFilename, JSON.stringify(key));
+    });
+
+    afterEach(() => {
+      fs.watchFile.restore();
+      fs.unwatchFile.restore();
+      fs.unlinkSync(keyFilename);
+      delete process.env.KDC_TEST_CREDENTIALS;
+    });
+
+    function initWith(credentialsConfig) {
+      const customConfig = Object.assign({}, config, credentialsConfig);
+
+      delete customConfig.credentials;
+      Object.assign(customConfig, credentialsConfig);
+
+      return bigQueryConnector.init(customConfig, bigQueryConnector.context);
+    }
+
+    it('should read the key file, and watch it', () => {
+      return initWith({keyFilename})
+        .then(() => {
+          should(clientOptions[0]).match({projectId: 'toto', credentials: key});
+          should(fs.watchFile.calledOnce).eql(true);
+          should(fs.watchFile.firstCall.args[0]).eql(keyFilename);
+          should(fs.watchFile.firstCall.args[1]).eql({persistent: false, interval: 5000});
+          should(bigQueryConnector.context.log.info.firstCall.args[0])
+            .eql(`Connecting to BigQuery with the service account foo@bar.iam.gserviceaccount.com, from the key file ${keyFilename}`);
+        });
+    });
+
+    it('should read the key from an environment variable', () => {
+      process.env.KDC_TEST_CREDENTIALS = JSON.stringify(key);
+
+      return initWith({credentialsEnv: 'KDC_TEST_CREDENTIALS'})
+        .then(() => {
+          should(clientOptions[0]).match({credentials: key});
+          should(fs.watchFile.called).eql(false);
+        });
+    });
+
+    it('should use the Application Default Credentials if no credentials are configured', () => {
+      return initWith({})
+        .then(() => {
+          should(clientOptions[0]).not.have.property('credentials');
+          should(bigQueryConnector.context.log.info.firstCall.args[0]).eql('Connecting to BigQuery with the Application Default Credentials');
+        });
+    });
+
+    it('should not disclose the key if it is invalid', () => {
+      fs.writeFileSync(keyFilename, '{"private_key": "super-secret-key"');
+
+      should(() => initWith({keyFilename})).throw(`kdc-bigquery-connector: The key file ${keyFilename} does not hold a valid JSON key`);
+    });
+
+    it('should rebuild the clients when the key file changes', () => {
+      const newKey = Object.assign({}, key, {client_email: 'baz@bar.iam.gserviceaccount.com'});
+
+      return initWith({keyFilename, keyFileWatchInterval: 1000})
+        .then(() => {
+          const watcher = fs.watchFile.firstCall.args[2];
+
+          bigQueryConnector.getClient('other-project');
+          fs.writeFileSync(keyFilename, JSON.stringify(newKey));
+          watcher({mtime: new Date(2)}, {mtime: new Date(1)});
+
+          should(clientOptions.length).eql(3);
+          should(clientOptions[2]).match({projectId: 'toto', credentials: newKey});
+          should(bigQueryConnector.clients).eql({});
+          should(bigQueryConnector.context.log.info.lastCall.args[0]).match(/reloaded, now using the service account baz@bar/);
+        });
+    });
+
+    it('should keep the current clients if the new key file is invalid', () => {
+      return initWith({keyFilename})
+        .then(() => {
+          const client = bigQueryConnector.bigQuery;
+
+          fs.writeFileSync(keyFilename, 'super-secret-key');
+
+          should(bigQueryConnector.reloadCredentials()).eql(false);
+          should(bigQueryConnector.bigQuery).equal(client);
+          should(bigQueryConnector.context.log.error.firstCall.args[0]).not.match(/super-secret-key/);
+        });
+    });
+
+    it('should stop watching the key file on shutdown', () => {
+      return initWith({keyFilename})
+        .then(() => bigQueryConnector.shutdown())
+        .then(() => {
+          should(fs.unwatchFile.calledWith(keyFilename, fs.watchFile.firstCall.args[2])).eql(true);
+        });
+    });
+  });
+
+  describe('#sink', () => {
+    const directory = path.join(os.tmpdir(), `kdc-bigquery-connector-sink-test-${process.pid}`);
+
+    beforeEach(() => {
+      createBigQuery = sinon.stub().throws(new Error('BigQuery must not be called'));
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(directory)) {
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+      }
+    });
+
+    it('should write the tables and rows of the probes to files, without connecting to BigQuery', () => {
+      const customConfig = Object.assign({}, config, {sink: 'file', sinkDirectory: directory, keyFilename: '/does/not/exist.json'});
+
+      delete customConfig.credentials;
+
+      return bigQueryConnector.init(customConfig, context)
+        .then(() => {
+          should(JSON.parse(fs.readFileSync(path.join(directory, 'toto.LULZ.probe_1.schema.json'), 'utf8')).schema.fields[0])
+            .eql({name: 'count', type: 'INTEGER', mode: 'REQUIRED'});
+
+          bigQueryConnector.saveMeasure({probeName: 'probe_1', timestamp: 1521040166000, data: {count: 42}});
+
+          return bigQueryConnector.flush();
+        })
+        .then(() => {
+          should(fs.readFileSync(path.join(directory, 'toto.LULZ.probe_1.ndjson'), 'utf8')).eql('{"count":42,"timestamp":1521040166}\n');
+          should(bigQueryConnector.stats.get('probe_1').inserted).eql(1);
+        });
+    });
+
+    it('should check the rows in dry-run mode, and handle the rows not matching the table schema as rejected rows', () => {
+      // the local sinks need no project
+      const customConfig = Object.assign({}, config, {sink: 'dry-run'});
+
+      delete customConfig.projectId;
+      bigQueryConnector.rejectedSpool = {write: sinon.stub().usingPromise(Promise).resolves()};
+      bigQueryConnector.context = Object.assign({}, context, {log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()}});
+
+      return bigQueryConnector.init(customConfig, bigQueryConnector.context)
+        .then(() => {
+          should(bigQueryConnector.context.log.warn.firstCall.args[0]).eql('Rows are not sent to BigQuery: dry run, they are checked and logged');
+
+          bigQueryConnector.saveMeasure({probeName: 'probe_1', timestamp: 1521040166000, data: {count: 42}});
+          bigQueryConnector.saveMeasure({probeName: 'probe_1', timestamp: 1521040166000, data: {count: 'many'}});
+
+          return bigQueryConnector.flush();
+        })
+        .then(() => {
+          should(bigQueryConnector.context.log.info.calledWith('[dry-run] local:LULZ.probe_1 {"count":42,"timestamp":1521040166}')).eql(true);
+          should(bigQueryConnector.stats.get('probe_1')).match({inserted: 1, rejected: 1});
+          should(bigQueryConnector.rejectedSpool.write.firstCall.args.slice(0, 3)).eql(['probe_1', [{count: 'many', timestamp: 1521040166}], 'field "count": invalid (Cannot convert value to INTEGER)']);
+        });
+    });
+  });
+
+  describe('#createTableIfNotExists', () => {
+    it('should resolve if the probe is not listened or the table name is invalid ', () => {
+      should(bigQueryConnector.createTableIfNotExists({}, 'probe_1')).be.fulfilled();
+    });
+
+    it('should not create the tables of probes with a table name template', () => {
+      existsStub = sinon.stub();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.probes = {probe_1: {type: 'counter', tableName: 'events_{YYYYMMDD}'}};
+
+      return bigQueryConnector.createTableIfNotExists(bigQueryConnector.probes.probe_1, 'probe_1')
+        .then(() => {
+          should(existsStub.called).eql(false);
+        });
+    });
+
+    it('should only check the schema drift and the table options if the table exists', () => {
+      return BigQueryConnector.__with__({
+        getTableForProbe () { return 'probe_table'; },
+      })(() => {
+        existsStub = sinon.stub().usingPromise(Promise).resolves([true]);
+        bigQueryConnector.bigQuery = new BigQueryMock();
+        sinon.stub(bigQueryConnector, 'checkSchemaDrift').usingPromise(Promise).resolves();
+        sinon.stub(bigQueryConnector, 'checkTableOptions').usingPromise(Promise).resolves();
+
+        return bigQueryConnector
+          .createTableIfNotExists({}, 'probe_1')
+          .then(() => {
+            should(bigQueryConnector.checkSchemaDrift.calledWith({}, 'probe_1', 'probe_table')).eql(true);
+            should(bigQueryConnector.checkTableOptions.calledWith({}, 'probe_1', 'probe_table')).eql(true);
+            return should(createTableStub.called).eql(false);
+          })
+          .catch(error => {
+            throw new Error('This thing failed', error);
+          })
+          .finally(() => {
+            existsStub = sinon.stub();
+          });
+      });
+    });
+
+    it('should call createTable if the table does not exist', () => {
+      return BigQueryConnector.__with__({
+        getSchemaForProbe: () => { return []; },
+        getTableForProbe: () => { return 'some_table'; }
+      })(() => {
+        existsStub = sinon.stub().usingPromise(Promise).resolves([false]);
+        createTableStub = sinon.stub().usingPromise(Promise).resolves(true);
+        bigQueryConnector.bigQuery = new BigQueryMock();
+
+        return bigQueryConnector
+          .createTableIfNotExists({}, 'probe_1')
+          .then(() => {
+            return should(createTableStub.called).eql(true);
+          })
+          .catch(error => {
+            throw new Error('This thing failed', error);
+          })
+          .finally(() => {
+            existsStub = sinon.stub();
+            createTableStub = sinon.stub();
+          });
+      });
+    });
+
+    it('should create partitioned and clustered tables', () => {
+      return BigQueryConnector.__with__({
+        getSchemaForProbe: () => { return {fields: []}; },
+        getTableForProbe: () => { return 'some_table'; }
+      })(() => {
+        existsStub = sinon.stub().usingPromise(Promise).resolves([false]);
+        createTableStub = sinon.stub().usingPromise(Promise).resolves();
+        bigQueryConnector.bigQuery = new BigQueryMock();
+
+        return bigQueryConnector
+          .createTableIfNotExists({
+            partitioning: {type: 'HOUR', field: 'timestamp', expirationMs: 86400000, requirePartitionFilter: true},
+            clustering: ['a', 'b']
+          }, 'probe_1')
+          .then(() => {
+            should(createTableStub.calledWith('some_table', {
+              schema: {fields: []},
+              timePartitioning: {type: 'HOUR', field: 'timestamp', expirationMs: '86400000', requirePartitionFilter: true},
+              clustering: {fields: ['a', 'b']}
+            })).eql(true);
+          })
+          .finally(() => {
+            existsStub = sinon.stub();
+            createTableStub = sinon.stub();
+          });
+      });
+    });
+
+    it('should wait for the first measure to create the table if its schema must be inferred', () => {
+      return BigQueryConnector.__with__({
+        getTableForProbe: () => { return 'some_table'; }
+      })(() => {
+        existsStub = sinon.stub().usingPromise(Promise).resolves([false]);
+        createTableStub = sinon.stub().usingPromise(Promise).resolves();
+        bigQueryConnector.bigQuery = new BigQueryMock();
+
+        return bigQueryConnector
+          .createTableIfNotExists({type: 'watcher', inferSchema: true}, 'probe_1')
+          .then(() => {
+            should(createTableStub.called).eql(false);
+            should(bigQueryConnector.lazyTables).eql({some_table: 'probe_1'});
+          })
+          .finally(() => {
+            existsStub = sinon.stub();
+            createTableStub = sinon.stub();
+          });
+      });
+    });
+
+    it('should reject if createTable failed', () => {
+      return BigQueryConnector.__with__({
+        getSchemaForProbe: () => { return []; },
+        getTableForProbe: () => { return 'some_table'; }
+      })(() => {
+        existsStub = sinon.stub().usingPromise(Promise).resolves([false]);
+        createTableStub = sinon.stub().usingPromise(Promise).rejects(false);
+        bigQueryConnector.bigQuery = new BigQueryMock();
+
+        return should(bigQueryConnector
+          .createTableIfNotExists({}, 'probe_1'))
+          .be.rejected()
+          .then(() => {
+            existsStub = sinon.stub();
+            createTableStub = sinon.stub();
+          });
+      });
+    });
+  });
+
+  describe('#checkSchemaDrift', () => {
+    const probe = {type: 'counter'};
+
+    beforeEach(() => {
+      bigQueryConnector.context = {
+        errors: context.errors,
+        log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()}
+      };
+      setMetadataStub = sinon.stub().usingPromise(Promise).resolves();
+    });
+
+    afterEach(() => {
+      getMetadataStub = sinon.stub();
+      setMetadataStub = sinon.stub();
+    });
+
+    function mockTableSchema(fields) {
+      getMetadataStub = sinon.stub().usingPromise(Promise).resolves([{schema: {fields}}]);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+    }
+
+    it('should do nothing if the table schema matches the configuration', () => {
+      mockTableSchema([
+        {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+        {name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED'}
+      ]);
+
+      return bigQueryConnector.checkSchemaDrift(probe, 'some_probe', 'some_table')
+        .then(() => {
+          should(bigQueryConnector.context.log.warn.called).eql(false);
+          should(bigQueryConnector.schemaDrifts.some_probe).eql({missing: [], added: [], changed: []});
+        });
+    });
+
+    it('should report the schema drift', () => {
+      mockTableSchema([
+        {name: 'count', type: 'FLOAT', mode: 'REQUIRED'},
+        {name: 'extra', type: 'STRING', mode: 'NULLABLE'}
+      ]);
+
+      return bigQueryConnector.checkSchemaDrift(probe, 'some_probe', 'some_table')
+        .then(() => {
+          should(bigQueryConnector.schemaDrifts.some_probe).eql({
+            missing: ['timestamp'],
+            added: ['extra'],
+            changed: [{path: 'count', expected: 'INTEGER REQUIRED', actual: 'FLOAT REQUIRED'}]
+          });
+          should(bigQueryConnector.context.log.warn.calledOnce).eql(true);
+          should(bigQueryConnector.context.log.warn.firstCall.args[0]).eql('Schema drift detected, the schema of table some_table does not match the configuration of probe some_probe: missing columns: timestamp; columns absent from the configuration: extra; changed columns: count (expected INTEGER REQUIRED, got FLOAT REQUIRED)');
+          should(setMetadataStub.called).eql(false);
+        });
+    });
+
+    it('should reject if the policy is "fail"', () => {
+      mockTableSchema([{name: 'count', type: 'INTEGER', mode: 'REQUIRED'}]);
+
+      return should(bigQueryConnector.checkSchemaDrift(Object.assign({schemaDriftPolicy: 'fail'}, probe), 'some_probe', 'some_table'))
+        .be.rejectedWith(/the schema of table some_table does not match the configuration of probe some_probe: missing columns: timestamp/);
+    });
+
+    it('should add the missing columns if the policy is "migrate-additive"', () => {
+      mockTableSchema([{name: 'count', type: 'INTEGER', mode: 'REQUIRED'}]);
+      bigQueryConnector.schemaDriftPolicy = 'migrate-additive';
+
+      return bigQueryConnector.checkSchemaDrift(probe, 'some_probe', 'some_table')
+        .then(() => {
+          const expected = {
+            fields: [
+              {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+              {name: 'timestamp', type: 'TIMESTAMP', mode: 'NULLABLE'}
+            ]
+          };
+
+          should(setMetadataStub.calledWith({schema: expected})).eql(true);
+          should(bigQueryConnector.schemas.some_table).eql(expected);
+        });
+    });
+  });
+
+  describe('#checkTableOptions', () => {
+    const probe = {partitioning: {field: 'timestamp'}};
+
+    beforeEach(() => {
+      bigQueryConnector.context = {
+        errors: context.errors,
+        log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()}
+      };
+    });
+
+    afterEach(() => {
+      getMetadataStub = sinon.stub();
+    });
+
+    it('should do nothing if the table options match the configuration', () => {
+      getMetadataStub = sinon.stub().usingPromise(Promise).resolves([{timePartitioning: {type: 'DAY', field: 'timestamp'}}]);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.checkTableOptions(probe, 'some_probe', 'some_table')
+        .then(() => {
+          should(bigQueryConnector.context.log.warn.called).eql(false);
+        });
+    });
+
+    it('should report the differences', () => {
+      getMetadataStub = sinon.stub().usingPromise(Promise).resolves([{}]);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.checkTableOptions(probe, 'some_probe', 'some_table')
+        .then(() => {
+          should(bigQueryConnector.context.log.warn.calledOnce).eql(true);
+          should(bigQueryConnector.context.log.warn.firstCall.args[0]).match(/the partitioning or clustering of table some_table does not match the configuration of probe some_probe: partitioning: expected true, got false/);
+        });
+    });
+
+    it('should reject if the schema drift policy is "fail"', () => {
+      getMetadataStub = sinon.stub().usingPromise(Promise).resolves([{}]);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return should(bigQueryConnector.checkTableOptions(Object.assign({schemaDriftPolicy: 'fail'}, probe), 'some_probe', 'some_table'))
+        .be.rejectedWith(/the partitioning or clustering of table some_table does not match/);
+    });
+  });
+
+  describe('#saveMeasure', () => {
+    it('should do nothing if the probe is not watched', () => {
+      const extractMeasureDataStub = sinon.stub();
+      return BigQueryConnector.__with__({
+        extractMeasureData: extractMeasureDataStub,
+        getTableForProbe: () => { return null; }
+      })(() => {
+        bigQueryConnector.saveMeasure({probeName: 'some_probe'});
+        should(extractMeasureDataStub.called).eql(false);
+      });
+    });
+
+    it('should buffer the measure if the probe is watched', () => {
+      const extractMeasureDataStub = sinon.stub().returns([{some: 'data'}]);
+      return BigQueryConnector.__with__({
+        extractMeasureData: extractMeasureDataStub,
+        getTableForProbe: () => { return 'some_probe'; }
+      })(() => {
+        insertStub.resolves();
+        bigQueryConnector.bigQuery = new BigQueryMock();
+        bigQueryConnector.context = context;
+        bigQueryConnector.saveMeasure({probeName: 'some_probe'});
+        should(extractMeasureDataStub.called).eql(true);
+        should(insertStub.called).eql(false);
+        should(bigQueryConnector.buffers.some_probe.rows).match([{probeName: 'some_probe', row: {some: 'data'}, insertId: /^[0-9a-f]{64}$/}]);
+
+        const insertId = bigQueryConnector.buffers.some_probe.rows[0].insertId;
+
+        return bigQueryConnector.flush()
+          .then(() => {
+            should(insertStub.calledWith([{insertId, json: {some: 'data'}}], {raw: true})).eql(true);
+          })
+          .finally(() => {
+            insertStub = sinon.stub();
+          });
+      });
+    });
+
+    it('should insert right away when the buffer is full', () => {
+      const extractMeasureDataStub = sinon.stub().returns([{some: 'data'}, {other: 'data'}]);
+      return BigQueryConnector.__with__({
+        extractMeasureData: extractMeasureDataStub,
+        getTableForProbe: () => { return 'some_probe'; }
+      })(() => {
+        insertStub.resolves();
+        bigQueryConnector.bigQuery = new BigQueryMock();
+        bigQueryConnector.context = context;
+        bigQueryConnector.batch.maxBatchSize = 2;
+        sinon.spy(bigQueryConnector, 'processBatch');
+        bigQueryConnector.saveMeasure({probeName: 'some_probe'});
+        should(bigQueryConnector.buffers.some_probe.length).eql(0);
+        should(bigQueryConnector.processBatch.calledOnce).eql(true);
+
+        return bigQueryConnector.processBatch.firstCall.returnValue
+          .then(() => {
+            should(insertStub.firstCall.args[0].map(row => row.json)).eql([{some: 'data'}, {other: 'data'}]);
+          })
+          .finally(() => {
+            insertStub = sinon.stub();
+          });
+      });
+    });
+
+    it('should buffer one row per sampled document, sharing the same timestamp', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_sampler: {type: 'sampler', timestamp: true}};
+      bigQueryConnector.saveMeasure({
+        probeName: 'some_sampler',
+        data: {content: [{a: 1}, {a: 2}]}
+      });
+
+      const rows = bigQueryConnector.buffers.some_sampler.rows.map(entry => entry.row);
+
+      should(rows.length).eql(2);
+      should(rows[0].a).eql(1);
+      should(rows[1].a).eql(2);
+      should(rows[0].timestamp).be.a.Number();
+      should(rows[1].timestamp).eql(rows[0].timestamp);
+    });
+
+    it('should add the timestamp to measures without content', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_probe: {type: 'watcher', timestamp: true}};
+      bigQueryConnector.saveMeasure({probeName: 'some_probe', data: {a: 1}});
+
+      should(bigQueryConnector.buffers.some_probe.rows[0].row.timestamp).be.a.Number();
+    });
+
+    it('should timestamp counter and monitor rows with the time of the measure', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_counter: {type: 'counter'},
+        some_monitor: {type: 'monitor', hooks: ['some:hook'], timestampColumn: 'measured_at', timestampPrecision: 'microseconds'}
+      };
+      bigQueryConnector.timestamp.precision = 'milliseconds';
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 42, timestamp: 1521040166535}});
+      bigQueryConnector.saveMeasure({probeName: 'some_monitor', timestamp: '2018-03-14T15:09:26.535123Z', data: {'some:hook': 2}});
+
+      should(bigQueryConnector.buffers.some_counter.rows[0].row).eql({count: 42, timestamp: 1521040166.535});
+      should(bigQueryConnector.buffers.some_monitor.rows[0].row).eql({some_hook: 2, measured_at: '2018-03-14T15:09:26.535123Z'});
+    });
+
+    it('should not keep the payload timestamp in the rows of probes with another timestamp column', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_counter: {type: 'counter', timestampColumn: 'measured_at'}};
+      bigQueryConnector.timestamp.precision = 'milliseconds';
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 42, timestamp: 1521040166535}});
+
+      should(bigQueryConnector.buffers.some_counter.rows[0].row).eql({count: 42, measured_at: 1521040166.535});
+    });
+
+    it('should fall back to the receive time if the measure has no timestamp', () => {
+      const now = Date.now();
+
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_counter: {type: 'counter'}};
+      bigQueryConnector.timestamp.precision = 'milliseconds';
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 42}});
+
+      should(bigQueryConnector.buffers.some_counter.rows[0].row.timestamp).be.within(now / 1000, Date.now() / 1000);
+    });
+
+    it('should only fill the timestamp column declared by a schema if the row has no value for it', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_probe: {type: 'watcher', schema: {fields: [{name: 'a', type: 'INTEGER'}, {name: 'timestamp', type: 'TIMESTAMP'}]}},
+        other_probe: {type: 'watcher', timestamp: true}
+      };
+      bigQueryConnector.timestamp.precision = 'milliseconds';
+      bigQueryConnector.saveMeasure({probeName: 'some_probe', timestamp: 1521040166535, data: {content: {a: 1, timestamp: '2018-01-01T00:00:00Z'}}});
+      bigQueryConnector.saveMeasure({probeName: 'some_probe', timestamp: 1521040166535, data: {content: {a: 2}}});
+      bigQueryConnector.saveMeasure({probeName: 'other_probe', timestamp: 1521040166535, data: {content: {a: 3, timestamp: '2018-01-01T00:00:00Z'}}});
+
+      should(bigQueryConnector.buffers.some_probe.rows.map(entry => entry.row)).eql([
+        {a: 1, timestamp: '2018-01-01T00:00:00Z'},
+        {a: 2, timestamp: 1521040166.535}
+      ]);
+      should(bigQueryConnector.buffers.other_probe.rows[0].row).eql({a: 3, timestamp: 1521040166.535});
+    });
+
+    it('should not timestamp rows of probes without timestamp column', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_probe: {type: 'watcher', schema: {fields: [{name: 'a', type: 'INTEGER'}]}}};
+      bigQueryConnector.saveMeasure({probeName: 'some_probe', data: {content: {a: 1}}});
+
+      should(bigQueryConnector.buffers.some_probe.rows[0].row).eql({a: 1});
+    });
+
+    it('should transform the rows of probes with transforms', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_probe: {
+          type: 'watcher',
+          timestamp: true,
+          transform: {drop: ['secret'], rename: {timestamp: 'measured_at'}, add: {source: 'kuzzle'}}
+        }
+      };
+      bigQueryConnector.saveMeasure({probeName: 'some_probe', timestamp: 1521040166535, data: {content: {a: 1, secret: 'foo'}}});
+
+      should(bigQueryConnector.buffers.some_probe.rows[0].row).eql({a: 1, source: 'kuzzle', measured_at: 1521040167});
+    });
+
+    it('should only buffer the rows matching the filter of the probe', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_sampler: {type: 'sampler', filter: [{field: 'status', in: ['active', 'pending']}]}};
+      bigQueryConnector.saveMeasure({
+        probeName: 'some_sampler',
+        data: {content: [{status: 'active'}, {status: 'deleted'}, {status: 'pending'}]}
+      });
+
+      should(bigQueryConnector.buffers.some_sampler.rows.map(entry => entry.row)).eql([{status: 'active'}, {status: 'pending'}]);
+      should(bigQueryConnector.stats.get('some_sampler').filtered).eql(1);
+    });
+
+    it('should route the rows to the table of the first matching route', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_sampler: {
+          type: 'sampler',
+          tableName: 'events',
+          routes: [
+            {when: [{field: 'tenant', exists: true}], tableName: 'events_{tenant}'},
+            {when: [{field: 'priority', gte: 5}], tableName: 'urgent_events'}
+          ],
+          transform: {drop: ['tenant']}
+        }
+      };
+      bigQueryConnector.saveMeasure({
+        probeName: 'some_sampler',
+        data: {content: [{tenant: 'acme-corp', a: 1}, {priority: 7, a: 2}, {priority: 1, a: 3}, {tenant: 'acme-corp', a: 4}]}
+      });
+
+      should(Object.keys(bigQueryConnector.buffers).sort()).eql(['events', 'events_acme_corp', 'urgent_events']);
+      should(bigQueryConnector.buffers.events_acme_corp.rows.map(entry => entry.row)).eql([{a: 1}, {a: 4}]);
+      should(bigQueryConnector.buffers.urgent_events.rows.map(entry => entry.row)).eql([{priority: 7, a: 2}]);
+      should(bigQueryConnector.buffers.events.rows.map(entry => entry.row)).eql([{priority: 1, a: 3}]);
+      should(bigQueryConnector.lazyTables).eql({events_acme_corp: 'some_sampler', urgent_events: 'some_sampler'});
+    });
+
+    it('should resolve table name templates and remember the tables met', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_sampler: {type: 'sampler', dataSet: 'other', tableName: '{probe}_{tenant}_{YYYYMMDD}'}
+      };
+      bigQueryConnector.saveMeasure({
+        probeName: 'some_sampler',
+        timestamp: 1521040166535,
+        data: {content: [{tenant: 'acme', a: 1}, {tenant: 'globex', a: 2}]}
+      });
+
+      should(Object.keys(bigQueryConnector.buffers).sort()).eql(['other.some_sampler_acme_20180314', 'other.some_sampler_globex_20180314']);
+      should(bigQueryConnector.lazyTables).eql({
+        'other.some_sampler_acme_20180314': 'some_sampler',
+        'other.some_sampler_globex_20180314': 'some_sampler'
+      });
+
+      // once created, tables are not created again
+      bigQueryConnector.lazyTables = {};
+      bigQueryConnector.saveMeasure({probeName: 'some_sampler', timestamp: 1521040166535, data: {content: [{tenant: 'acme', a: 3}]}});
+
+      should(bigQueryConnector.lazyTables).eql({});
+      should(bigQueryConnector.knownTables.size).eql(2);
+    });
+
+    it('should store the insertId of the rows in the insertId column of the probe', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_probe: {type: 'watcher', insertIdColumn: 'insert_id', insertIdFields: ['id']}};
+      bigQueryConnector.saveMeasure({probeName: 'some_probe', data: {content: {id: 'foo'}}});
+
+      const entry = bigQueryConnector.buffers.some_probe.rows[0];
+
+      should(entry.row).eql({id: 'foo', insert_id: entry.insertId});
+    });
+
+    it('should do nothing if a sampler measure holds no document', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {some_sampler: {type: 'sampler', timestamp: true}};
+      bigQueryConnector.saveMeasure({probeName: 'some_sampler', data: {content: []}});
+
+      should(bigQueryConnector.buffers.some_sampler).be.undefined();
+    });
+  });
+
+  describe('#aggregateMeasure', () => {
+    const minute = Date.UTC(2018, 2, 14, 15, 9);
+
+    beforeEach(() => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.probes = {
+        some_counter: {type: 'counter', aggregate: {window: 60000, columns: {count: 'sum'}}},
+        some_monitor: {type: 'monitor', hooks: ['some:hook', 'other:hook'], aggregate: {window: 60000, columns: {some_hook: 'max', other_hook: 'avg'}}}
+      };
+      bigQueryConnector.timestamp.precision = 'milliseconds';
+    });
+
+    afterEach(() => {
+      Object.keys(bigQueryConnector.windows).forEach(probeName => {
+        Object.keys(bigQueryConnector.windows[probeName]).forEach(start => clearTimeout(bigQueryConnector.windows[probeName][start].timer));
+      });
+    });
+
+    it('should roll up the measures of a window in a single row', () => {
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 2, timestamp: minute + 1000}});
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 3, timestamp: minute + 2000}});
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 4, timestamp: minute + 61000}});
+
+      should(bigQueryConnector.buffers.some_counter).be.undefined();
+      should(Object.keys(bigQueryConnector.windows.some_counter)).eql([String(minute * 1000), String((minute + 60000) * 1000)]);
+      should(bigQueryConnector.stats.get('some_counter').received).eql(3);
+
+      return bigQueryConnector.closeWindow('some_counter', minute * 1000)
+        .then(() => {
+          should(bigQueryConnector.buffers.some_counter.rows).match([{
+            probeName: 'some_counter',
+            row: {
+              count: 5,
+              timestamp: (minute + 2000) / 1000,
+              window_start: minute / 1000,
+              window_end: (minute + 60000) / 1000
+            },
+            insertId: /^[0-9a-f]{64}$/
+          }]);
+        });
+    });
+
+    it('should apply the aggregation of every column', () => {
+      bigQueryConnector.saveMeasure({probeName: 'some_monitor', timestamp: minute, data: {'some:hook': 2, 'other:hook': 1}});
+      bigQueryConnector.saveMeasure({probeName: 'some_monitor', timestamp: minute + 1000, data: {'some:hook': 5, 'other:hook': 2}});
+      bigQueryConnector.saveMeasure({probeName: 'some_monitor', timestamp: minute + 2000, data: {'some:hook': 1, 'other:hook': 2}});
+
+      return bigQueryConnector.flushWindows()
+        .then(() => {
+          should(bigQueryConnector.buffers.some_monitor.rows[0].row).match({some_hook: 5, other_hook: 5 / 3});
+        });
+    });
+
+    it('should not give the same insertId to identical aggregated rows', () => {
+      const other = new BigQueryConnector();
+
+      other.context = context;
+      other.probes = bigQueryConnector.probes;
+      other.timestamp.precision = 'milliseconds';
+
+      // a late measure, and the same measure aggregated by another Kuzzle node
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 2, timestamp: minute + 1000}});
+      other.saveMeasure({probeName: 'some_counter', data: {count: 2, timestamp: minute + 1000}});
+
+      return bigQueryConnector.closeWindow('some_counter', minute * 1000)
+        .then(() => {
+          bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 2, timestamp: minute + 1000}});
+          return Promise.all([bigQueryConnector.closeWindow('some_counter', minute * 1000), other.closeWindow('some_counter', minute * 1000)]);
+        })
+        .then(() => {
+          const
+            rows = bigQueryConnector.buffers.some_counter.rows.concat(other.buffers.some_counter.rows),
+            insertIds = rows.map(entry => entry.insertId);
+
+          should(rows.map(entry => entry.row)).eql([rows[0].row, rows[0].row, rows[0].row]);
+          should(new Set(insertIds).size).eql(3);
+        })
+        .finally(() => other.buffers.some_counter && other.buffers.some_counter.clear());
+    });
+
+    it('should close a window once its end is reached', () => {
+      const clock = sinon.useFakeTimers(minute + 30000);
+
+      try {
+        // the module keeps its own references to the timer functions
+        BigQueryConnector.__with__({
+          setTimeout: clock.setTimeout,
+          clearTimeout: clock.clearTimeout,
+          Date: clock.Date
+        })(() => {
+          bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 2}});
+          clock.tick(29999);
+          should(bigQueryConnector.buffers.some_counter).be.undefined();
+          clock.tick(1);
+          should(bigQueryConnector.buffers.some_counter.rows[0].row).match({count: 2, window_start: minute / 1000});
+        });
+      }
+      finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('#shutdown', () => {
+    beforeEach(() => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.spool = {write: sinon.stub().usingPromise(Promise).resolves()};
+    });
+
+    it('should close the aggregate windows and flush the buffers', () => {
+      const payload = {};
+
+      bigQueryConnector.probes = {some_counter: {type: 'counter', aggregate: {window: 60000}}};
+      bigQueryConnector.processBatch = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data: {count: 2}});
+
+      return bigQueryConnector.shutdown(payload)
+        .then(result => {
+          should(result).equal(payload);
+          should(bigQueryConnector.windows.some_counter).eql({});
+          should(bigQueryConnector.processBatch.calledOnce).eql(true);
+          should(bigQueryConnector.processBatch.firstCall.args[1]).match([{probeName: 'some_counter', row: {count: 2}}]);
+          should(bigQueryConnector.spool.write.called).eql(false);
+        });
+    });
+
+    it('should wait for the batches being sent', () => {
+      let sent = false;
+
+      bigQueryConnector.processBatch = () => Promise.delay(20).then(() => {
+        sent = true;
+      });
+      bigQueryConnector.sendBatch('some_table', [{probeName: 'probe_1', row: {a: 1}}]);
+
+      return bigQueryConnector.shutdown()
+        .then(() => {
+          should(sent).eql(true);
+          should(bigQueryConnector.batches.size).eql(0);
+        });
+    });
+
+    it('should spool the rows not sent once the timeout is reached', () => {
+      bigQueryConnector.shutdownTimeout = 10;
+      bigQueryConnector.processBatch = sinon.stub().returns(new Promise(() => {}));
+      bigQueryConnector.sendBatch('some_table', [{probeName: 'probe_1', row: {a: 1}, insertId: 'id1'}]);
+      bigQueryConnector.getBuffer('some_table').rows.push({probeName: 'probe_1', row: {a: 2}, insertId: 'id2'});
+      bigQueryConnector.getBuffer('other_table');
+      bigQueryConnector.flush = sinon.stub().usingPromise(Promise).resolves();
+
+      return bigQueryConnector.shutdown()
+        .then(() => {
+          should(bigQueryConnector.spool.write.calledOnce).eql(true);
+          should(bigQueryConnector.spool.write.firstCall.args).eql([
+            'some_table',
+            [{a: 1}, {a: 2}],
+            'Not sent before Kuzzle shut down',
+            ['id1', 'id2']
+          ]);
+          should(bigQueryConnector.buffers.some_table.length).eql(0);
+        });
+    });
+  });
+
+  describe('#insertRows', () => {
+    beforeEach(() => {
+      bigQueryConnector.spool = {write: sinon.stub().usingPromise(Promise).resolves()};
+      bigQueryConnector.retry = {retries: 2, minDelay: 0, maxDelay: 0};
+    });
+
+    afterEach(() => {
+      insertStub = sinon.stub();
+    });
+
+    it('should log an error and spool the rows if the insert fails', () => {
+      const errorStub = sinon.stub();
+
+      insertStub = sinon.stub().usingPromise(Promise).rejects(new Error('oops'));
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.context = {log: {info: sinon.stub(), error: errorStub}};
+
+      return bigQueryConnector.insertRows('some_table', [{probeName: 'some_probe', row: {some: 'data'}}])
+        .then(() => {
+          should(insertStub.calledOnce).eql(true);
+          should(errorStub.calledOnce).eql(true);
+          should(errorStub.firstCall.args[0]).match(/oops/);
+          should(bigQueryConnector.spool.write.calledWith('some_table', [{some: 'data'}], 'oops')).eql(true);
+        });
+    });
+
+    it('should retry transient failures', () => {
+      const error = new Error('unavailable');
+      error.code = 503;
+
+      insertStub = sinon.stub().usingPromise(Promise);
+      insertStub.onFirstCall().rejects(error);
+      insertStub.onSecondCall().resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.context = context;
+
+      return bigQueryConnector.insertRows('some_table', [{probeName: 'some_probe', row: {some: 'data'}}])
+        .then(() => {
+          should(insertStub.calledTwice).eql(true);
+          should(bigQueryConnector.spool.write.called).eql(false);
+        });
+    });
+
+    it('should spool the rows once the retries are exhausted', () => {
+      const error = new Error('unavailable');
+      error.code = 503;
+
+      insertStub = sinon.stub().usingPromise(Promise).rejects(error);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.context = {log: {info: sinon.stub(), error: sinon.stub()}};
+
+      return bigQueryConnector.insertRows('some_table', [{probeName: 'some_probe', row: {some: 'data'}}])
+        .then(() => {
+          should(insertStub.callCount).eql(3);
+          should(bigQueryConnector.spool.write.calledOnce).eql(true);
+        });
+    });
+  });
+
+  describe('#processBatch', () => {
+    beforeEach(() => {
+      bigQueryConnector.probes = {
+        streamed_probe: {type: 'counter'},
+        loaded_probe: {type: 'counter', ingestionMode: 'load'}
+      };
+      bigQueryConnector.insertRows = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.writeLoadFile = sinon.stub().usingPromise(Promise).resolves();
+    });
+
+    it('should stream the rows of probes in streaming mode, and write the others to a load file', () => {
+      const
+        streamed = {probeName: 'streamed_probe', row: {a: 1}},
+        loaded = {probeName: 'loaded_probe', row: {a: 2}};
+
+      return bigQueryConnector.processBatch('some_table', [streamed, loaded])
+        .then(() => {
+          should(bigQueryConnector.insertRows.calledOnce).eql(true);
+          should(bigQueryConnector.insertRows.firstCall.args).eql(['some_table', [streamed]]);
+          should(bigQueryConnector.writeLoadFile.calledOnce).eql(true);
+          should(bigQueryConnector.writeLoadFile.firstCall.args).eql(['some_table', [loaded]]);
+        });
+    });
+
+    it('should not write a load file if every probe is in streaming mode', () => {
+      return bigQueryConnector.processBatch('some_table', [{probeName: 'streamed_probe', row: {a: 1}}])
+        .then(() => {
+          should(bigQueryConnector.insertRows.calledOnce).eql(true);
+          should(bigQueryConnector.writeLoadFile.called).eql(false);
+        });
+    });
+  });
+
+  describe('#writeLoadFile', () => {
+    it('should spool the rows if they cannot be written to a load file', () => {
+      bigQueryConnector.context = {log: {info: sinon.stub(), error: sinon.stub()}};
+      bigQueryConnector.loadQueue = {write: sinon.stub().usingPromise(Promise).rejects(new Error('disk full'))};
+      bigQueryConnector.spool = {write: sinon.stub().usingPromise(Promise).resolves()};
+
+      return bigQueryConnector.writeLoadFile('some_table', [{probeName: 'some_probe', row: {a: 1}, insertId: 'id1'}])
+        .then(() => {
+          should(bigQueryConnector.spool.write.calledWith('some_table', [{a: 1}], 'disk full', ['id1'])).eql(true);
+          should(bigQueryConnector.stats.get('some_probe').failed).eql(1);
+        });
+    });
+  });
+
+  describe('#loadFile', () => {
+    afterEach(() => {
+      importStub = sinon.stub();
+    });
+
+    it('should start a NDJSON load job and resolve to its id once it is done', () => {
+      const job = {id: 'job_1', promise: sinon.stub().usingPromise(Promise).resolves([{}])};
+
+      importStub = sinon.stub().usingPromise(Promise).resolves([job]);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.loadFile('some_table', '/tmp/some_table.ndjson')
+        .then(jobId => {
+          should(jobId).eql('job_1');
+          should(importStub.calledWith('/tmp/some_table.ndjson', {sourceFormat: 'NEWLINE_DELIMITED_JSON'})).eql(true);
+          should(job.promise.calledOnce).eql(true);
+        });
+    });
+
+    it('should reject if the job fails', () => {
+      const job = {id: 'job_1', promise: sinon.stub().usingPromise(Promise).rejects(new Error('invalid row'))};
+
+      importStub = sinon.stub().usingPromise(Promise).resolves([job]);
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return should(bigQueryConnector.loadFile('some_table', '/tmp/some_table.ndjson')).be.rejectedWith('invalid row');
+    });
+  });
+
+  describe('#handleLoadJob', () => {
+    beforeEach(() => {
+      bigQueryConnector.context = {log: {info: sinon.stub(), error: sinon.stub()}};
+    });
+
+    it('should count the loaded rows of every probe', () => {
+      bigQueryConnector.handleLoadJob({
+        file: '/tmp/some_table.ndjson',
+        table: 'some_table',
+        rows: 3,
+        probes: {probe_1: 2, probe_2: 1},
+        status: 'done',
+        jobId: 'job_1'
+      });
+
+      should(bigQueryConnector.stats.get('probe_1').inserted).eql(2);
+      should(bigQueryConnector.stats.get('probe_2').inserted).eql(1);
+      should(bigQueryConnector.metrics.registry.render()).match(/kdc_bigquery_rows_inserted_total\{probe="probe_1",table="some_table"\} 2/);
+    });
+
+    it('should count the rows of a failed job as failed, and log the error', () => {
+      bigQueryConnector.handleLoadJob({
+        file: '/tmp/some_table.ndjson.failed',
+        table: 'some_table',
+        rows: 2,
+        probes: {probe_1: 2},
+        status: 'failed',
+        attempts: 4,
+        error: 'invalid row'
+      });
+
+      should(bigQueryConnector.stats.get('probe_1').failed).eql(2);
+      should(bigQueryConnector.stats.getEvents('probe_1').lastError.message).eql('invalid row');
+      should(bigQueryConnector.context.log.error.firstCall.args[0]).match(/after 4 attempts.*invalid row/);
+    });
+  });
+
+  describe('#handlePartialFailure', () => {
+    const
+      first = {probeName: 'probe_1', row: {a: 1}, insertId: 'id_1'},
+      second = {probeName: 'probe_1', row: {a: 'invalid'}, insertId: 'id_2'},
+      third = {probeName: 'probe_2', row: {a: 3}, insertId: 'id_3'};
+    let partialFailure;
+
+    beforeEach(() => {
+      partialFailure = new Error('A failure occurred during this request.');
+      partialFailure.name = 'PartialFailureError';
+      partialFailure.errors = [
+        {row: {insertId: 'id_2', json: second.row}, errors: [{reason: 'invalid', message: 'no such field.'}]},
+        {row: {insertId: 'id_3', json: third.row}, errors: [{reason: 'stopped', message: ''}]}
+      ];
+      partialFailure.response = {
+        insertErrors: [
+          {index: 1, errors: [{reason: 'invalid', location: 'a', message: 'no such field.'}]},
+          {index: 2, errors: [{reason: 'stopped', location: '', message: ''}]}
+        ]
+      };
+
+      bigQueryConnector.context = {log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()}};
+      bigQueryConnector.spool = {write: sinon.stub().usingPromise(Promise).resolves()};
+      bigQueryConnector.rejectedSpool = {write: sinon.stub().usingPromise(Promise).resolves()};
+      bigQueryConnector.retry = {retries: 0};
+    });
+
+    afterEach(() => {
+      insertStub = sinon.stub();
+    });
+
+    it('should count inserted and rejected rows, and send the stopped rows again', () => {
+      insertStub = sinon.stub().usingPromise(Promise);
+      insertStub.onFirstCall().rejects(partialFailure);
+      insertStub.onSecondCall().resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.insertRows('some_table', [first, second, third])
+        .then(() => {
+          should(insertStub.calledTwice).eql(true);
+          should(insertStub.firstCall.args).eql([[
+            {insertId: 'id_1', json: {a: 1}},
+            {insertId: 'id_2', json: {a: 'invalid'}},
+            {insertId: 'id_3', json: {a: 3}}
+          ], {raw: true}]);
+          should(insertStub.secondCall.args[0]).eql([{insertId: 'id_3', json: {a: 3}}]);
+          should(bigQueryConnector.stats.get('probe_1')).eql({inserted: 1, rejected: 1, failed: 1});
+          should(bigQueryConnector.stats.get('probe_2')).eql({inserted: 1});
+          should(bigQueryConnector.stats.getEvents('probe_1').lastError.message).eql('field "a": invalid (no such field.)');
+          should(bigQueryConnector.context.log.error.calledOnce).eql(true);
+          should(bigQueryConnector.context.log.error.firstCall.args[0])
+            .eql('Row from probe probe_1 rejected by table some_table: field "a": invalid (no such field.)');
+        });
+    });
+
+    it('should match the errors using the rows if the raw response is not available', () => {
+      delete partialFailure.response;
+      bigQueryConnector.insertRows = sinon.stub().usingPromise(Promise).resolves();
+
+      return bigQueryConnector.handlePartialFailure('some_table', [first, second, third], partialFailure)
+        .then(() => {
+          should(bigQueryConnector.insertRows.calledWith('some_table', [third])).eql(true);
+          should(bigQueryConnector.rejectedSpool.write.calledWith('some_table', [second.row], 'invalid (no such field.)')).eql(true);
+        });
+    });
+
+    it('should write the rejected rows to the rejected rows file by default, not to the replayed spool', () => {
+      bigQueryConnector.insertRows = sinon.stub().usingPromise(Promise).resolves();
+
+      return bigQueryConnector.handlePartialFailure('some_table', [first, second, third], partialFailure)
+        .then(() => {
+          should(bigQueryConnector.rejectedSpool.write.calledOnce).eql(true);
+          should(bigQueryConnector.rejectedSpool.write.calledWith('some_table', [second.row])).eql(true);
+          should(bigQueryConnector.spool.write.called).eql(false);
+        });
+    });
+
+    it('should trigger an event with the rejected rows if configured to', () => {
+      bigQueryConnector.insertRows = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.rejectedRowsHandler = 'event';
+      bigQueryConnector.context.accessors = {trigger: sinon.stub()};
+
+      return bigQueryConnector.handlePartialFailure('some_table', [first, second, third], partialFailure)
+        .then(() => {
+          should(bigQueryConnector.rejectedSpool.write.called).eql(false);
+          should(bigQueryConnector.context.accessors.trigger.calledWith('rejectedRows', {
+            table: 'some_table',
+            rows: [{probeName: 'probe_1', row: {a: 'invalid'}, insertId: 'id_2', errors: partialFailure.response.insertErrors[0].errors}]
+          })).eql(true);
+        });
+    });
+
+    it('should drop the rejected rows if configured to', () => {
+      bigQueryConnector.insertRows = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.rejectedRowsHandler = 'ignore';
+
+      return bigQueryConnector.handlePartialFailure('some_table', [first, second, third], partialFailure)
+        .then(() => {
+          should(bigQueryConnector.rejectedSpool.write.called).eql(false);
+        });
+    });
+  });
+
+  describe('#getTable', () => {
+    beforeEach(() => {
+      bigQueryConnector.projectId = 'toto';
+      bigQueryConnector.dataSet = 'LULZ';
+      bigQueryConnector.clientOptions = {projectId: 'toto', credentials: {echo: 'LOL'}};
+    });
+
+    it('should return the table of the default dataset and project', () => {
+      const dataset = {table: sinon.stub().returns('some table')};
+
+      bigQueryConnector.bigQuery = {dataset: sinon.stub().returns(dataset)};
+
+      should(bigQueryConnector.getTable('some_table')).eql('some table');
+      should(bigQueryConnector.bigQuery.dataset.calledWith('LULZ')).eql(true);
+      should(dataset.table.calledWith('some_table')).eql(true);
+
+      bigQueryConnector.getTable('other.some_table');
+      should(bigQueryConnector.bigQuery.dataset.calledWith('other')).eql(true);
+    });
+
+    it('should create one client per project', () => {
+      createBigQuery = sinon.spy(options => new BigQueryMock(options));
+
+      bigQueryConnector.getTable('other_project.some_dataset.some_table');
+      bigQueryConnector.getTable('other_project.some_dataset.other_table');
+
+      should(createBigQuery.calledOnce).eql(true);
+      should(createBigQuery.firstCall.args[0]).eql({projectId: 'other_project', credentials: {echo: 'LOL'}});
+      should(bigQueryConnector.clients).have.keys('other_project');
+    });
+  });
+
+  describe('#ensureTable', () => {
+    const entries = [
+      {probeName: 'probe_1', row: {a: 1, b: '2018-03-14T15:09:26Z', timestamp: 1521040166}},
+      {probeName: 'probe_2', row: {c: 'ignored'}}
+    ];
+
+    beforeEach(() => {
+      bigQueryConnector.context = {log: {info: sinon.stub(), error: sinon.stub()}};
+      bigQueryConnector.probes = {probe_1: {type: 'watcher', inferSchema: true, timestamp: true}, probe_2: {}};
+      bigQueryConnector.lazyTables = {some_table: 'probe_1'};
+    });
+
+    afterEach(() => {
+      createTableStub = sinon.stub();
+    });
+
+    it('should do nothing if the table does not wait for its first measure', () => {
+      bigQueryConnector.lazyTables = {};
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.ensureTable('some_table', entries)
+        .then(() => {
+          should(createTableStub.called).eql(false);
+        });
+    });
+
+    it('should create the table with the schema inferred from the rows of its probe', () => {
+      const expected = {
+        fields: [
+          {name: 'a', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'b', type: 'TIMESTAMP', mode: 'NULLABLE'},
+          {name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED'}
+        ]
+      };
+
+      createTableStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return Promise.all([
+        bigQueryConnector.ensureTable('some_table', entries),
+        bigQueryConnector.ensureTable('some_table', entries)
+      ])
+        .then(() => {
+          should(createTableStub.calledOnce).eql(true);
+          should(createTableStub.calledWith('some_table', {schema: expected})).eql(true);
+          should(bigQueryConnector.schemas.some_table).eql(expected);
+          should(bigQueryConnector.lazyTables).eql({});
+        });
+    });
+
+    it('should infer the timestamp column of transformed rows', () => {
+      createTableStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.probes.probe_1.transform = {rename: {timestamp: 'measured_at'}};
+
+      return bigQueryConnector.ensureTable('some_table', [{probeName: 'probe_1', row: {a: 1, measured_at: 1521040166}}])
+        .then(() => {
+          should(createTableStub.firstCall.args[1].schema).eql({
+            fields: [
+              {name: 'a', type: 'INTEGER', mode: 'NULLABLE'},
+              {name: 'measured_at', type: 'TIMESTAMP', mode: 'REQUIRED'}
+            ]
+          });
+        });
+    });
+
+    it('should create route targets with the schema configured for their probe', () => {
+      createTableStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.probes.probe_1 = {type: 'counter', partitioning: {field: 'timestamp'}};
+
+      return bigQueryConnector.ensureTable('some_table', entries)
+        .then(() => {
+          should(createTableStub.calledWith('some_table', {
+            schema: {
+              fields: [
+                {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+                {name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED'}
+              ]
+            },
+            timePartitioning: {type: 'DAY', field: 'timestamp'}
+          })).eql(true);
+        });
+    });
+
+    it('should consider the table created if it already exists', () => {
+      createTableStub = sinon.stub().usingPromise(Promise).rejects(Object.assign(new Error('Already Exists'), {code: 409}));
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.ensureTable('some_table', entries)
+        .then(() => {
+          should(bigQueryConnector.lazyTables).eql({});
+          should(bigQueryConnector.context.log.error.called).eql(false);
+        });
+    });
+
+    it('should log and resolve if the table cannot be created', () => {
+      createTableStub = sinon.stub().usingPromise(Promise).rejects(new Error('oops'));
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.ensureTable('some_table', entries)
+        .then(() => {
+          should(bigQueryConnector.lazyTables).eql({some_table: 'probe_1'});
+          should(bigQueryConnector.context.log.error.calledOnce).eql(true);
+        });
+    });
+  });
+
+  describe('#evolveSchema', () => {
+    const entries = [
+      {probeName: 'probe_1', row: {a: 1, b: 'new'}},
+      {probeName: 'probe_2', row: {c: 1.5}}
+    ];
+
+    beforeEach(() => {
+      bigQueryConnector.context = {log: {info: sinon.stub(), error: sinon.stub()}};
+      bigQueryConnector.probes = {
+        probe_1: {schemaEvolution: true},
+        probe_2: {}
+      };
+      bigQueryConnector.schemas.some_table = {fields: [{name: 'a', type: 'INTEGER', mode: 'NULLABLE'}]};
+      getMetadataStub = sinon.stub().usingPromise(Promise).resolves([{
+        description: 'some table',
+        schema: {fields: [{name: 'a', type: 'INTEGER', mode: 'NULLABLE'}]}
+      }]);
+      setMetadataStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+    });
+
+    afterEach(() => {
+      getMetadataStub = sinon.stub();
+      setMetadataStub = sinon.stub();
+    });
+
+    it('should do nothing if no probe has schema evolution enabled', () => {
+      bigQueryConnector.probes.probe_1 = {};
+
+      return bigQueryConnector.evolveSchema('some_table', entries)
+        .then(() => {
+          should(getMetadataStub.called).eql(false);
+        });
+    });
+
+    it('should do nothing if the known schema holds every field', () => {
+      return bigQueryConnector.evolveSchema('some_table', [{probeName: 'probe_1', row: {a: 2}}])
+        .then(() => {
+          should(getMetadataStub.called).eql(false);
+          should(setMetadataStub.called).eql(false);
+        });
+    });
+
+    it('should add the missing fields of the probes with schema evolution enabled', () => {
+      return bigQueryConnector.evolveSchema('some_table', entries)
+        .then(() => {
+          const expected = {
+            fields: [
+              {name: 'a', type: 'INTEGER', mode: 'NULLABLE'},
+              {name: 'b', type: 'STRING', mode: 'NULLABLE'}
+            ]
+          };
+
+          should(setMetadataStub.calledOnce).eql(true);
+          should(setMetadataStub.firstCall.args[0]).eql({description: 'some table', schema: expected});
+          should(bigQueryConnector.schemas.some_table).eql(expected);
+        });
+    });
+
+    it('should fetch the table schema if it is not known', () => {
+      delete bigQueryConnector.schemas.some_table;
+
+      return bigQueryConnector.evolveSchema('some_table', [{probeName: 'probe_1', row: {a: 2}}])
+        .then(() => {
+          should(getMetadataStub.calledOnce).eql(true);
+          should(setMetadataStub.called).eql(false);
+          should(bigQueryConnector.schemas.some_table).eql({fields: [{name: 'a', type: 'INTEGER', mode: 'NULLABLE'}]});
+        });
+    });
+
+    it('should log and resolve if the table cannot be updated', () => {
+      setMetadataStub = sinon.stub().usingPromise(Promise).rejects(new Error('oops'));
+      bigQueryConnector.bigQuery = new BigQueryMock();
+
+      return bigQueryConnector.evolveSchema('some_table', entries)
+        .then(() => {
+          should(bigQueryConnector.context.log.error.calledOnce).eql(true);
+          should(bigQueryConnector.schemas.some_table.fields.length).eql(1);
+        });
+    });
+  });
+
+  describe('#replaySpool', () => {
+    it('should replay the spool using sendRows', () => {
+      bigQueryConnector.context = context;
+      bigQueryConnector.sendRows = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.spool = {
+        replay: sinon.spy(insert => insert('some_table', [{some: 'data'}]).then(() => ({replayed: 1, failed: 0})))
+      };
+
+      return bigQueryConnector.replaySpool()
+        .then(result => {
+          should(result).eql({replayed: 1, failed: 0});
+          should(bigQueryConnector.sendRows.calledWith('some_table', [{some: 'data'}])).eql(true);
+        });
+    });
+
+    it('should replay the spool when the plugin starts if configured to, and log the failures', () => {
+      return new Promise(resolve => {
+        sinon.stub(bigQueryConnector, 'createTableIfNotExists').usingPromise(Promise).resolves();
+        bigQueryConnector.spool = {replay: sinon.stub().usingPromise(Promise).rejects(new Error('disk failure'))};
+        bigQueryConnector.context = Object.assign({}, context, {log: {info: sinon.stub(), warn: sinon.stub(), error: resolve}});
+        bigQueryConnector.init(Object.assign({}, config, {spool: {replayOnInit: true}}), bigQueryConnector.context);
+      })
+        .then(message => {
+          should(message).eql('Unable to replay the spool: disk failure');
+        });
+    });
+
+    it('should handle the rows rejected during a replay, and send the stopped rows again', () => {
+      const partialFailure = Object.assign(new Error('A failure occurred during this request.'), {
+        name: 'PartialFailureError',
+        response: {
+          insertErrors: [
+            {index: 1, errors: [{reason: 'invalid', location: 'a', message: 'no such field.'}]},
+            {index: 2, errors: [{reason: 'stopped', location: '', message: ''}]}
+          ]
+        }
+      });
+
+      bigQueryConnector.context = {log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()}};
+      bigQueryConnector.rejectedSpool = {write: sinon.stub().usingPromise(Promise).resolves()};
+      bigQueryConnector.sendRows = sinon.stub().usingPromise(Promise);
+      bigQueryConnector.sendRows.onFirstCall().rejects(partialFailure);
+      bigQueryConnector.sendRows.onSecondCall().rejects(new Error('backendError'));
+
+      return bigQueryConnector.replayRows('some_table', [{a: 1}, {a: 'invalid'}, {a: 3}], ['id_1', 'id_2', 'id_3'])
+        .then(outcome => {
+          should(outcome).eql({failed: [2], rejected: [1], reason: 'backendError'});
+          should(bigQueryConnector.sendRows.secondCall.args).eql(['some_table', [{a: 3}], ['id_3']]);
+          should(bigQueryConnector.rejectedSpool.write.calledOnce).eql(true);
+          should(bigQueryConnector.rejectedSpool.write.firstCall.args).eql(['some_table', [{a: 'invalid'}], 'field "a": invalid (no such field.)', ['id_2']]);
+        });
+    });
+
+    it('should reject if no spooled row could be inserted', () => {
+      bigQueryConnector.sendRows = sinon.stub().usingPromise(Promise).rejects(new Error('backendError'));
+
+      return should(bigQueryConnector.replayRows('some_table', [{a: 1}], ['id_1'])).be.rejectedWith('backendError');
+    });
+
+    it('should be available as a controller action', () => {
+      should(bigQueryConnector.controllers.connector.replay).eql('replaySpool');
+      should(bigQueryConnector.routes).containEql({verb: 'post', url: '/spool/_replay', controller: 'connector', action: 'replay'});
+    });
+  });
+
+  describe('#getStatus', () => {
+    it('should return the tables of every probe, and whether they are ready', () => {
+      bigQueryConnector.projectId = 'toto';
+      bigQueryConnector.dataSet = 'LULZ';
+      bigQueryConnector.probes = {
+        probe_1: {type: 'counter'},
+        probe_2: {type: 'sampler', inferSchema: true, tableName: 'samples'},
+        probe_3: {type: 'watcher', tableName: 'events_{tenant}', dataSet: 'other'}
+      };
+      bigQueryConnector.lazyTables = {samples: 'probe_2', 'other.events_globex': 'probe_3'};
+      bigQueryConnector.knownTables.set('other.events_acme', 'probe_3');
+      bigQueryConnector.knownTables.set('other.events_globex', 'probe_3');
+      bigQueryConnector.getBuffer('other.events_acme').push([{probeName: 'probe_3', row: {a: 1}}]);
 
-  beforeEach(() => {
-    BigQueryConnector.__set__({
-      BigQuery: BigQueryMock
+      return bigQueryConnector.getStatus()
+        .then(status => {
+          should(status).eql({
+            projectId: 'toto',
+            dataSet: 'LULZ',
+            probes: {
+              probe_1: {type: 'counter', tableName: 'probe_1', tables: [{table: 'probe_1', ready: true, bufferedRows: 0}]},
+              probe_2: {type: 'sampler', tableName: 'samples', tables: [{table: 'samples', ready: false, bufferedRows: 0}]},
+              probe_3: {
+                type: 'watcher',
+                tableName: 'events_{tenant}',
+                tables: [
+                  {table: 'other.events_acme', ready: true, bufferedRows: 1},
+                  {table: 'other.events_globex', ready: false, bufferedRows: 0}
+                ]
+              }
+            },
+            backfills: {},
+            loadJobs: []
+          });
+        });
     });
-    bigQueryConnector = new BigQueryConnector();
   });
 
-  describe('#init', () => {
-    it('should throw if projectId is not provided in config', () => {
-      should(() => bigQueryConnector.init({}, context)).throw(/The projectId configuration is mandatory/i);
+  describe('#getStats', () => {
+    it('should return the statistics of every probe', () => {
+      bigQueryConnector.stats.increment('probe_1', 'received', 2);
+      bigQueryConnector.stats.recordError('probe_1', 'oops');
+
+      return bigQueryConnector.getStats()
+        .then(stats => {
+          should(stats.probe_1.received).eql(2);
+          should(stats.probe_1.lastSuccess).be.null();
+          should(stats.probe_1.lastError.message).eql('oops');
+        });
+    });
+  });
+
+  describe('#flushBuffers', () => {
+    it('should flush the buffers and return the number of flushed rows', () => {
+      bigQueryConnector.processBatch = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.getBuffer('some_table').push([{probeName: 'probe_1', row: {a: 1}}, {probeName: 'probe_1', row: {a: 2}}]);
+      bigQueryConnector.getBuffer('other_table').push([{probeName: 'probe_2', row: {b: 1}}]);
+
+      return bigQueryConnector.flushBuffers()
+        .then(result => {
+          should(result).eql({flushed: 3});
+          should(bigQueryConnector.processBatch.calledTwice).eql(true);
+        });
     });
+  });
+
+  describe('#recreateTable', () => {
+    const request = probeName => ({input: {args: {probeName}}});
 
-    it('should throw if credentials is not provided in config', () => {
-      should(() => bigQueryConnector.init({
-        projectId: 'toto'
-      }, context)).throw(/The credentials configuration is mandatory/i);
+    beforeEach(() => {
+      bigQueryConnector.context = {
+        errors: {BadRequestError: Error, NotFoundError: Error},
+        log: {info: sinon.stub()}
+      };
+      bigQueryConnector.probes = {probe_1: {type: 'counter'}, probe_2: {type: 'counter', tableName: 'counts_{YYYYMM}'}};
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      sinon.stub(bigQueryConnector, 'createTableIfNotExists').usingPromise(Promise).resolves();
     });
 
-    it('should throw if dataSet is not provided in config', () => {
-      should(() => bigQueryConnector.init({
-        projectId: 'toto',
-        credentials: {
-          echo: 'LOL'
-        }
-      }, context)).throw(/The dataSet configuration is mandatory/i);
+    afterEach(() => {
+      deleteStub = sinon.stub();
     });
 
-    it('should throw if probes is not provided in config', () => {
-      should(() => bigQueryConnector.init({
-        projectId: 'toto',
-        credentials: {
-          echo: 'LOL'
-        },
-        dataSet: 'LULZ'
-      }, context)).throw(/The probes configuration is mandatory/i);
+    it('should delete the table and create it again, keeping the buffered rows for the new table', () => {
+      deleteStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.processBatch = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.schemas.probe_1 = {fields: []};
+      bigQueryConnector.getBuffer('probe_1').push([{probeName: 'probe_1', row: {count: 1}}]);
+
+      return bigQueryConnector.recreateTable(request('probe_1'))
+        .then(result => {
+          should(result).eql({table: 'probe_1'});
+          should(bigQueryConnector.processBatch.called).eql(false);
+          should(deleteStub.calledBefore(bigQueryConnector.createTableIfNotExists)).eql(true);
+          should(bigQueryConnector.createTableIfNotExists.calledWith(bigQueryConnector.probes.probe_1, 'probe_1')).eql(true);
+          should(bigQueryConnector.schemas).eql({});
+          should(bigQueryConnector.buffers.probe_1.rows).eql([{probeName: 'probe_1', row: {count: 1}}]);
+        });
     });
 
-    it('should call createTableIfNotExists for every probe', (done) => {
-      sinon.stub(bigQueryConnector, 'createTableIfNotExists').returns(Promise.resolve());
-      bigQueryConnector
-        .init(config, context)
+    it('should buffer the rows again if the table cannot be recreated', () => {
+      deleteStub = sinon.stub().usingPromise(Promise).rejects(Object.assign(new Error('Forbidden'), {code: 403}));
+      bigQueryConnector.getBuffer('probe_1').push([{probeName: 'probe_1', row: {count: 1}}]);
+
+      return should(bigQueryConnector.recreateTable(request('probe_1'))).be.rejectedWith('Forbidden')
+        .then(() => {
+          should(bigQueryConnector.createTableIfNotExists.called).eql(false);
+          should(bigQueryConnector.buffers.probe_1.rows).eql([{probeName: 'probe_1', row: {count: 1}}]);
+        });
+    });
+
+    it('should create the table if it does not exist', () => {
+      deleteStub = sinon.stub().usingPromise(Promise).rejects(Object.assign(new Error('Not found'), {code: 404}));
+
+      return bigQueryConnector.recreateTable(request('probe_1'))
+        .then(() => {
+          should(bigQueryConnector.createTableIfNotExists.calledOnce).eql(true);
+        });
+    });
+
+    it('should reject unknown probes and probes with a table name template', () => {
+      return should(bigQueryConnector.recreateTable(request())).be.rejectedWith(/Missing argument "probeName"/)
+        .then(() => should(bigQueryConnector.recreateTable(request('foo'))).be.rejectedWith(/Unknown probe "foo"/))
+        .then(() => should(bigQueryConnector.recreateTable(request('probe_2'))).be.rejectedWith(/created from a template/))
         .then(() => {
-          should(bigQueryConnector.createTableIfNotExists.calledWith('probe_1')).eql(true);
-          should(bigQueryConnector.createTableIfNotExists.calledWith('probe_2')).eql(true);
+          should(bigQueryConnector.createTableIfNotExists.called).eql(false);
+        });
+    });
+  });
+
+  describe('#getMetrics', () => {
+    it('should expose the metrics in the Prometheus text format', () => {
+      const request = {setResult: sinon.stub()};
+
+      bigQueryConnector.context = {log: {info: sinon.stub()}};
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      insertStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.getBuffer('other_table').push([{probeName: 'probe_2', row: {b: 1}}]);
+
+      return bigQueryConnector.processBatch('some_table', [{probeName: 'probe_1', row: {a: 1}}, {probeName: 'probe_1', row: {a: 2}}])
+        .then(() => bigQueryConnector.getMetrics(request))
+        .then(text => {
+          should(text).match(/^kdc_bigquery_rows_inserted_total\{probe="probe_1",table="some_table"\} 2$/m);
+          should(text).match(/^kdc_bigquery_batch_size_rows_count\{table="some_table"\} 1$/m);
+          should(text).match(/^kdc_bigquery_insert_duration_seconds_count\{table="some_table"\} 1$/m);
+          should(text).match(/^kdc_bigquery_buffered_rows\{table="other_table"\} 1$/m);
+          should(request.setResult.calledWith(text, sinon.match({raw: true}))).eql(true);
         })
         .finally(() => {
-          bigQueryConnector.createTableIfNotExists.restore();
-          done();
+          insertStub = sinon.stub();
+        });
+    });
+
+    it('should count insert failures by reason', () => {
+      bigQueryConnector.context = {log: {error: sinon.stub()}};
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.retry = {retries: 0};
+      bigQueryConnector.spool = {write: sinon.stub().usingPromise(Promise).resolves()};
+      insertStub = sinon.stub().usingPromise(Promise).rejects(Object.assign(new Error('Quota exceeded'), {errors: [{reason: 'quotaExceeded'}]}));
+
+      return bigQueryConnector.insertRows('some_table', [{probeName: 'probe_1', row: {a: 1}}])
+        .then(() => {
+          should(bigQueryConnector.metrics.registry.render())
+            .match(/^kdc_bigquery_insert_failures_total\{probe="probe_1",table="some_table",reason="quotaExceeded"\} 1$/m);
+        })
+        .finally(() => {
+          insertStub = sinon.stub();
         });
     });
   });
 
-  describe('#createTableIfNotExists', () => {
-    it('should resolve if the probe is not listened or the table name is invalid ', () => {
-      should(bigQueryConnector.createTableIfNotExists({}, 'probe_1')).be.fulfilled();
+  describe('#startBackfill', () => {
+    const request = args => ({input: {args}});
+
+    beforeEach(() => {
+      bigQueryConnector.context = {
+        errors: {BadRequestError: Error, NotFoundError: Error},
+        log: {info: sinon.stub(), error: sinon.stub()}
+      };
+      bigQueryConnector.probes = {
+        probe_1: {type: 'counter', insertIdFields: ['timestamp'], insertIdColumn: 'insert_id', transform: {rename: {timestamp: 'measured_at'}}},
+        probe_2: {type: 'watcher', insertIdFields: ['_id']}
+      };
     });
 
-    it('should do nothing if the table exists', () => {
-      return BigQueryConnector.__with__({
-        getTableForProbe () { return 'probe_table'; },
-      })(() => {
-        existsStub = sinon.stub().usingPromise(Promise).resolves([true]);
-        bigQueryConnector.bigQuery = new BigQueryMock();
+    it('should start a backfill and return its progress', () => {
+      const args = {probeName: 'probe_1', from: '2018-03-14T00:00:00Z', to: 1521072000000};
 
-        return bigQueryConnector
-          .createTableIfNotExists({}, 'probe_1')
-          .then(() => {
-            return should(createTableStub.called).eql(false);
-          })
-          .catch(error => {
-            throw new Error('This thing failed', error);
-          })
-          .finally(() => {
-            existsStub = sinon.stub();
+      sinon.stub(Backfill.prototype, 'run').usingPromise(Promise).resolves();
+
+      return bigQueryConnector.startBackfill(request(args))
+        .then(progress => {
+          const backfill = Backfill.prototype.run.firstCall.thisValue;
+
+          should(progress).match({probeName: 'probe_1', status: 'running', from: '2018-03-14T00:00:00.000Z', to: '2018-03-15T00:00:00.000Z'});
+          should(bigQueryConnector.backfills.probe_1).equal(progress);
+          should(backfill.options).match({
+            probeName: 'probe_1',
+            from: 1520985600000000,
+            to: 1521072000000000,
+            index: 'measures',
+            collection: 'probe_1',
+            timestampField: 'timestamp',
+            timestampColumn: 'measured_at',
+            precision: 'seconds',
+            keyColumn: 'insert_id'
           });
-      });
+        })
+        .finally(() => {
+          Backfill.prototype.run.restore();
+        });
     });
 
-    it('should call createTable if the table does not exist', () => {
-      return BigQueryConnector.__with__({
-        getSchemaForProbe: () => { return []; },
-        getTableForProbe: () => { return 'some_table'; }
-      })(() => {
-        existsStub = sinon.stub().usingPromise(Promise).resolves([false]);
-        createTableStub = sinon.stub().usingPromise(Promise).resolves(true);
-        bigQueryConnector.bigQuery = new BigQueryMock();
+    it('should give the backfilled rows the insertIds of the live ones', () => {
+      const
+        data = {count: 42, timestamp: 1521040166535},
+        stored = Object.assign({_kuzzle_info: {author: 'probe', createdAt: 1521040166600}}, data);
 
-        return bigQueryConnector
-          .createTableIfNotExists({}, 'probe_1')
-          .then(() => {
-            return should(createTableStub.called).eql(true);
-          })
-          .catch(error => {
-            throw new Error('This thing failed', error);
-          })
-          .finally(() => {
-            existsStub = sinon.stub();
-            createTableStub = sinon.stub();
-          });
-      });
+      bigQueryConnector.probes = {some_counter: {type: 'counter', insertIdFields: ['timestamp'], timestampPrecision: 'milliseconds'}};
+      bigQueryConnector.saveMeasure({probeName: 'some_counter', data});
+
+      const live = bigQueryConnector.buffers.some_counter.clear()[0];
+
+      bigQueryConnector.context.accessors = {execute: sinon.stub().usingPromise(Promise).resolves({result: {total: 1, hits: [{_id: 'stored_id', _source: stored}]}})};
+      bigQueryConnector.context.constructors = {Request: function RequestMock() {}};
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.getClient = () => ({query: sinon.stub().usingPromise(Promise).resolves([[]])});
+      bigQueryConnector.processBatch = sinon.stub().usingPromise(Promise).resolves();
+      sinon.spy(Backfill.prototype, 'run');
+
+      return bigQueryConnector.startBackfill(request({probeName: 'some_counter', from: 1521040000000, to: 1521050000000}))
+        .then(() => Backfill.prototype.run.firstCall.returnValue)
+        .then(() => {
+          const backfilled = bigQueryConnector.processBatch.firstCall.args[1][0];
+
+          should(backfilled.row).eql(live.row);
+          should(backfilled.insertId).eql(live.insertId);
+        })
+        .finally(() => {
+          Backfill.prototype.run.restore();
+        });
     });
 
-    it('should reject if createTable failed', () => {
-      return BigQueryConnector.__with__({
-        getSchemaForProbe: () => { return []; },
-        getTableForProbe: () => { return 'some_table'; }
-      })(() => {
-        existsStub = sinon.stub().usingPromise(Promise).resolves([false]);
-        createTableStub = sinon.stub().usingPromise(Promise).rejects(false);
-        bigQueryConnector.bigQuery = new BigQueryMock();
+    it('should reject invalid arguments', () => {
+      bigQueryConnector.backfills.probe_1 = {status: 'running'};
 
-        return should(bigQueryConnector
-          .createTableIfNotExists({}, 'probe_1'))
-          .be.rejected()
-          .then(() => {
-            existsStub = sinon.stub();
-            createTableStub = sinon.stub();
-          });
-      });
+      return should(bigQueryConnector.startBackfill(request({from: 0, to: 1}))).be.rejectedWith(/Missing argument "probeName"/)
+        .then(() => should(bigQueryConnector.startBackfill(request({probeName: 'foo', from: 0, to: 1}))).be.rejectedWith(/Unknown probe "foo"/))
+        .then(() => should(bigQueryConnector.startBackfill(request({probeName: 'probe_1', from: 2, to: 1}))).be.rejectedWith(/must be a valid time range/))
+        .then(() => should(bigQueryConnector.startBackfill(request({probeName: 'probe_1', from: 'foo', to: 1}))).be.rejectedWith(/must be a valid time range/))
+        .then(() => should(bigQueryConnector.startBackfill(request({probeName: 'probe_1', from: 0, to: 1}))).be.rejectedWith(/already running/))
+        .then(() => should(bigQueryConnector.startBackfill(request({probeName: 'probe_2', from: 0, to: 1}))).be.rejectedWith(/have no timestamp column/))
+        .then(() => {
+          bigQueryConnector.probes.probe_3 = {type: 'counter', aggregate: {window: 60000}};
+          return should(bigQueryConnector.startBackfill(request({probeName: 'probe_3', from: 0, to: 1}))).be.rejectedWith(/are aggregated, they cannot be backfilled/);
+        })
+        .then(() => {
+          bigQueryConnector.probes.probe_4 = {type: 'counter'};
+          return should(bigQueryConnector.startBackfill(request({probeName: 'probe_4', from: 0, to: 1}))).be.rejectedWith(/has no insertIdFields/);
+        })
+        .then(() => {
+          bigQueryConnector.probes.probe_4.insertIdFields = ['timestamp'];
+          return should(bigQueryConnector.startBackfill(request({probeName: 'probe_4', from: 0, to: 1}))).be.rejectedWith(/no insertId column and timestamps precise to the second/);
+        })
+        .then(() => {
+          bigQueryConnector.probes.probe_4.timestampPrecision = 'milliseconds';
+          sinon.stub(Backfill.prototype, 'run').usingPromise(Promise).resolves();
+
+          return bigQueryConnector.startBackfill(request({probeName: 'probe_4', from: 0, to: 1}));
+        })
+        .then(progress => {
+          should(progress.status).eql('running');
+          should(Backfill.prototype.run.firstCall.thisValue.options).match({precision: 'milliseconds', keyColumn: null});
+        })
+        .finally(() => {
+          if (Backfill.prototype.run.restore) {
+            Backfill.prototype.run.restore();
+          }
+        });
     });
   });
 
-  describe('#saveMeasure', () => {
-    it('should do nothing if the probe is not watched', () => {
-      const extractMeasureDataStub = sinon.stub();
-      return BigQueryConnector.__with__({
-        extractMeasureData: extractMeasureDataStub,
-        getTableForProbe: () => { return null; }
-      })(() => {
-        bigQueryConnector.saveMeasure({probeName: 'some_probe'});
-        should(extractMeasureDataStub.called).eql(false);
+  describe('#probe changes', () => {
+    const request = (probeName, body) => ({input: {args: {probeName}, body}});
+    let repository;
+
+    beforeEach(() => {
+      repository = {
+        search: sinon.stub().usingPromise(Promise).resolves({total: 0, hits: []}),
+        createOrReplace: sinon.stub().usingPromise(Promise).resolves()
+      };
+      bigQueryConnector.context = Object.assign({}, context, {
+        errors: {PreconditionError: Error, BadRequestError: Error, NotFoundError: Error},
+        log: {info: sinon.stub(), warn: sinon.stub(), error: sinon.stub()},
+        accessors: {storage: {bootstrap: sinon.stub().usingPromise(Promise).resolves()}},
+        constructors: {Repository: sinon.stub().returns(repository)}
       });
+      bigQueryConnector.repository = repository;
+      bigQueryConnector.probes = {probe_1: {type: 'counter'}};
+      sinon.stub(bigQueryConnector, 'createTableIfNotExists').usingPromise(Promise).resolves();
     });
 
-    it('should save the measure if the probe is watched', () => {
-      const extractMeasureDataStub = sinon.stub().returns({some: 'data'});
-      return BigQueryConnector.__with__({
-        extractMeasureData: extractMeasureDataStub,
-        getTableForProbe: () => { return 'some_probe'; }
-      })(() => {
-        insertStub.resolves();
-        bigQueryConnector.bigQuery = new BigQueryMock();
-        bigQueryConnector.context = context;
-        bigQueryConnector.saveMeasure({probeName: 'some_probe'});
-        should(extractMeasureDataStub.called).eql(true);
-        should(insertStub.called).eql(true);
-        insertStub = sinon.stub();
+    it('should apply the stored probe changes when the plugin starts', () => {
+      repository.search.resolves({total: 3, hits: [
+        {_id: 'probe_1', configuration: null},
+        {_id: 'probe_2', configuration: {type: 'counter', tableName: 'other_table'}},
+        {_id: 'probe_3', configuration: {type: 'countr'}}
+      ]});
+
+      return bigQueryConnector.init(config, bigQueryConnector.context)
+        .then(() => {
+          should(bigQueryConnector.context.accessors.storage.bootstrap.firstCall.args[0]).have.key('probes');
+          should(bigQueryConnector.context.constructors.Repository.calledWith('probes')).eql(true);
+          should(bigQueryConnector.probes).eql({probe_2: {type: 'counter', tableName: 'other_table'}});
+          should(bigQueryConnector.createTableIfNotExists.calledOnce).eql(true);
+          should(bigQueryConnector.createTableIfNotExists.calledWith({type: 'counter', tableName: 'other_table'}, 'probe_2')).eql(true);
+          should(bigQueryConnector.context.log.error.firstCall.args[0])
+            .eql('Ignoring the stored configuration of probe probe_3: probe_3.type must be one of: monitor, counter, watcher, sampler');
+        });
+    });
+
+    it('should add a probe once its table is created and its configuration stored', () => {
+      const
+        probe = {type: 'counter', tableName: 'new_table'},
+        previous = bigQueryConnector.probes;
+
+      return bigQueryConnector.addProbe(request('probe_2', probe))
+        .then(result => {
+          should(result).eql({probeName: 'probe_2', configuration: probe});
+          should(bigQueryConnector.createTableIfNotExists.firstCall.args).eql([probe, 'probe_2', {probe_1: {type: 'counter'}, probe_2: probe}]);
+          should(repository.createOrReplace.calledWith({_id: 'probe_2', configuration: probe})).eql(true);
+          should(bigQueryConnector.createTableIfNotExists.calledBefore(repository.createOrReplace)).eql(true);
+          should(bigQueryConnector.probes).eql({probe_1: {type: 'counter'}, probe_2: probe});
+          // the probes are swapped, not modified in place
+          should(previous).eql({probe_1: {type: 'counter'}});
+
+          bigQueryConnector.saveMeasure({probeName: 'probe_2', data: {count: 1}});
+          should(bigQueryConnector.buffers.new_table.length).eql(1);
+        });
+    });
+
+    it('should reject invalid changes, without applying them', () => {
+      return should(bigQueryConnector.addProbe(request(undefined, {type: 'counter'}))).be.rejectedWith('kdc-bigquery-connector: Missing argument "probeName"')
+        .then(() => should(bigQueryConnector.addProbe(request('probe_1', {type: 'counter'}))).be.rejectedWith('kdc-bigquery-connector: Probe "probe_1" already exists'))
+        .then(() => should(bigQueryConnector.updateProbe(request('foo', {type: 'counter'}))).be.rejectedWith('kdc-bigquery-connector: Unknown probe "foo"'))
+        .then(() => should(bigQueryConnector.removeProbe(request('foo'))).be.rejectedWith('kdc-bigquery-connector: Unknown probe "foo"'))
+        .then(() => should(bigQueryConnector.addProbe(request('probe_2', {type: 'monitor', tableNam: 'foo'}))).be.rejectedWith([
+          'kdc-bigquery-connector: Invalid probe configuration (2 errors):',
+          '  - probe_2.tableNam is not a known option (did you mean "tableName"?)',
+          '  - probe_2.hooks is mandatory for monitor probes'
+        ].join('\n')))
+        .then(() => {
+          should(bigQueryConnector.createTableIfNotExists.called).eql(false);
+          should(repository.createOrReplace.called).eql(false);
+          should(bigQueryConnector.probes).eql({probe_1: {type: 'counter'}});
+        });
+    });
+
+    it('should keep the current configuration if the table cannot be created', () => {
+      bigQueryConnector.createTableIfNotExists.rejects(new Error('schema drift'));
+
+      return should(bigQueryConnector.updateProbe(request('probe_1', {type: 'counter', tableName: 'other'}))).be.rejectedWith('schema drift')
+        .then(() => {
+          should(repository.createOrReplace.called).eql(false);
+          should(bigQueryConnector.probes).eql({probe_1: {type: 'counter'}});
+        });
+    });
+
+    it('should close the aggregate windows of an updated probe with its previous configuration', () => {
+      bigQueryConnector.probes = {probe_1: {type: 'counter', aggregate: {window: 60000}}};
+      bigQueryConnector.saveMeasure({probeName: 'probe_1', data: {count: 2}});
+
+      return bigQueryConnector.updateProbe(request('probe_1', {type: 'counter', tableName: 'other_table'}))
+        .then(() => {
+          should(bigQueryConnector.windows.probe_1).eql({});
+          should(bigQueryConnector.buffers.probe_1.rows[0].row).have.properties(['count', 'window_start', 'window_end']);
+
+          bigQueryConnector.saveMeasure({probeName: 'probe_1', data: {count: 3}});
+          should(bigQueryConnector.buffers.other_table.rows[0].row).not.have.property('window_start');
+        });
+    });
+
+    it('should store the removal of a probe, and keep its buffered rows', () => {
+      bigQueryConnector.saveMeasure({probeName: 'probe_1', data: {count: 2}});
+
+      return bigQueryConnector.removeProbe(request('probe_1'))
+        .then(result => {
+          should(result).eql({probeName: 'probe_1'});
+          should(repository.createOrReplace.calledWith({_id: 'probe_1', configuration: null})).eql(true);
+          should(bigQueryConnector.probes).eql({});
+
+          bigQueryConnector.saveMeasure({probeName: 'probe_1', data: {count: 3}});
+          should(bigQueryConnector.buffers.probe_1.length).eql(1);
+        });
+    });
+
+    it('should warn that the events no probe listens to yet are captured once Kuzzle restarts', () => {
+      bigQueryConnector.hooks = {'core:overload': 'captureEvent'};
+
+      return bigQueryConnector.addProbe(request('probe_2', {type: 'counter', source: 'events', events: ['core:overload', 'document:afterCreate']}))
+        .then(() => {
+          should(bigQueryConnector.context.log.warn.firstCall.args[0])
+            .eql('Probe probe_2: the events document:afterCreate are not listened to yet, they are captured once Kuzzle restarts');
+        });
+    });
+
+    it('should create the lazy tables of a removed probe with the configuration its rows were built with', () => {
+      createTableStub = sinon.stub().usingPromise(Promise).resolves();
+      insertStub = sinon.stub().usingPromise(Promise).resolves();
+      bigQueryConnector.bigQuery = new BigQueryMock();
+      bigQueryConnector.probes = {some_watcher: {type: 'watcher', tableName: 'w_{YYYYMMDD}', inferSchema: true}};
+      bigQueryConnector.saveMeasure({probeName: 'some_watcher', timestamp: Date.UTC(2018, 2, 14), data: {content: {a: 1}}});
+
+      return bigQueryConnector.removeProbe(request('some_watcher'))
+        .then(() => bigQueryConnector.flush())
+        .then(() => {
+          should(createTableStub.firstCall.args[0]).eql('w_20180314');
+          should(createTableStub.firstCall.args[1].schema.fields).eql([{name: 'a', type: 'INTEGER', mode: 'NULLABLE'}]);
+          should(insertStub.calledOnce).eql(true);
+        });
+    });
+
+    it('should apply the changes one at a time', () => {
+      const creations = [];
+
+      bigQueryConnector.createTableIfNotExists.callsFake(probe => {
+        creations.push(probe.tableName);
+        return Promise.delay(probe.tableName === 'first' ? 20 : 0);
       });
+
+      return Promise.all([
+        bigQueryConnector.addProbe(request('probe_2', {type: 'counter', tableName: 'first'})),
+        should(bigQueryConnector.addProbe(request('probe_2', {type: 'counter', tableName: 'second'}))).be.rejectedWith(/already exists/)
+      ])
+        .then(() => {
+          should(creations).eql(['first']);
+          should(bigQueryConnector.probes.probe_2.tableName).eql('first');
+        });
+    });
+  });
+
+  describe('#buildInsertId', () => {
+    const buildInsertId = BigQueryConnector.__get__('buildInsertId');
+
+    it('should build the same insertId for the same row of the same measure', () => {
+      const
+        measure = {probeName: 'some_probe', data: {content: [{a: 1}, {a: 2}]}},
+        insertId = buildInsertId(measure, {}, 1521040166535000, {a: 1}, 0);
+
+      should(insertId).match(/^[0-9a-f]{64}$/);
+      should(buildInsertId(JSON.parse(JSON.stringify(measure)), {}, 1521040166535000, {a: 1}, 0)).eql(insertId);
+      should(buildInsertId(measure, {}, 1521040166535000, {a: 2}, 1)).not.eql(insertId);
+      should(buildInsertId(measure, {}, 1521040166536000, {a: 1}, 0)).not.eql(insertId);
+      should(buildInsertId(Object.assign({}, measure, {probeName: 'other_probe'}), {}, 1521040166535000, {a: 1}, 0)).not.eql(insertId);
+    });
+
+    it('should use the identifier of the measure if it has one', () => {
+      const time = 1521040166535000;
+
+      should(buildInsertId({probeName: 'p', _id: 'foo', data: {a: 1}}, {}, time, {a: 1}, 0))
+        .eql(buildInsertId({probeName: 'p', _id: 'foo', data: {a: 2}}, {}, time, {a: 2}, 0));
+    });
+
+    it('should only use the key fields of the row if the probe has some', () => {
+      const probe = {insertIdFields: ['id', 'version']};
+
+      should(buildInsertId({probeName: 'p', data: {}}, probe, 1, {id: 'foo', version: 1, a: 1}, 0))
+        .eql(buildInsertId({probeName: 'p', data: {other: true}}, probe, 2, {id: 'foo', version: 1, a: 2}, 3));
+      should(buildInsertId({probeName: 'p', data: {}}, probe, 1, {id: 'foo', version: 2}, 0))
+        .not.eql(buildInsertId({probeName: 'p', data: {}}, probe, 1, {id: 'foo', version: 1}, 0));
     });
   });
 
@@ -246,6 +2155,93 @@ describe('BigQueryConnector', () => {
       })).eql([]);
     });
 
+    it('should add the timestamp column to the provided schema without modifying it', () => {
+      const probe = {
+        type: 'sampler',
+        timestamp: true,
+        schema: {fields: [{name: 'a', type: 'INTEGER', mode: 'NULLABLE'}]}
+      };
+
+      should(getSchemaForProbe(probe, 'measured_at')).eql({
+        fields: [
+          {name: 'a', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'measured_at', type: 'TIMESTAMP', mode: 'REQUIRED'}
+        ]
+      });
+      should(probe.schema.fields.length).eql(1);
+    });
+
+    it('should use the configured timestamp column in generated schemas', () => {
+      should(getSchemaForProbe({type: 'counter'}, 'measured_at').fields[1])
+        .eql({name: 'measured_at', type: 'TIMESTAMP', mode: 'REQUIRED'});
+    });
+
+    it('should add the insertId column of the probe', () => {
+      should(getSchemaForProbe({type: 'counter', insertIdColumn: 'insert_id'})).eql({
+        fields: [
+          {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+          {name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED'},
+          {name: 'insert_id', type: 'STRING', mode: 'NULLABLE'}
+        ]
+      });
+    });
+
+    it('should add the window columns of aggregated probes', () => {
+      should(getSchemaForProbe({type: 'counter', aggregate: {window: 60000, columns: {count: 'avg'}, windowEndColumn: 'until'}})).eql({
+        fields: [
+          {name: 'count', type: 'FLOAT', mode: 'REQUIRED'},
+          {name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED'},
+          {name: 'window_start', type: 'TIMESTAMP', mode: 'NULLABLE'},
+          {name: 'until', type: 'TIMESTAMP', mode: 'NULLABLE'}
+        ]
+      });
+    });
+
+    it('should apply the probe transforms to the schema', () => {
+      should(getSchemaForProbe({type: 'counter', transform: {rename: {count: 'total'}, drop: ['timestamp']}}))
+        .eql({fields: [{name: 'total', type: 'INTEGER', mode: 'REQUIRED'}]});
+    });
+
+    it('should flatten the provided schema if the probe flatten mode is "path"', () => {
+      should(getSchemaForProbe({
+        flatten: 'path',
+        schema: {
+          fields: [{name: 'user', type: 'RECORD', mode: 'NULLABLE', fields: [{name: 'id', type: 'STRING', mode: 'NULLABLE'}]}]
+        }
+      })).eql({
+        fields: [{name: 'user_id', type: 'STRING', mode: 'NULLABLE'}]
+      });
+    });
+
+    it('should return null if the schema must be inferred from the first measure', () => {
+      should(getSchemaForProbe({type: 'watcher', inferSchema: true})).be.null();
+    });
+
+    it('should infer the schema from the sample document', () => {
+      should(getSchemaForProbe({
+        type: 'watcher',
+        inferSchema: true,
+        timestamp: true,
+        flatten: 'record',
+        sample: {
+          name: 'foo',
+          score: 4.2,
+          active: true,
+          createdAt: '2018-03-14T15:09:26.535Z',
+          user: {id: 42}
+        }
+      })).eql({
+        fields: [
+          {name: 'name', type: 'STRING', mode: 'NULLABLE'},
+          {name: 'score', type: 'FLOAT', mode: 'NULLABLE'},
+          {name: 'active', type: 'BOOLEAN', mode: 'NULLABLE'},
+          {name: 'createdAt', type: 'TIMESTAMP', mode: 'NULLABLE'},
+          {name: 'user', type: 'RECORD', mode: 'NULLABLE', fields: [{name: 'id', type: 'INTEGER', mode: 'NULLABLE'}]},
+          {name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED'}
+        ]
+      });
+    });
+
     it('should throw if the probe has no type nor schema', () => {
       should(() => { getSchemaForProbe({}); })
         .throw(/Type field is mandatory in probes that do not provide schema/);
@@ -344,10 +2340,10 @@ describe('BigQueryConnector', () => {
         normalizeMeasureData: normalizeMeasureDataStub,
       })(() => {
         extractMeasureData({
-          content: [ 'firstMeasure', 'secondMeasure' ]
+          content: [ {first: 'measure'}, {second: 'measure'} ]
         });
-        should(normalizeMeasureDataStub.calledWith('firstMeasure')).eql(true);
-        should(normalizeMeasureDataStub.calledWith('secondMeasure')).eql(true);
+        should(normalizeMeasureDataStub.calledWith({first: 'measure'})).eql(true);
+        should(normalizeMeasureDataStub.calledWith({second: 'measure'})).eql(true);
       });
     });
 
@@ -365,6 +2361,32 @@ describe('BigQueryConnector', () => {
         should(normalizeMeasureDataStub.calledWith(theMeasure)).eql(true);
       });
     });
+
+    it('should keep the attribute paths if the probe flatten mode is "path"', () => {
+      const onCollision = sinon.stub();
+
+      should(extractMeasureData(
+        {content: {user: {id: 1}, device: {id: 2}, 'user:id': 3}},
+        {flatten: 'path'},
+        onCollision
+      )).eql([{user_id: 1, device_id: 2}]);
+      should(onCollision.calledWith('user_id')).eql(true);
+    });
+
+    it('should keep nested objects if the probe flatten mode is "record"', () => {
+      should(extractMeasureData(
+        {content: [{user: {'first:name': 'foo'}, tags: ['a']}]},
+        {flatten: 'record'}
+      )).eql([{user: {first_name: 'foo'}, tags: ['a']}]);
+    });
+
+    it('should always return an array of rows', () => {
+      should(extractMeasureData({count: 42})).eql([{count: 42}]);
+      should(extractMeasureData({content: {'some:field': 'value'}})).eql([{some_field: 'value'}]);
+      should(extractMeasureData({content: [{a: 1}, {a: 2}]})).eql([{a: 1}, {a: 2}]);
+      should(extractMeasureData({content: ['foo']})).eql([{value: 'foo'}]);
+      should(extractMeasureData({content: []})).eql([]);
+    });
   });
 
   describe('#normalizeMeasureData', () => {
@@ -0,0 +1,147 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  Promise = require('bluebird'),
+  Backfill = require('../lib/backfill');
+
+describe('Backfill', () => {
+  const options = {
+    probeName: 'some_probe',
+    from: 1521040000000000,
+    to: 1521050000000000,
+    index: 'measures',
+    collection: 'some_probe',
+    timestampField: 'timestamp',
+    pageSize: 2,
+    timestampColumn: 'measured_at',
+    precision: 'seconds',
+    request: {}
+  };
+  let
+    connector,
+    pages,
+    query;
+
+  beforeEach(() => {
+    pages = [
+      {
+        total: 3,
+        scrollId: 'some_scroll',
+        hits: [
+          {_id: 'a', _source: {count: 1, timestamp: 1521040100000}},
+          {_id: 'b', _source: {count: 2, timestamp: 1521040200000}}
+        ]
+      },
+      {total: 3, scrollId: 'some_scroll', hits: [{_id: 'c', _source: {count: 3}}]}
+    ];
+    query = sinon.stub().usingPromise(Promise).resolves([[{id: '1521040100000000'}]]);
+    connector = {
+      context: {
+        log: {info: sinon.stub(), error: sinon.stub()},
+        accessors: {
+          execute: sinon.spy(() => Promise.resolve({result: pages.shift()}))
+        },
+        constructors: {
+          Request: function RequestMock(origin, data) {
+            this.data = data;
+          }
+        }
+      },
+      batch: {maxBatchSize: 500},
+      buildRows: sinon.spy(measure => ({
+        some_table: [{probeName: 'some_probe', row: {count: measure.data.count, measured_at: measure.timestamp / 1000}, insertId: `id_${measure.data.count}`}]
+      })),
+      processBatch: sinon.stub().usingPromise(Promise).resolves(),
+      parseTableId: tableName => ({projectId: 'project', dataSet: 'dataset', tableName}),
+      getClient: sinon.stub().returns({query})
+    };
+  });
+
+  it('should page through the stored measures and send the missing ones', () => {
+    const backfill = new Backfill(connector, options);
+
+    return backfill.run()
+      .then(progress => {
+        const requests = connector.context.accessors.execute.args.map(args => args[0].data);
+
+        should(requests[0]).match({
+          controller: 'document',
+          action: 'search',
+          index: 'measures',
+          collection: 'some_probe',
+          size: 2,
+          body: {query: {range: {timestamp: {gte: 1521040000000, lte: 1521050000000}}}}
+        });
+        should(requests[1]).match({controller: 'document', action: 'scroll', scrollId: 'some_scroll'});
+
+        should(query.calledOnce).eql(true);
+        should(query.firstCall.args[0].query).match(/SELECT DISTINCT UNIX_MICROS\(`measured_at`\) AS id FROM `project.dataset.some_table`/);
+        should(query.firstCall.args[0].params).eql({from: 1521039999000000, to: 1521050001000000});
+
+        should(connector.processBatch.calledOnce).eql(true);
+        should(connector.processBatch.firstCall.args).eql(['some_table', [{probeName: 'some_probe', row: {count: 2, measured_at: 1521040200}, insertId: 'id_2'}]]);
+
+        should(progress).match({status: 'done', total: 3, processed: 3, skipped: 2, rows: 1, error: null});
+        should(progress.endedAt).be.a.String();
+      });
+  });
+
+  it('should look for the rows already present by insertId if the tables hold them', () => {
+    // a row of the same second as a present one, but with another insertId
+    pages[0].hits[1]._source.timestamp = 1521040100500;
+    query.resolves([[{id: 'id_1'}]]);
+
+    return new Backfill(connector, Object.assign({}, options, {keyColumn: 'insert_id'})).run()
+      .then(progress => {
+        should(query.firstCall.args[0].query).match(/SELECT DISTINCT `insert_id` AS id FROM `project.dataset.some_table` WHERE `measured_at` BETWEEN/);
+        should(connector.processBatch.firstCall.args[1].map(entry => entry.insertId)).eql(['id_2']);
+        should(progress).match({processed: 3, skipped: 2, rows: 1});
+      });
+  });
+
+  it('should consider that missing tables hold no row', () => {
+    query = sinon.stub().usingPromise(Promise).rejects(Object.assign(new Error('Not found'), {code: 404}));
+    connector.getClient.returns({query});
+
+    return new Backfill(connector, options).run()
+      .then(progress => {
+        should(connector.processBatch.firstCall.args[1].length).eql(2);
+        should(progress).match({processed: 3, skipped: 1, rows: 2});
+      });
+  });
+
+  it('should report failures', () => {
+    const backfill = new Backfill(connector, options);
+
+    query = sinon.stub().usingPromise(Promise).rejects(new Error('Access denied'));
+    connector.getClient.returns({query});
+
+    return should(backfill.run()).be.rejectedWith('Access denied')
+      .then(() => {
+        should(backfill.progress).match({status: 'failed', error: 'Access denied'});
+        should(connector.context.log.error.calledOnce).eql(true);
+      });
+  });
+});
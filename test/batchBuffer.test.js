@@ -0,0 +1,125 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  Promise = require('bluebird'),
+  BatchBuffer = require('../lib/batchBuffer');
+
+describe('BatchBuffer', () => {
+  let
+    clock,
+    onFlush,
+    buffer;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    onFlush = sinon.stub().returns(Promise.resolve());
+    buffer = new BatchBuffer(onFlush, {maxBatchSize: 3, flushInterval: 1000});
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('#push', () => {
+    it('should accept a single row or an array of rows', () => {
+      buffer.push({a: 1});
+      buffer.push([{a: 2}]);
+      should(buffer.length).eql(2);
+      should(onFlush.called).eql(false);
+    });
+
+    it('should flush the buffer when it is full', () => {
+      return buffer.push([{a: 1}, {a: 2}, {a: 3}])
+        .then(() => {
+          should(onFlush.calledOnce).eql(true);
+          should(onFlush.firstCall.args[0]).eql([{a: 1}, {a: 2}, {a: 3}]);
+          should(buffer.length).eql(0);
+        });
+    });
+
+    it('should flush the buffer once the flush interval has elapsed', () => {
+      buffer.push({a: 1});
+      clock.tick(999);
+      should(onFlush.called).eql(false);
+      clock.tick(1);
+      should(onFlush.calledWith([{a: 1}])).eql(true);
+    });
+
+    it('should report the failures of the flushes triggered by the timer', () => {
+      return new Promise(resolve => {
+        buffer = new BatchBuffer(() => {
+          throw new Error('boom');
+        }, {maxBatchSize: 3, flushInterval: 1000, onError: resolve});
+
+        buffer.push({a: 1});
+        clock.tick(1000);
+      })
+        .then(error => {
+          should(error.message).eql('boom');
+        });
+    });
+  });
+
+  describe('#flush', () => {
+    it('should split the rows in batches of maxBatchSize rows', () => {
+      buffer.rows = [{a: 1}, {a: 2}, {a: 3}, {a: 4}];
+
+      return buffer.flush()
+        .then(() => {
+          should(onFlush.calledTwice).eql(true);
+          should(onFlush.firstCall.args[0]).eql([{a: 1}, {a: 2}, {a: 3}]);
+          should(onFlush.secondCall.args[0]).eql([{a: 4}]);
+        });
+    });
+
+    it('should cancel the pending timer', () => {
+      buffer.push({a: 1});
+
+      return buffer.flush()
+        .then(() => {
+          clock.tick(1000);
+          should(onFlush.calledOnce).eql(true);
+        });
+    });
+
+    it('should do nothing if the buffer is empty', () => {
+      return buffer.flush()
+        .then(() => {
+          should(onFlush.called).eql(false);
+        });
+    });
+  });
+
+  describe('#clear', () => {
+    it('should empty the buffer without flushing it', () => {
+      buffer.push([{a: 1}, {a: 2}]);
+
+      should(buffer.clear()).eql([{a: 1}, {a: 2}]);
+      should(buffer.length).eql(0);
+      clock.tick(1000);
+      should(onFlush.called).eql(false);
+    });
+  });
+});
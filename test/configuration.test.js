@@ -0,0 +1,161 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  configuration = require('../lib/configuration');
+
+describe('configuration', () => {
+  const validConfig = {
+    projectId: 'some-project',
+    credentials: {client_email: 'foo@bar.iam.gserviceaccount.com'},
+    dataSet: 'some_dataset',
+    maxBatchSize: 100,
+    retry: {retries: 0, factor: 1.5},
+    spool: {path: '/tmp/spool.ndjson', rejectedPath: '/tmp/rejected.ndjson', replayOnInit: true},
+    probes: {
+      some_counter: {type: 'counter', partitioning: {type: 'DAY', field: 'timestamp'}, clustering: ['count']},
+      some_monitor: {type: 'monitor', hooks: ['some:hook'], aggregate: {window: 60000, columns: {some_hook: 'sum'}}},
+      some_watcher: {
+        type: 'watcher',
+        schema: {
+          fields: [
+            {name: 'a', type: 'STRING', mode: 'NULLABLE'},
+            {name: 'b', type: 'RECORD', mode: 'REPEATED', fields: [{name: 'c', type: 'INTEGER'}]}
+          ]
+        },
+        transform: {rename: {a: 'alpha'}},
+        filter: [{field: 'a', exists: true}]
+      },
+      some_sampler: {type: 'sampler', inferSchema: true, routes: [{tableName: 'samples_{tenant}'}]}
+    }
+  };
+
+  describe('#validateConfig', () => {
+    it('should accept a valid configuration', () => {
+      should(configuration.validateConfig(validConfig)).eql([]);
+    });
+
+    it('should report type errors with the path of the key', () => {
+      should(configuration.validateConfig(Object.assign({}, validConfig, {
+        projectId: 42,
+        flushInterval: '1s',
+        retry: {retries: 1.5},
+        probes: {
+          some_probe: 'counter',
+          other_probe: {type: 'monitor', hooks: [], schema: {fields: {}}}
+        }
+      }))).eql([
+        'projectId must be a string',
+        'retry.retries must be an integer',
+        'probes.some_probe must be an object',
+        'probes.other_probe.hooks must have at least 1 item',
+        'probes.other_probe.schema.fields must be an array',
+        'flushInterval must be a number'
+      ]);
+    });
+
+    it('should report a configuration that is not an object', () => {
+      should(configuration.validateConfig(null)).eql(['The configuration must be an object']);
+    });
+
+    it('should check the nested fields of record fields', () => {
+      const probes = {
+        some_watcher: {
+          type: 'watcher',
+          schema: {fields: [{name: 'a', type: 'RECORD', fields: [{type: 'STRING', nmae: 'b'}]}]}
+        }
+      };
+
+      should(configuration.validateConfig(Object.assign({}, validConfig, {probes}))).eql([
+        'probes.some_watcher.schema.fields[0].fields[0].name is mandatory',
+        'probes.some_watcher.schema.fields[0].fields[0].nmae is not a known option (did you mean "name"?)'
+      ]);
+    });
+
+    it('should check the probes whose source is Kuzzle events', () => {
+      const probes = {
+        some_watcher: {type: 'watcher', inferSchema: true, source: 'events', events: ['document:afterCreate'], index: 'foo', collections: ['bar']},
+        some_monitor: {type: 'monitor', source: 'events', hooks: ['core:overload'], events: ['core:overload']},
+        some_counter: {type: 'counter', source: 'events', collections: ['bar']},
+        other_counter: {type: 'counter', events: ['document:afterCreate'], index: 'foo'},
+        other_watcher: {type: 'watcher', inferSchema: true, source: 'kuzzle'}
+      };
+
+      should(configuration.validateConfig(Object.assign({}, validConfig, {probes}))).eql([
+        'probes.some_monitor.events is not used by monitor probes: the events they listen to are their hooks',
+        'probes.some_counter.events is mandatory for probes whose source is "events"',
+        'probes.some_counter.collections requires index',
+        'probes.other_counter.events is only available for probes whose source is "events"',
+        'probes.other_counter.index is only available for probes whose source is "events"',
+        'probes.other_watcher.source must be one of: probe, events'
+      ]);
+    });
+
+    it('should check the sink settings', () => {
+      const localConfig = Object.assign({}, validConfig);
+
+      delete localConfig.projectId;
+
+      should(configuration.validateConfig(Object.assign({}, validConfig, {sink: 'file', sinkDirectory: '/tmp/sink'}))).eql([]);
+      should(configuration.validateConfig(Object.assign({}, localConfig, {sink: 'dry-run'}))).eql([]);
+      should(configuration.validateConfig(Object.assign({}, localConfig, {sink: 'bigquery'}))).eql(['projectId is mandatory for the "bigquery" sink']);
+      should(configuration.validateConfig(Object.assign({}, validConfig, {sink: 'files', sinkDirectory: '/tmp/sink'}))).eql([
+        'sink must be one of: bigquery, dry-run, file',
+        'sinkDirectory is only used by the "file" sink'
+      ]);
+    });
+
+    it('should accept one or several probe plugin names', () => {
+      should(configuration.validateConfig(Object.assign({}, validConfig, {probePluginName: 'some-probe'}))).eql([]);
+      should(configuration.validateConfig(Object.assign({}, validConfig, {probePluginName: ['some-probe', 'other-probe']}))).eql([]);
+      should(configuration.validateConfig(Object.assign({}, validConfig, {probePluginName: ['some-probe', 42]})))
+        .eql(['probePluginName[1] must be a string']);
+      should(configuration.validateConfig(Object.assign({}, validConfig, {probePluginName: {}})))
+        .eql(['probePluginName must be a string or an array']);
+    });
+  });
+
+  describe('#validateProbeConfig', () => {
+    it('should report the errors of a probe, prefixed with its name', () => {
+      should(configuration.validateProbeConfig('some_probe', validConfig.probes.some_watcher)).eql([]);
+      should(configuration.validateProbeConfig('some_probe', {type: 'monitor', tableName: 42})).eql([
+        'some_probe.tableName must be a string',
+        'some_probe.hooks is mandatory for monitor probes'
+      ]);
+      should(configuration.validateProbeConfig('some_probe', 'counter')).eql(['some_probe must be an object']);
+    });
+  });
+
+  describe('#suggest', () => {
+    it('should return the closest candidate', () => {
+      should(configuration.suggest('table_name', ['tableName', 'dataSet'])).eql('tableName');
+      should(configuration.suggest('DataSet', ['tableName', 'dataSet'])).eql('dataSet');
+      should(configuration.suggest('flushInterval2', ['flushInterval', 'maxBatchSize'])).eql('flushInterval');
+    });
+
+    it('should return null if no candidate is close enough', () => {
+      should(configuration.suggest('foo', ['tableName', 'dataSet'])).be.null();
+      should(configuration.suggest('foo', [])).be.null();
+    });
+  });
+});
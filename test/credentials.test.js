@@ -0,0 +1,100 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  credentials = require('../lib/credentials');
+
+describe('credentials', () => {
+  const
+    key = {client_email: 'foo@bar.iam.gserviceaccount.com', private_key: 'super-secret-key'},
+    keyFilename = path.join(os.tmpdir(), `kdc-bigquery-credentials-test-${process.pid}.json`);
+
+  afterEach(() => {
+    if (fs.existsSync(keyFilename)) {
+      fs.unlinkSync(keyFilename);
+    }
+  });
+
+  describe('#resolveCredentials', () => {
+    it('should prefer the inline credentials', () => {
+      should(credentials.resolveCredentials({credentials: key, credentialsEnv: 'KEY'}, {KEY: '{}'}))
+        .eql({type: 'inline', credentials: key});
+    });
+
+    it('should read the key file', () => {
+      fs.writeFileSync(keyFilename, JSON.stringify(key));
+
+      should(credentials.resolveCredentials({keyFilename}, {}))
+        .eql({type: 'keyFilename', keyFilename, credentials: key});
+    });
+
+    it('should read the key from an environment variable', () => {
+      should(credentials.resolveCredentials({credentialsEnv: 'KEY'}, {KEY: JSON.stringify(key)}))
+        .eql({type: 'environment', variable: 'KEY', credentials: key});
+      should(() => credentials.resolveCredentials({credentialsEnv: 'KEY'}, {}))
+        .throw('The environment variable KEY is not set');
+    });
+
+    it('should fall back to the Application Default Credentials', () => {
+      should(credentials.resolveCredentials({}, {})).eql({type: 'default'});
+    });
+
+    it('should never disclose the content of an invalid key', () => {
+      const invalid = [
+        '{"private_key": "super-secret-key"',
+        '{"private_key": "super-secret-key"}',
+        'super-secret-key'
+      ];
+
+      for (const content of invalid) {
+        try {
+          credentials.resolveCredentials({credentialsEnv: 'KEY'}, {KEY: content});
+          should.fail('an error should have been thrown');
+        }
+        catch (error) {
+          should(error.message).startWith('The environment variable KEY does not hold');
+          should(error.message).not.match(/super-secret-key/);
+        }
+      }
+    });
+
+    it('should report a missing key file', () => {
+      should(() => credentials.resolveCredentials({keyFilename}, {}))
+        .throw(`Unable to read the key file ${keyFilename}: ENOENT`);
+    });
+  });
+
+  describe('#describeCredentials', () => {
+    it('should only mention the service account and where the key comes from', () => {
+      should(credentials.describeCredentials({type: 'inline', credentials: key}))
+        .eql('the service account foo@bar.iam.gserviceaccount.com');
+      should(credentials.describeCredentials({type: 'environment', variable: 'KEY', credentials: key}))
+        .eql('the service account foo@bar.iam.gserviceaccount.com, from the environment variable KEY');
+      should(credentials.describeCredentials({type: 'default'}))
+        .eql('the Application Default Credentials');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  kuzzleEvents = require('../lib/events');
+
+describe('events', () => {
+  const request = (index, collection, result, body) => ({
+    id: 'request-id',
+    input: {resource: {index, collection, _id: 'input-id'}, body},
+    result
+  });
+
+  describe('#listEvents', () => {
+    it('should list the events of the probes whose source is "events"', () => {
+      should(kuzzleEvents.listEvents({
+        some_monitor: {type: 'monitor', source: 'events', hooks: ['core:overload', 'document:afterCreate']},
+        some_watcher: {type: 'watcher', source: 'events', events: ['document:afterCreate', 'document:afterUpdate']},
+        some_counter: {type: 'counter', events: ['document:afterDelete']},
+        other_monitor: {type: 'monitor', hooks: ['server:afterNow']}
+      })).eql(['core:overload', 'document:afterCreate', 'document:afterUpdate']);
+    });
+  });
+
+  describe('#buildEventMeasure', () => {
+    it('should count the event for monitors and counters', () => {
+      should(kuzzleEvents.buildEventMeasure('some_monitor', {type: 'monitor'}, 'core:overload', 42))
+        .match({probeName: 'some_monitor', timestamp: Number, data: {'core:overload': 1}});
+      should(kuzzleEvents.buildEventMeasure('some_counter', {type: 'counter'}, 'core:overload', 42))
+        .match({probeName: 'some_counter', data: {count: 1}});
+    });
+
+    it('should build the documents of watchers and samplers from the request', () => {
+      const
+        probe = {type: 'watcher'},
+        created = kuzzleEvents.buildEventMeasure('some_watcher', probe, 'document:afterCreate', request('foo', 'bar', {_id: 'doc', _source: {a: 1}}, {a: 0, b: 2})),
+        created2 = kuzzleEvents.buildEventMeasure('some_watcher', probe, 'document:afterMCreate', request('foo', 'bar', {hits: [{_id: 'doc1', _source: {a: 1}}, {_id: 'doc2', _source: {a: 2}}]}));
+
+      should(created.id).eql('document:afterCreate:request-id');
+      should(created.data).eql({content: {_id: 'doc', a: 1, b: 2}});
+      should(created2.data).eql({content: [{_id: 'doc1', a: 1}, {_id: 'doc2', a: 2}]});
+      should(kuzzleEvents.buildEventMeasure('some_watcher', probe, 'document:afterDelete', request('foo', 'bar')).data)
+        .eql({content: {_id: 'input-id'}});
+    });
+
+    it('should use the payload of other events', () => {
+      should(kuzzleEvents.buildEventMeasure('some_watcher', {type: 'watcher'}, 'core:overload', 0).data).eql({content: {value: 0}});
+      should(kuzzleEvents.buildEventMeasure('some_watcher', {type: 'watcher'}, 'some:event', {a: 1}).data).eql({content: {a: 1}});
+    });
+
+    it('should give every event a distinct identifier', () => {
+      const
+        first = kuzzleEvents.buildEventMeasure('some_counter', {type: 'counter'}, 'core:overload', 42),
+        second = kuzzleEvents.buildEventMeasure('some_counter', {type: 'counter'}, 'core:overload', 42);
+
+      should(first.id).not.eql(second.id);
+    });
+
+    it('should ignore the requests on other indexes and collections', () => {
+      const probe = {type: 'counter', index: 'foo', collections: ['bar', 'baz']};
+
+      should(kuzzleEvents.buildEventMeasure('some_counter', probe, 'document:afterCreate', request('foo', 'baz', {}))).not.be.null();
+      should(kuzzleEvents.buildEventMeasure('some_counter', probe, 'document:afterCreate', request('foo', 'qux', {}))).be.null();
+      should(kuzzleEvents.buildEventMeasure('some_counter', probe, 'document:afterCreate', request('other', 'bar', {}))).be.null();
+      should(kuzzleEvents.buildEventMeasure('some_counter', probe, 'core:overload', 42)).be.null();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  flatten = require('../lib/flatten');
+
+describe('flatten', () => {
+  const normalize = name => name.replace(/[^A-Za-z0-9_]/g, '_');
+
+  describe('#flattenPaths', () => {
+    it('should keep the path of nested attributes', () => {
+      should(flatten.flattenPaths({
+        user: {id: 'u1', 'first-name': 'foo'},
+        device: {id: 'd1', os: {name: 'linux'}},
+        count: 42
+      }, normalize)).eql({
+        user_id: 'u1',
+        user_first_name: 'foo',
+        device_id: 'd1',
+        device_os_name: 'linux',
+        count: 42
+      });
+    });
+
+    it('should keep arrays of scalar values and JSON-encode the others', () => {
+      should(flatten.flattenPaths({
+        tags: ['a', null, 'b'],
+        items: [{id: 1}, {id: 2}],
+        matrix: [[1, 2]]
+      }, normalize)).eql({
+        tags: ['a', 'b'],
+        items: '[{"id":1},{"id":2}]',
+        matrix: '[[1,2]]'
+      });
+    });
+
+    it('should report collisions and keep the first value', () => {
+      const onCollision = sinon.stub();
+
+      should(flatten.flattenPaths({
+        user_id: 1,
+        user: {id: 2},
+        'USER:ID': 3
+      }, normalize, onCollision)).eql({user_id: 1});
+      should(onCollision.calledTwice).eql(true);
+      should(onCollision.firstCall.args[0]).eql('user_id');
+      should(onCollision.secondCall.args[0]).eql('USER_ID');
+    });
+  });
+
+  describe('#toRecord', () => {
+    it('should keep nested objects and arrays, normalizing attribute names', () => {
+      const date = new Date();
+
+      should(flatten.toRecord({
+        'some:user': {'first-name': 'foo', 'date': date},
+        tags: ['a', null],
+        items: [{'item:id': 1}],
+        matrix: [[1, 2]]
+      }, normalize)).eql({
+        some_user: {first_name: 'foo', date},
+        tags: ['a'],
+        items: [{item_id: 1}],
+        matrix: ['[1,2]']
+      });
+    });
+
+    it('should report collisions', () => {
+      const onCollision = sinon.stub();
+
+      should(flatten.toRecord({'a:b': 1, 'a-b': 2}, normalize, onCollision)).eql({a_b: 1});
+      should(onCollision.calledWith('a_b')).eql(true);
+    });
+  });
+
+  describe('#flattenSchema', () => {
+    it('should flatten records into prefixed fields', () => {
+      should(flatten.flattenSchema({
+        fields: [
+          {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+          {
+            name: 'user',
+            type: 'RECORD',
+            mode: 'REQUIRED',
+            fields: [
+              {name: 'id', type: 'STRING', mode: 'REQUIRED'},
+              {
+                name: 'address',
+                type: 'RECORD',
+                fields: [{name: 'city', type: 'STRING', mode: 'REQUIRED'}]
+              }
+            ]
+          },
+          {name: 'items', type: 'RECORD', mode: 'REPEATED', fields: [{name: 'id', type: 'INTEGER'}]},
+          {name: 'tags', type: 'STRING', mode: 'REPEATED'}
+        ]
+      })).eql({
+        fields: [
+          {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+          {name: 'user_id', type: 'STRING', mode: 'REQUIRED'},
+          {name: 'user_address_city', type: 'STRING', mode: 'NULLABLE'},
+          {name: 'items', type: 'STRING', mode: 'NULLABLE'},
+          {name: 'tags', type: 'STRING', mode: 'REPEATED'}
+        ]
+      });
+    });
+  });
+});
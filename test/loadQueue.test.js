@@ -0,0 +1,243 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  should = require('should'),
+  sinon = require('sinon'),
+  Promise = require('bluebird'),
+  LoadQueue = require('../lib/loadQueue');
+
+describe('LoadQueue', () => {
+  let
+    directory,
+    load,
+    onJobEnd,
+    queue;
+
+  beforeEach(() => {
+    directory = path.join(os.tmpdir(), `kdc-bigquery-load-test-${process.pid}-${Date.now()}`);
+    load = sinon.stub().usingPromise(Promise).resolves('job_1');
+    onJobEnd = sinon.stub();
+    queue = new LoadQueue(directory, {maxFileSize: 1000, maxFileAge: 60000, retries: 1}, load, onJobEnd);
+  });
+
+  afterEach(() => {
+    Object.keys(queue.files).forEach(tableName => clearTimeout(queue.files[tableName].timer));
+
+    if (fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+      fs.rmdirSync(directory);
+    }
+  });
+
+  function readRows(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => JSON.parse(line));
+  }
+
+  describe('#write', () => {
+    it('should append the rows to one file per table', () => {
+      return queue.write('dataset.some_table', [{probeName: 'probe_1', row: {a: 1}}, {probeName: 'probe_1', row: {a: 2}}])
+        .then(() => queue.write('other_table', [{probeName: 'probe_2', row: {b: 1}}]))
+        .then(() => queue.write('dataset.some_table', [{probeName: 'probe_2', row: {a: 3}}]))
+        .then(() => {
+          const file = queue.files['dataset.some_table'];
+
+          should(path.dirname(file.path)).eql(directory);
+          should(path.basename(file.path)).match(/^dataset\.some_table\.\d+-0\.ndjson$/);
+          should(readRows(file.path)).eql([{a: 1}, {a: 2}, {a: 3}]);
+          should(file.probes).eql({probe_1: 2, probe_2: 1});
+          should(readRows(queue.files.other_table.path)).eql([{b: 1}]);
+          should(load.called).eql(false);
+        });
+    });
+
+    it('should load the file of a table once it is big enough', () => {
+      const row = {text: 'x'.repeat(600)};
+
+      return queue.write('some_table', [{probeName: 'probe_1', row}])
+        .then(() => {
+          should(load.called).eql(false);
+          return queue.write('some_table', [{probeName: 'probe_1', row}]);
+        })
+        .then(() => queue.loads)
+        .then(() => {
+          should(load.calledOnce).eql(true);
+          should(load.firstCall.args[0]).eql('some_table');
+          should(queue.files.some_table).be.undefined();
+          should(fs.existsSync(load.firstCall.args[1])).eql(false);
+        });
+    });
+
+    it('should load the file of a table once it is old enough', () => {
+      const clock = sinon.useFakeTimers();
+
+      return queue.write('some_table', [{probeName: 'probe_1', row: {a: 1}}])
+        .then(() => {
+          clock.tick(60000);
+          clock.restore();
+          return queue.pending;
+        })
+        .then(() => queue.loads)
+        .then(() => {
+          should(load.calledOnce).eql(true);
+          should(queue.files.some_table).be.undefined();
+        })
+        .finally(() => clock.restore());
+    });
+
+    it('should keep writing after a failed write', () => {
+      // a file in place of the directory makes the write fail
+      fs.writeFileSync(directory, '');
+
+      return queue.write('some_table', [{probeName: 'probe_1', row: {a: 1}}])
+        .then(() => should.fail('the write should have failed'))
+        .catch(error => {
+          should(error.code).eql('ENOTDIR');
+          fs.unlinkSync(directory);
+          clearTimeout(queue.files.some_table.timer);
+          delete queue.files.some_table;
+
+          return queue.write('some_table', [{probeName: 'probe_1', row: {a: 2}}]);
+        })
+        .then(() => {
+          should(readRows(queue.files.some_table.path)).eql([{a: 2}]);
+        });
+    });
+  });
+
+  describe('#flush', () => {
+    it('should load every file and track the jobs', () => {
+      return queue.write('some_table', [{probeName: 'probe_1', row: {a: 1}}, {probeName: 'probe_2', row: {a: 2}}])
+        .then(() => queue.write('other_table', [{probeName: 'probe_1', row: {b: 1}}]))
+        .then(() => queue.flush())
+        .then(() => {
+          const jobs = queue.getJobs();
+
+          should(load.calledTwice).eql(true);
+          should(jobs.length).eql(2);
+          should(jobs[0]).match({table: 'some_table', rows: 2, probes: {probe_1: 1, probe_2: 1}, status: 'done', attempts: 1, jobId: 'job_1', error: null});
+          should(jobs[1]).match({table: 'other_table', rows: 1, status: 'done'});
+          should(onJobEnd.calledTwice).eql(true);
+          should(fs.readdirSync(directory)).eql([]);
+        });
+    });
+
+    it('should resolve if there is nothing to load', () => {
+      return queue.flush()
+        .then(() => {
+          should(load.called).eql(false);
+        });
+    });
+  });
+
+  describe('#loadFile', () => {
+    it('should retry a failed load', () => {
+      load = sinon.stub().usingPromise(Promise);
+      load.onFirstCall().rejects(new Error('oops'));
+      load.onSecondCall().resolves('job_2');
+      queue.load = load;
+
+      return queue.write('some_table', [{probeName: 'probe_1', row: {a: 1}}])
+        .then(() => queue.flush())
+        .then(() => {
+          should(load.calledTwice).eql(true);
+          should(queue.getJobs()[0]).match({status: 'done', attempts: 2, jobId: 'job_2'});
+        });
+    });
+
+    it('should keep the file of a job failing for good', () => {
+      queue.load = sinon.stub().usingPromise(Promise).rejects(new Error('invalid row'));
+
+      return queue.write('some_table', [{probeName: 'probe_1', row: {a: 1}}])
+        .then(() => queue.flush())
+        .then(() => {
+          const job = queue.getJobs()[0];
+
+          should(queue.load.calledTwice).eql(true);
+          should(job).match({status: 'failed', attempts: 2, error: 'invalid row'});
+          should(job.file).match(/\.ndjson\.failed$/);
+          should(readRows(job.file)).eql([{a: 1}]);
+          should(onJobEnd.calledWith(job)).eql(true);
+        });
+    });
+  });
+
+  describe('#rotate', () => {
+    it('should load the files that could not be loaded again', () => {
+      queue.load = sinon.stub().usingPromise(Promise).rejects(new Error('backend error'));
+
+      return queue.write('some_table', [{probeName: 'probe_1', row: {a: 1}}])
+        .then(() => queue.flush())
+        .then(() => {
+          const failed = queue.getJobs()[0].file;
+
+          should(queue.failed).eql({[failed]: 'some_table'});
+          queue.load = load;
+
+          return queue.write('other_table', [{probeName: 'probe_1', row: {b: 1}}])
+            .then(() => queue.rotate('other_table'))
+            .then(() => queue.loads)
+            .then(() => {
+              should(load.calledTwice).eql(true);
+              should(load.calledWith('some_table', failed)).eql(true);
+              should(fs.existsSync(failed)).eql(false);
+              should(queue.failed).eql({});
+            });
+        });
+    });
+  });
+
+  describe('#recover', () => {
+    it('should load the files left in the directory, failed ones included', () => {
+      fs.mkdirSync(directory);
+      fs.writeFileSync(path.join(directory, 'dataset.some_table.1500000000000-0.ndjson'), '{"a":1}\n');
+      fs.writeFileSync(path.join(directory, 'other%24table.1500000000000-1.ndjson.failed'), '{"b":1}\n');
+      fs.writeFileSync(path.join(directory, 'unrelated.txt'), 'foo');
+
+      return queue.recover()
+        .then(count => {
+          should(count).eql(2);
+          return queue.loads;
+        })
+        .then(() => {
+          const tables = load.args.map(args => args[0]).sort();
+
+          should(tables).eql(['dataset.some_table', 'other$table']);
+          should(queue.getJobs()[0]).match({rows: null, probes: {}, status: 'done'});
+          should(fs.readdirSync(directory)).eql(['unrelated.txt']);
+        });
+    });
+
+    it('should resolve if the directory does not exist', () => {
+      return queue.recover()
+        .then(count => {
+          should(count).eql(0);
+        });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  sinon = require('sinon'),
+  LocalClient = require('../lib/localClient');
+
+describe('LocalClient', () => {
+  const
+    directory = path.join(os.tmpdir(), `kdc-bigquery-sink-test-${process.pid}`),
+    options = {schema: {fields: [{name: 'count', type: 'INTEGER', mode: 'REQUIRED'}]}},
+    cleanDirectory = () => {
+      if (fs.existsSync(directory)) {
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+      }
+    };
+  let log;
+
+  beforeEach(() => {
+    log = {info: sinon.stub()};
+  });
+
+  describe('dry-run', () => {
+    let client;
+
+    beforeEach(() => {
+      client = new LocalClient('project', {sink: 'dry-run', log});
+    });
+
+    it('should keep the tables in memory', () => {
+      const table = client.dataset('dataset').table('table');
+
+      return table.exists()
+        .then(exists => {
+          should(exists).eql([false]);
+          return should(table.getMetadata()).be.rejectedWith({code: 404, message: 'Not found: Table project:dataset.table'});
+        })
+        .then(() => client.dataset('dataset').createTable('table', options))
+        .then(() => table.exists())
+        .then(exists => {
+          should(exists).eql([true]);
+          return should(client.dataset('dataset').createTable('table', options)).be.rejectedWith({code: 409});
+        })
+        .then(() => table.setMetadata({schema: {fields: []}}))
+        .then(() => table.getMetadata())
+        .then(data => {
+          should(data[0]).eql({schema: {fields: []}});
+          return table.delete();
+        })
+        .then(() => table.exists())
+        .then(exists => {
+          should(exists).eql([false]);
+        });
+    });
+
+    it('should log the valid rows, and report the other ones with a partial failure', () => {
+      const table = client.dataset('dataset').table('table');
+
+      return client.dataset('dataset').createTable('table', options)
+        .then(() => table.insert([{insertId: 'a', json: {count: 1}}, {insertId: 'b', json: {count: 'foo'}}], {raw: true}))
+        .then(() => should.fail('the insert should have failed'), error => {
+          should(error.name).eql('PartialFailureError');
+          should(error.response.insertErrors).eql([{index: 1, errors: [{reason: 'invalid', location: 'count', message: 'Cannot convert value to INTEGER'}]}]);
+          should(error.errors[0].row).eql({insertId: 'b', json: {count: 'foo'}});
+          should(log.info.args.map(args => args[0])).eql([
+            '[dry-run] 1 rows would be inserted in table project:dataset.table',
+            '[dry-run] project:dataset.table {"count":1}'
+          ]);
+        });
+    });
+
+    it('should find no row when queried', () => {
+      return client.query({query: 'SELECT 1'})
+        .then(data => {
+          should(data).eql([[]]);
+        });
+    });
+  });
+
+  describe('file', () => {
+    const
+      rowsFile = path.join(directory, 'project.dataset.table.ndjson'),
+      schemaFile = path.join(directory, 'project.dataset.table.schema.json'),
+      loadFile = path.join(os.tmpdir(), `kdc-bigquery-sink-load-test-${process.pid}.ndjson`);
+    let client;
+
+    beforeEach(() => {
+      cleanDirectory();
+      client = new LocalClient('project', {sink: 'file', directory, log});
+    });
+
+    afterEach(() => {
+      cleanDirectory();
+
+      if (fs.existsSync(loadFile)) {
+        fs.unlinkSync(loadFile);
+      }
+    });
+
+    it('should write the table schema and the valid rows to the directory', () => {
+      return client.dataset('dataset').createTable('table', options)
+        .then(() => client.dataset('dataset').table('table').insert([{count: 1}, {count: 2}]))
+        .then(() => {
+          should(JSON.parse(fs.readFileSync(schemaFile, 'utf8'))).eql(options);
+          should(fs.readFileSync(rowsFile, 'utf8')).eql('{"count":1}\n{"count":2}\n');
+
+          // tables are found again by other clients
+          return new LocalClient('project', {sink: 'file', directory, log}).dataset('dataset').table('table').getMetadata();
+        })
+        .then(data => {
+          should(data[0]).eql(options);
+          return client.dataset('dataset').table('table').delete();
+        })
+        .then(() => {
+          should(fs.existsSync(schemaFile)).eql(false);
+          should(fs.existsSync(rowsFile)).eql(false);
+        });
+    });
+
+    it('should load files, and fail the whole job if a row is invalid', () => {
+      const table = client.dataset('dataset').table('table');
+
+      fs.writeFileSync(loadFile, '{"count":1}\n{"count":2}\n');
+
+      return client.dataset('dataset').createTable('table', options)
+        .then(() => table.import(loadFile, {sourceFormat: 'NEWLINE_DELIMITED_JSON'}))
+        .then(data => data[0].promise())
+        .then(() => {
+          should(fs.readFileSync(rowsFile, 'utf8')).eql('{"count":1}\n{"count":2}\n');
+          fs.writeFileSync(loadFile, '{"count":3}\n{"other":4}\n');
+
+          return table.import(loadFile);
+        })
+        .then(data => should(data[0].promise()).be.rejectedWith(/failed: row 2: other: no such field, count: Missing required field$/))
+        .then(() => {
+          should(fs.readFileSync(rowsFile, 'utf8')).eql('{"count":1}\n{"count":2}\n');
+        });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  LRU = require('../lib/lru');
+
+describe('LRU', () => {
+  it('should cache values', () => {
+    const cache = new LRU(2);
+
+    cache.set('a', 1);
+    should(cache.has('a')).be.true();
+    should(cache.get('a')).eql(1);
+    should(cache.get('b')).be.undefined();
+
+    cache.delete('a');
+    should(cache.has('a')).be.false();
+    should(cache.size).eql(0);
+  });
+
+  it('should iterate over the cached entries', () => {
+    const
+      cache = new LRU(2),
+      entries = [];
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.forEach((value, key) => entries.push([key, value]));
+
+    should(entries).eql([['a', 1], ['b', 2]]);
+  });
+
+  it('should evict the least recently used entries', () => {
+    const cache = new LRU(2);
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    should(cache.size).eql(2);
+    should(cache.has('a')).be.true();
+    should(cache.has('b')).be.false();
+    should(cache.has('c')).be.true();
+  });
+});
@@ -0,0 +1,79 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  metrics = require('../lib/metrics');
+
+describe('metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new metrics.Registry();
+  });
+
+  it('should render counters', () => {
+    const counter = registry.counter('some_total', 'Some counter', ['probe']);
+
+    counter.inc({probe: 'a'});
+    counter.inc({probe: 'a'}, 2);
+    counter.inc({probe: 'b "quoted"\n'});
+
+    should(registry.render()).eql([
+      '# HELP some_total Some counter',
+      '# TYPE some_total counter',
+      'some_total{probe="a"} 3',
+      'some_total{probe="b \\"quoted\\"\\n"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render gauges', () => {
+    const gauge = registry.gauge('some_gauge', 'Some gauge');
+
+    gauge.set({}, 4);
+    gauge.set({}, 2);
+    should(registry.render()).eql('# HELP some_gauge Some gauge\n# TYPE some_gauge gauge\nsome_gauge 2\n');
+
+    gauge.reset();
+    should(registry.render()).eql('# HELP some_gauge Some gauge\n# TYPE some_gauge gauge\n');
+  });
+
+  it('should render histograms with cumulative buckets', () => {
+    const histogram = registry.histogram('some_seconds', 'Some histogram', ['table'], [1, 0.5]);
+
+    histogram.observe({table: 't'}, 0.2);
+    histogram.observe({table: 't'}, 0.7);
+    histogram.observe({table: 't'}, 3);
+
+    should(registry.render()).eql([
+      '# HELP some_seconds Some histogram',
+      '# TYPE some_seconds histogram',
+      'some_seconds_bucket{table="t",le="0.5"} 1',
+      'some_seconds_bucket{table="t",le="1"} 2',
+      'some_seconds_bucket{table="t",le="+Inf"} 3',
+      'some_seconds_sum{table="t"} 3.9',
+      'some_seconds_count{table="t"} 3',
+      ''
+    ].join('\n'));
+  });
+});
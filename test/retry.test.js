@@ -0,0 +1,121 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  Promise = require('bluebird'),
+  retry = require('../lib/retry');
+
+describe('retry', () => {
+  const
+    noDelay = {retries: 3, minDelay: 0, maxDelay: 0},
+    transientError = Object.assign(new Error('rate limited'), {code: 429});
+
+  describe('#retryWithBackoff', () => {
+    it('should resolve with the result of the first successful attempt', () => {
+      const fn = sinon.stub().returns(Promise.resolve('done'));
+
+      return retry.retryWithBackoff(fn, noDelay)
+        .then(result => {
+          should(result).eql('done');
+          should(fn.calledOnce).eql(true);
+          should(fn.calledWith(0)).eql(true);
+        });
+    });
+
+    it('should retry transient errors until it succeeds', () => {
+      const fn = sinon.stub();
+      fn.onFirstCall().returns(Promise.reject(transientError));
+      fn.onSecondCall().returns(Promise.resolve('done'));
+
+      return retry.retryWithBackoff(fn, noDelay)
+        .then(result => {
+          should(result).eql('done');
+          should(fn.calledTwice).eql(true);
+          should(fn.secondCall.args[0]).eql(1);
+        });
+    });
+
+    it('should give up after the configured number of retries', () => {
+      const fn = sinon.stub().returns(Promise.reject(transientError));
+
+      return should(retry.retryWithBackoff(fn, noDelay)).be.rejectedWith(transientError)
+        .then(() => {
+          should(fn.callCount).eql(4);
+        });
+    });
+
+    it('should not retry non-transient errors', () => {
+      const fn = sinon.stub().returns(Promise.reject(new Error('invalid')));
+
+      return should(retry.retryWithBackoff(fn, noDelay)).be.rejectedWith('invalid')
+        .then(() => {
+          should(fn.calledOnce).eql(true);
+        });
+    });
+
+    it('should use the provided retry predicate', () => {
+      const fn = sinon.stub().returns(Promise.reject(new Error('invalid')));
+
+      return should(retry.retryWithBackoff(fn, noDelay, () => true)).be.rejected()
+        .then(() => {
+          should(fn.callCount).eql(4);
+        });
+    });
+  });
+
+  describe('#computeDelay', () => {
+    const settings = {minDelay: 100, maxDelay: 1000, factor: 2};
+
+    afterEach(() => {
+      Math.random.restore && Math.random.restore();
+    });
+
+    it('should grow exponentially and be capped by maxDelay', () => {
+      sinon.stub(Math, 'random').returns(1);
+      should(retry.computeDelay(0, settings)).eql(100);
+      should(retry.computeDelay(2, settings)).eql(400);
+      should(retry.computeDelay(10, settings)).eql(1000);
+    });
+
+    it('should randomize the delay', () => {
+      sinon.stub(Math, 'random').returns(0.5);
+      should(retry.computeDelay(1, settings)).eql(100);
+    });
+  });
+
+  describe('#isTransientError', () => {
+    it('should detect transient HTTP and network errors', () => {
+      should(retry.isTransientError({code: 503})).eql(true);
+      should(retry.isTransientError({code: 'ECONNRESET'})).eql(true);
+      should(retry.isTransientError({errors: [{reason: 'backendError'}]})).eql(true);
+    });
+
+    it('should not consider other errors as transient', () => {
+      should(retry.isTransientError({code: 400})).eql(false);
+      should(retry.isTransientError({errors: [{reason: 'invalid'}]})).eql(false);
+      should(retry.isTransientError({name: 'PartialFailureError', code: 503})).eql(false);
+      should(retry.isTransientError(undefined)).eql(false);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  rules = require('../lib/rules');
+
+describe('rules', () => {
+  describe('#matchesConditions', () => {
+    const row = {status: 'active', tenant: 'acme', count: 42, empty: null};
+
+    it('should match rows without conditions', () => {
+      should(rules.matchesConditions(row)).be.true();
+      should(rules.matchesConditions(row, [])).be.true();
+    });
+
+    it('should test the equality and membership of a field', () => {
+      should(rules.matchesConditions(row, [{field: 'status', equals: 'active'}])).be.true();
+      should(rules.matchesConditions(row, [{field: 'status', equals: 'inactive'}])).be.false();
+      should(rules.matchesConditions(row, [{field: 'tenant', in: ['acme', 'globex']}])).be.true();
+      should(rules.matchesConditions(row, [{field: 'tenant', in: ['globex']}])).be.false();
+    });
+
+    it('should test the range of a field', () => {
+      should(rules.matchesConditions(row, [{field: 'count', gte: 42, lt: 100}])).be.true();
+      should(rules.matchesConditions(row, [{field: 'count', gt: 42}])).be.false();
+      should(rules.matchesConditions(row, [{field: 'count', lte: 10}])).be.false();
+      should(rules.matchesConditions(row, [{field: 'missing', lt: 10}])).be.false();
+    });
+
+    it('should test the existence of a field', () => {
+      should(rules.matchesConditions(row, [{field: 'count', exists: true}])).be.true();
+      should(rules.matchesConditions(row, [{field: 'empty', exists: true}])).be.false();
+      should(rules.matchesConditions(row, [{field: 'missing', exists: false}])).be.true();
+    });
+
+    it('should require every condition to match', () => {
+      should(rules.matchesConditions(row, [{field: 'status', equals: 'active'}, {field: 'count', gt: 50}])).be.false();
+    });
+  });
+
+  describe('#findRoute', () => {
+    const routes = [
+      {when: [{field: 'region', equals: 'eu'}], tableName: 'events_eu'},
+      {tableName: 'events_{tenant}'}
+    ];
+
+    it('should return the first matching route', () => {
+      should(rules.findRoute({region: 'eu'}, routes)).equal(routes[0]);
+      should(rules.findRoute({region: 'us'}, routes)).equal(routes[1]);
+    });
+
+    it('should return null if no route matches', () => {
+      should(rules.findRoute({region: 'us'}, routes.slice(0, 1))).be.null();
+      should(rules.findRoute({region: 'us'})).be.null();
+    });
+  });
+
+  describe('#validateRules', () => {
+    it('should accept valid filters and routes', () => {
+      should(rules.validateRules({
+        filter: [{field: 'a', in: [1, 2]}, {field: 'b', exists: true, gt: 0}],
+        routes: [{when: [{field: 'c', equals: 'd'}], tableName: 'foo'}, {tableName: 'bar_{c}'}]
+      })).eql([]);
+      should(rules.validateRules({})).eql([]);
+    });
+
+    it('should report invalid conditions', () => {
+      should(rules.validateRules({
+        filter: [{field: 'a'}, {field: 'b', like: 'c'}, {field: 'c', in: 'd'}, {field: 'd', exists: 'yes'}, {}]
+      })).eql([
+        'filter[0] must have at least one operator among: equals, in, gt, gte, lt, lte, exists',
+        'filter[1].like is not a valid operator (expected one of: equals, in, gt, gte, lt, lte, exists)',
+        'filter[2].in must be an array',
+        'filter[3].exists must be a boolean',
+        'filter[4].field must be a string'
+      ]);
+      should(rules.validateRules({filter: {field: 'a'}})).eql(['filter must be an array of conditions']);
+    });
+
+    it('should report invalid routes', () => {
+      should(rules.validateRules({routes: {}})).eql(['routes must be an array']);
+      should(rules.validateRules({routes: [{when: [{field: 'a'}]}]})).eql([
+        'routes[0].tableName must be a non-empty string',
+        'routes[0].when[0] must have at least one operator among: equals, in, gt, gte, lt, lte, exists'
+      ]);
+    });
+  });
+});
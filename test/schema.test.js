@@ -0,0 +1,196 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  schema = require('../lib/schema');
+
+describe('schema', () => {
+  describe('#inferType', () => {
+    it('should infer BigQuery types from values', () => {
+      should(schema.inferType(true)).eql('BOOLEAN');
+      should(schema.inferType(42)).eql('INTEGER');
+      should(schema.inferType(4.2)).eql('FLOAT');
+      should(schema.inferType('foo')).eql('STRING');
+      should(schema.inferType('2018-03-14T15:09:26.535Z')).eql('TIMESTAMP');
+      should(schema.inferType(new Date())).eql('TIMESTAMP');
+      should(schema.inferType({foo: 'bar'})).eql('RECORD');
+      should(schema.inferType([1, 2.5])).eql('FLOAT');
+    });
+
+    it('should return null if the type cannot be inferred', () => {
+      should(schema.inferType(null)).be.null();
+      should(schema.inferType(undefined)).be.null();
+      should(schema.inferType([])).be.null();
+    });
+  });
+
+  describe('#widenType', () => {
+    it('should widen conflicting types', () => {
+      should(schema.widenType('INTEGER', 'INTEGER')).eql('INTEGER');
+      should(schema.widenType('INTEGER', 'FLOAT')).eql('FLOAT');
+      should(schema.widenType('BOOLEAN', 'INTEGER')).eql('STRING');
+      should(schema.widenType(null, 'BOOLEAN')).eql('BOOLEAN');
+      should(schema.widenType('BOOLEAN', null)).eql('BOOLEAN');
+    });
+  });
+
+  describe('#inferField', () => {
+    it('should infer repeated and record fields', () => {
+      should(schema.inferField('tags', ['a', 'b'])).eql({name: 'tags', type: 'STRING', mode: 'REPEATED'});
+      should(schema.inferField('user', {id: 1})).eql({
+        name: 'user',
+        type: 'RECORD',
+        mode: 'NULLABLE',
+        fields: [{name: 'id', type: 'INTEGER', mode: 'NULLABLE'}]
+      });
+    });
+  });
+
+  describe('#inferFields', () => {
+    it('should merge the fields of every document', () => {
+      should(schema.inferFields([
+        {a: 1, b: null, c: {d: true}},
+        {a: 1.5, b: 'foo', c: {e: 'bar'}}
+      ])).eql([
+        {name: 'a', type: 'FLOAT', mode: 'NULLABLE'},
+        {
+          name: 'c',
+          type: 'RECORD',
+          mode: 'NULLABLE',
+          fields: [
+            {name: 'd', type: 'BOOLEAN', mode: 'NULLABLE'},
+            {name: 'e', type: 'STRING', mode: 'NULLABLE'}
+          ]
+        },
+        {name: 'b', type: 'STRING', mode: 'NULLABLE'}
+      ]);
+    });
+  });
+
+  describe('#evolveSchema', () => {
+    const current = {
+      fields: [
+        {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+        {name: 'user', type: 'RECORD', mode: 'NULLABLE', fields: [{name: 'id', type: 'STRING', mode: 'NULLABLE'}]}
+      ]
+    };
+
+    it('should add the missing fields as nullable columns', () => {
+      should(schema.evolveSchema(current, [{count: 1, foo: 'bar', user: {id: 'a', age: 42}}])).eql({
+        schema: {
+          fields: [
+            {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+            {
+              name: 'user',
+              type: 'RECORD',
+              mode: 'NULLABLE',
+              fields: [
+                {name: 'id', type: 'STRING', mode: 'NULLABLE'},
+                {name: 'age', type: 'INTEGER', mode: 'NULLABLE'}
+              ]
+            },
+            {name: 'foo', type: 'STRING', mode: 'NULLABLE'}
+          ]
+        },
+        added: ['foo', 'user.age']
+      });
+    });
+
+    it('should never modify existing columns', () => {
+      const result = schema.evolveSchema(current, [{COUNT: 'not a number', user: 'not a record'}]);
+
+      should(result.added).eql([]);
+      should(result.schema).eql(current);
+    });
+
+    it('should not modify the given schema', () => {
+      schema.evolveSchema(current, [{user: {age: 42}}]);
+      should(current.fields[1].fields.length).eql(1);
+    });
+  });
+
+  describe('#diffSchemas', () => {
+    it('should report missing, added and changed columns, recursing into records', () => {
+      should(schema.diffSchemas(
+        {
+          fields: [
+            {name: 'a', type: 'INTEGER', mode: 'REQUIRED'},
+            {name: 'b', type: 'STRING'},
+            {name: 'c', type: 'RECORD', fields: [{name: 'd', type: 'BOOLEAN'}, {name: 'e', type: 'FLOAT'}]}
+          ]
+        },
+        {
+          fields: [
+            {name: 'A', type: 'INT64', mode: 'NULLABLE'},
+            {name: 'c', type: 'STRUCT', mode: 'NULLABLE', fields: [{name: 'd', type: 'BOOL', mode: 'NULLABLE'}]},
+            {name: 'f', type: 'STRING', mode: 'NULLABLE'}
+          ]
+        }
+      )).eql({
+        missing: ['b', 'c.e'],
+        added: ['f'],
+        changed: [{path: 'a', expected: 'INTEGER REQUIRED', actual: 'INTEGER NULLABLE'}]
+      });
+    });
+
+    it('should report nothing if the schemas match', () => {
+      should(schema.diffSchemas(
+        {fields: [{name: 'a', type: 'INTEGER', mode: 'REQUIRED'}]},
+        {fields: [{name: 'a', type: 'INTEGER', mode: 'REQUIRED'}]}
+      )).eql({missing: [], added: [], changed: []});
+    });
+  });
+
+  describe('#checkRow', () => {
+    const fields = [
+      {name: 'count', type: 'INTEGER', mode: 'REQUIRED'},
+      {name: 'ratio', type: 'FLOAT64'},
+      {name: 'flag', type: 'BOOLEAN'},
+      {name: 'timestamp', type: 'TIMESTAMP'},
+      {name: 'tags', type: 'STRING', mode: 'REPEATED'},
+      {name: 'user', type: 'RECORD', fields: [{name: 'id', type: 'INTEGER', mode: 'REQUIRED'}]}
+    ];
+
+    it('should accept the values BigQuery can convert', () => {
+      should(schema.checkRow({count: '42', ratio: 0.5, flag: 'true', timestamp: 1520000000.5, tags: ['a', 'b'], user: {id: 1}}, fields)).eql([]);
+      should(schema.checkRow({COUNT: 1, timestamp: '2018-03-14T15:09:26Z', tags: []}, fields)).eql([]);
+    });
+
+    it('should report every invalid value, with its location', () => {
+      should(schema.checkRow({ratio: 'abc', flag: 1, timestamp: 'yesterday', tags: 'a', user: {name: 'foo'}, other: 1}, fields)).eql([
+        {reason: 'invalid', location: 'other', message: 'no such field'},
+        {reason: 'invalid', location: 'count', message: 'Missing required field'},
+        {reason: 'invalid', location: 'ratio', message: 'Cannot convert value to FLOAT'},
+        {reason: 'invalid', location: 'flag', message: 'Cannot convert value to BOOLEAN'},
+        {reason: 'invalid', location: 'timestamp', message: 'Cannot convert value to TIMESTAMP'},
+        {reason: 'invalid', location: 'tags', message: 'Array expected for a repeated field'},
+        {reason: 'invalid', location: 'user.name', message: 'no such field'},
+        {reason: 'invalid', location: 'user.id', message: 'Missing required field'}
+      ]);
+      should(schema.checkRow({count: 1.5, ratio: [1]}, fields)).eql([
+        {reason: 'invalid', location: 'count', message: 'Cannot convert value to INTEGER'},
+        {reason: 'invalid', location: 'ratio', message: 'Array specified for a non-repeated field'}
+      ]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  should = require('should'),
+  sinon = require('sinon'),
+  Promise = require('bluebird'),
+  Spool = require('../lib/spool');
+
+describe('Spool', () => {
+  let
+    spoolPath,
+    spool;
+
+  beforeEach(() => {
+    spoolPath = path.join(os.tmpdir(), `kdc-bigquery-spool-test-${process.pid}-${Date.now()}.ndjson`);
+    spool = new Spool(spoolPath);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(spoolPath)) {
+      fs.unlinkSync(spoolPath);
+    }
+  });
+
+  function readLines() {
+    return fs.readFileSync(spoolPath, 'utf8')
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => JSON.parse(line));
+  }
+
+  describe('#write', () => {
+    it('should append one line per row with the failure reason', () => {
+      return spool.write('some_table', [{a: 1}, {a: 2}], 'oops')
+        .then(() => spool.write('other_table', [{b: 1}], 'meh'))
+        .then(() => {
+          const lines = readLines();
+
+          should(lines.length).eql(3);
+          should(lines[0]).match({table: 'some_table', row: {a: 1}, reason: 'oops'});
+          should(lines[1]).match({table: 'some_table', row: {a: 2}, reason: 'oops'});
+          should(lines[2]).match({table: 'other_table', row: {b: 1}, reason: 'meh'});
+          should(lines[0].date).be.a.String();
+        });
+    });
+
+    it('should keep writing after a failed write', () => {
+      const
+        directory = path.join(os.tmpdir(), `kdc-bigquery-spool-dir-test-${process.pid}`),
+        nested = new Spool(path.join(directory, 'spool.ndjson'));
+
+      return should(nested.write('some_table', [{a: 1}], 'oops')).be.rejectedWith({code: 'ENOENT'})
+        .then(() => {
+          fs.mkdirSync(directory);
+          return nested.write('some_table', [{a: 2}], 'oops');
+        })
+        .then(() => {
+          should(fs.readFileSync(nested.path, 'utf8')).match(/"row":\{"a":2\}/);
+        })
+        .finally(() => {
+          if (fs.existsSync(nested.path)) {
+            fs.unlinkSync(nested.path);
+          }
+          if (fs.existsSync(directory)) {
+            fs.rmdirSync(directory);
+          }
+        });
+    });
+  });
+
+  describe('#replay', () => {
+    it('should resolve if there is nothing to replay', () => {
+      const insert = sinon.stub();
+
+      return spool.replay(insert, 10)
+        .then(result => {
+          should(result).eql({replayed: 0, failed: 0, rejected: 0, skipped: 0});
+          should(insert.called).eql(false);
+        });
+    });
+
+    it('should insert the spooled rows grouped by table and empty the spool', () => {
+      const insert = sinon.stub().returns(Promise.resolve());
+
+      return spool.write('some_table', [{a: 1}, {a: 2}, {a: 3}], 'oops')
+        .then(() => spool.write('other_table', [{b: 1}], 'meh'))
+        .then(() => spool.replay(insert, 2))
+        .then(result => {
+          should(result).eql({replayed: 4, failed: 0, rejected: 0, skipped: 0});
+          should(insert.callCount).eql(3);
+          should(insert.firstCall.args).eql(['some_table', [{a: 1}, {a: 2}], [undefined, undefined]]);
+          should(insert.secondCall.args).eql(['some_table', [{a: 3}], [undefined]]);
+          should(insert.thirdCall.args).eql(['other_table', [{b: 1}], [undefined]]);
+          should(fs.existsSync(spoolPath)).eql(false);
+        });
+    });
+
+    it('should only spool again the rows of a batch failing for a transient reason', () => {
+      const insert = sinon.stub().usingPromise(Promise).resolves({failed: [2], rejected: [1], reason: 'backendError'});
+
+      return spool.write('some_table', [{a: 1}, {a: 'invalid'}, {a: 3}], 'oops', ['id_1', 'id_2', 'id_3'])
+        .then(() => spool.replay(insert, 10))
+        .then(result => {
+          should(result).eql({replayed: 1, failed: 1, rejected: 1, skipped: 0});
+          should(readLines()).match([{table: 'some_table', row: {a: 3}, insertId: 'id_3', reason: 'backendError'}]);
+          should(readLines().length).eql(1);
+        });
+    });
+
+    it('should keep the insertIds of the rows', () => {
+      const insert = sinon.stub().usingPromise(Promise);
+      insert.onFirstCall().rejects(new Error('still failing'));
+
+      return spool.write('some_table', [{a: 1}, {a: 2}], 'oops', ['id_1', 'id_2'])
+        .then(() => spool.replay(insert, 10))
+        .then(() => {
+          should(insert.firstCall.args).eql(['some_table', [{a: 1}, {a: 2}], ['id_1', 'id_2']]);
+          should(readLines().map(line => line.insertId)).eql(['id_1', 'id_2']);
+        });
+    });
+
+    it('should spool the rows failing again', () => {
+      const insert = sinon.stub().usingPromise(Promise);
+      insert.withArgs('some_table').rejects(new Error('still failing'));
+      insert.withArgs('other_table').resolves();
+
+      return spool.write('some_table', [{a: 1}], 'oops')
+        .then(() => spool.write('other_table', [{b: 1}], 'meh'))
+        .then(() => spool.replay(insert, 10))
+        .then(result => {
+          should(result).eql({replayed: 1, failed: 1, rejected: 0, skipped: 0});
+
+          const lines = readLines();
+          should(lines.length).eql(1);
+          should(lines[0]).match({table: 'some_table', row: {a: 1}, reason: 'still failing'});
+        });
+    });
+
+    it('should skip the lines that cannot be parsed', () => {
+      const insert = sinon.stub().returns(Promise.resolve());
+
+      return spool.write('some_table', [{a: 1}], 'oops')
+        .then(() => fs.appendFileSync(spoolPath, '{"table":"some_table","row":{"a":'))
+        .then(() => spool.replay(insert, 10))
+        .then(result => {
+          should(result).eql({replayed: 1, failed: 0, rejected: 0, skipped: 1});
+          should(insert.firstCall.args[1]).eql([{a: 1}]);
+          should(fs.existsSync(spoolPath)).eql(false);
+        });
+    });
+
+    it('should replay the files left by a replay that could not complete', () => {
+      const insert = sinon.stub().returns(Promise.resolve());
+
+      fs.writeFileSync(`${spoolPath}.1.replay`, `${JSON.stringify({table: 'some_table', row: {a: 1}})}\n`);
+
+      return spool.write('some_table', [{a: 2}], 'oops')
+        .then(() => spool.replay(insert, 10))
+        .then(result => {
+          should(result).eql({replayed: 2, failed: 0, rejected: 0, skipped: 0});
+          should(insert.firstCall.args[1]).eql([{a: 1}]);
+          should(insert.secondCall.args[1]).eql([{a: 2}]);
+          should(fs.existsSync(`${spoolPath}.1.replay`)).eql(false);
+        });
+    });
+
+    it('should merge the file back into the spool if its replay fails', () => {
+      const insert = sinon.stub().usingPromise(Promise).rejects(new Error('still failing'));
+
+      return spool.write('some_table', [{a: 1}], 'oops')
+        .then(() => {
+          sinon.stub(spool, 'write').usingPromise(Promise).rejects(new Error('disk full'));
+
+          return should(spool.replay(insert, 10)).be.rejectedWith('disk full');
+        })
+        .then(() => {
+          should(readLines()).match([{table: 'some_table', row: {a: 1}, reason: 'oops'}]);
+          should(fs.readdirSync(path.dirname(spoolPath)).filter(file => file.startsWith(`${path.basename(spoolPath)}.`))).eql([]);
+        });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  Stats = require('../lib/stats');
+
+describe('Stats', () => {
+  let stats;
+
+  beforeEach(() => {
+    stats = new Stats();
+  });
+
+  it('should return empty counters for unknown probes', () => {
+    should(stats.get('some_probe')).eql({});
+  });
+
+  it('should increment counters per probe', () => {
+    stats.increment('some_probe', 'accepted');
+    stats.increment('some_probe', 'accepted', 3);
+    stats.increment('some_probe', 'rejected', 2);
+    stats.increment('other_probe', 'rejected');
+
+    should(stats.get('some_probe')).eql({accepted: 4, rejected: 2});
+    should(stats.get('other_probe')).eql({rejected: 1});
+  });
+
+  it('should record the last success and error per probe', () => {
+    stats.increment('some_probe', 'inserted');
+    stats.recordSuccess('some_probe');
+    stats.recordError('other_probe', 'oops');
+
+    const result = stats.toJSON();
+
+    should(result.some_probe.inserted).eql(1);
+    should(result.some_probe.lastSuccess).be.a.String();
+    should(result.some_probe.lastError).be.null();
+    should(result.other_probe.lastSuccess).be.null();
+    should(result.other_probe.lastError.message).eql('oops');
+    should(result.other_probe.lastError.date).be.a.String();
+  });
+});
@@ -0,0 +1,47 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  tableId = require('../lib/tableId');
+
+describe('tableId', () => {
+  const defaults = {projectId: 'project', dataSet: 'dataset'};
+
+  describe('#formatTableId', () => {
+    it('should only prefix the table name with the dataset and project differing from the default ones', () => {
+      should(tableId.formatTableId({tableName: 'table'}, defaults)).eql('table');
+      should(tableId.formatTableId({projectId: 'project', dataSet: 'dataset', tableName: 'table'}, defaults)).eql('table');
+      should(tableId.formatTableId({dataSet: 'other', tableName: 'table'}, defaults)).eql('other.table');
+      should(tableId.formatTableId({projectId: 'other', tableName: 'table'}, defaults)).eql('other.dataset.table');
+    });
+  });
+
+  describe('#parseTableId', () => {
+    it('should complete the table identifier with the default dataset and project', () => {
+      should(tableId.parseTableId('table', defaults)).eql({projectId: 'project', dataSet: 'dataset', tableName: 'table'});
+      should(tableId.parseTableId('other.table', defaults)).eql({projectId: 'project', dataSet: 'other', tableName: 'table'});
+      should(tableId.parseTableId('example.com:other.ds.table', defaults))
+        .eql({projectId: 'example.com:other', dataSet: 'ds', tableName: 'table'});
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  tableOptions = require('../lib/tableOptions');
+
+describe('tableOptions', () => {
+  describe('#buildTableOptions', () => {
+    it('should only set the schema if the probe has no partitioning nor clustering', () => {
+      should(tableOptions.buildTableOptions({}, {fields: []})).eql({schema: {fields: []}});
+    });
+
+    it('should default to daily ingestion-time partitioning', () => {
+      should(tableOptions.buildTableOptions({partitioning: {}}, {fields: []})).eql({
+        schema: {fields: []},
+        timePartitioning: {type: 'DAY'}
+      });
+    });
+
+    it('should set the partitioning and clustering options', () => {
+      should(tableOptions.buildTableOptions({
+        partitioning: {type: 'HOUR', field: 'timestamp', expirationMs: 3600000, requirePartitionFilter: true},
+        clustering: ['tenant']
+      }, {fields: []})).eql({
+        schema: {fields: []},
+        timePartitioning: {type: 'HOUR', field: 'timestamp', expirationMs: '3600000', requirePartitionFilter: true},
+        clustering: {fields: ['tenant']}
+      });
+    });
+  });
+
+  describe('#diffTableOptions', () => {
+    it('should return no difference if the table matches', () => {
+      should(tableOptions.diffTableOptions(
+        {timePartitioning: {type: 'DAY', field: 'timestamp', expirationMs: '1000'}, clustering: {fields: ['a']}},
+        {timePartitioning: {type: 'DAY', field: 'timestamp', expirationMs: '1000'}, clustering: {fields: ['a']}}
+      )).eql([]);
+    });
+
+    it('should report every difference', () => {
+      should(tableOptions.diffTableOptions(
+        {timePartitioning: {type: 'HOUR', requirePartitionFilter: true}, clustering: {fields: ['a', 'b']}},
+        {timePartitioning: {type: 'DAY', field: 'timestamp', expirationMs: '1000'}}
+      )).eql([
+        'partitioning type: expected HOUR, got DAY',
+        'partitioning field: expected (ingestion time), got timestamp',
+        'partition expiration: expected 0, got 1000',
+        'partition filter requirement: expected true, got false',
+        'clustering fields: expected a, b, got (none)'
+      ]);
+    });
+
+    it('should report unexpected partitioning', () => {
+      should(tableOptions.diffTableOptions({}, {timePartitioning: {type: 'DAY'}}))
+        .eql(['partitioning: expected false, got true']);
+    });
+  });
+
+  describe('#validateTableOptions', () => {
+    it('should accept valid options', () => {
+      should(tableOptions.validateTableOptions({})).eql([]);
+      should(tableOptions.validateTableOptions({
+        partitioning: {type: 'DAY', expirationMs: 1000},
+        clustering: ['a']
+      })).eql([]);
+    });
+
+    it('should report invalid options', () => {
+      should(tableOptions.validateTableOptions({
+        partitioning: {type: 'WEEK', expirationMs: -1},
+        clustering: ['a', 'b', 'c', 'd', 'e']
+      })).eql([
+        'partitioning.type must be one of: DAY, HOUR',
+        'partitioning.expirationMs must be a positive number',
+        'clustering must be an array of at most 4 field names'
+      ]);
+      should(tableOptions.validateTableOptions({clustering: ['a']})).eql(['clustering requires partitioning']);
+    });
+  });
+});
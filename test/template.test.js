@@ -0,0 +1,66 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  template = require('../lib/template');
+
+describe('template', () => {
+  describe('#renderTemplate', () => {
+    it('should replace the placeholders with their values', () => {
+      const values = {first: 'John', last: 'Doe', age: 42, tags: ['a']};
+
+      should(template.renderTemplate('{first} { last } ({age}) {tags}', name => values[name]))
+        .eql('John Doe (42) ["a"]');
+    });
+
+    it('should replace missing values with an empty string', () => {
+      should(template.renderTemplate('a{missing}b{nothing}', name => name === 'nothing' ? null : undefined)).eql('ab');
+    });
+  });
+
+  describe('#getPlaceholders', () => {
+    it('should list the placeholders of a template', () => {
+      should(template.getPlaceholders('events_{YYYYMMDD}_{ tenant }')).eql(['YYYYMMDD', 'tenant']);
+      should(template.getPlaceholders('events')).eql([]);
+    });
+  });
+
+  describe('#isDateFormat', () => {
+    it('should tell whether a placeholder is a date format', () => {
+      should(template.isDateFormat('YYYYMMDD')).be.true();
+      should(template.isDateFormat('YYYY-MM-DD_HH')).be.true();
+      should(template.isDateFormat('YYYYMMDDTHH')).be.false();
+      should(template.isDateFormat('tenant')).be.false();
+    });
+  });
+
+  describe('#formatDate', () => {
+    it('should format a date in UTC', () => {
+      const date = new Date('2018-03-04T05:09:26.535Z');
+
+      should(template.formatDate('YYYYMMDD', date)).eql('20180304');
+      should(template.formatDate('YYYY_MM', date)).eql('2018_03');
+      should(template.formatDate('YYYY-MM-DD-HH', date)).eql('2018-03-04-05');
+    });
+  });
+});
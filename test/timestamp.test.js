@@ -0,0 +1,72 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  timestamp = require('../lib/timestamp');
+
+describe('timestamp', () => {
+  describe('#parseTimestamp', () => {
+    it('should parse epoch milliseconds', () => {
+      should(timestamp.parseTimestamp(1521040166535)).eql(1521040166535000);
+      should(timestamp.parseTimestamp('1521040166535')).eql(1521040166535000);
+    });
+
+    it('should parse dates', () => {
+      should(timestamp.parseTimestamp(new Date(1521040166535))).eql(1521040166535000);
+      should(timestamp.parseTimestamp(new Date('foo'))).be.null();
+    });
+
+    it('should parse ISO 8601 dates, up to the microsecond', () => {
+      should(timestamp.parseTimestamp('2018-03-14T15:09:26Z')).eql(1521040166000000);
+      should(timestamp.parseTimestamp('2018-03-14T15:09:26.5Z')).eql(1521040166500000);
+      should(timestamp.parseTimestamp('2018-03-14T15:09:26.535123Z')).eql(1521040166535123);
+    });
+
+    it('should return null for invalid timestamps', () => {
+      should(timestamp.parseTimestamp(undefined)).be.null();
+      should(timestamp.parseTimestamp('')).be.null();
+      should(timestamp.parseTimestamp('not a date')).be.null();
+      should(timestamp.parseTimestamp(Infinity)).be.null();
+      should(timestamp.parseTimestamp({})).be.null();
+    });
+  });
+
+  describe('#formatTimestamp', () => {
+    const microseconds = 1521040166535123;
+
+    it('should format timestamps to the requested precision', () => {
+      should(timestamp.formatTimestamp(microseconds, 'seconds')).eql(1521040167);
+      should(timestamp.formatTimestamp(microseconds, 'milliseconds')).eql(1521040166.535);
+      should(timestamp.formatTimestamp(microseconds, 'microseconds')).eql('2018-03-14T15:09:26.535123Z');
+      should(timestamp.formatTimestamp(1521040166000007, 'microseconds')).eql('2018-03-14T15:09:26.000007Z');
+    });
+  });
+
+  describe('#roundTimestamp', () => {
+    it('should round timestamps like formatTimestamp', () => {
+      should(timestamp.roundTimestamp(1521040166535123, 'seconds')).eql(1521040167000000);
+      should(timestamp.roundTimestamp(1521040166535123, 'milliseconds')).eql(1521040166535000);
+      should(timestamp.roundTimestamp(1521040166535123, 'microseconds')).eql(1521040166535123);
+    });
+  });
+});
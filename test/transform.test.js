@@ -0,0 +1,137 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  crypto = require('crypto'),
+  should = require('should'),
+  transform = require('../lib/transform');
+
+describe('transform', () => {
+  const options = {timestampPrecision: 'seconds'};
+
+  describe('#applyTransform', () => {
+    it('should add constant and computed fields', () => {
+      should(transform.applyTransform({first_name: 'John', last_name: 'Doe'}, {
+        add: {source: 'kuzzle'},
+        compute: {full_name: '{first_name} {last_name}'}
+      }, options)).eql({first_name: 'John', last_name: 'Doe', source: 'kuzzle', full_name: 'John Doe'});
+    });
+
+    it('should cast values', () => {
+      should(transform.applyTransform({a: '42.7', b: '4.2', c: 42, d: 'true', e: 1521040166535, f: 'foo'}, {
+        cast: {a: 'INTEGER', b: 'FLOAT', c: 'STRING', d: 'BOOLEAN', e: 'TIMESTAMP', f: 'INTEGER', missing: 'INTEGER'}
+      }, options)).eql({a: 42, b: 4.2, c: '42', d: true, e: 1521040167, f: null});
+    });
+
+    it('should hash and redact fields', () => {
+      const expected = crypto.createHash('sha256').update('saltjohn@example.com').digest('hex');
+
+      should(transform.applyTransform({email: 'john@example.com', phone: '555', other: null}, {
+        hash: ['email', 'other'],
+        salt: 'salt',
+        redact: ['phone']
+      }, options)).eql({email: expected, phone: null, other: null});
+    });
+
+    it('should drop and rename fields', () => {
+      should(transform.applyTransform({a: 1, b: 2, c: 3}, {
+        drop: ['a'],
+        rename: {b: 'a', missing: 'foo'}
+      }, options)).eql({a: 2, c: 3});
+    });
+
+    it('should not modify the given row', () => {
+      const row = {a: 1};
+
+      transform.applyTransform(row, {drop: ['a']}, options);
+      should(row).eql({a: 1});
+    });
+  });
+
+  describe('#transformSchema', () => {
+    it('should compute the schema of the transformed rows', () => {
+      should(transform.transformSchema({
+        fields: [
+          {name: 'a', type: 'STRING', mode: 'REQUIRED'},
+          {name: 'b', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'email', type: 'STRING', mode: 'REQUIRED'},
+          {name: 'phone', type: 'INTEGER', mode: 'REQUIRED'},
+          {name: 'c', type: 'STRING', mode: 'NULLABLE'}
+        ]
+      }, {
+        add: {source: 'kuzzle', version: 2},
+        compute: {label: '{a}-{b}'},
+        cast: {a: 'INTEGER'},
+        hash: ['email'],
+        redact: ['phone'],
+        drop: ['c'],
+        rename: {b: 'c'}
+      })).eql({
+        fields: [
+          {name: 'a', type: 'INTEGER', mode: 'REQUIRED'},
+          {name: 'c', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'email', type: 'STRING', mode: 'REQUIRED'},
+          {name: 'phone', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'source', type: 'STRING', mode: 'NULLABLE'},
+          {name: 'version', type: 'INTEGER', mode: 'NULLABLE'},
+          {name: 'label', type: 'STRING', mode: 'NULLABLE'}
+        ]
+      });
+    });
+  });
+
+  describe('#transformFieldName', () => {
+    it('should return the name of the field once transformed', () => {
+      should(transform.transformFieldName('a', undefined)).eql('a');
+      should(transform.transformFieldName('a', {rename: {a: 'b'}})).eql('b');
+      should(transform.transformFieldName('a', {drop: ['a']})).be.null();
+    });
+  });
+
+  describe('#validateTransform', () => {
+    it('should accept valid transforms', () => {
+      should(transform.validateTransform({
+        add: {a: 1},
+        compute: {b: '{a}'},
+        cast: {a: 'STRING'},
+        hash: ['a'],
+        redact: ['b'],
+        drop: ['c'],
+        rename: {a: 'd'}
+      })).eql([]);
+    });
+
+    it('should report invalid transforms', () => {
+      should(transform.validateTransform({
+        add: [],
+        hash: 'email',
+        cast: {a: 'NUMBER'},
+        compute: {b: 42}
+      })).eql([
+        'transform.add must be an object',
+        'transform.hash must be an array of field names',
+        'transform.cast.a must be one of: INTEGER, FLOAT, STRING, BOOLEAN, TIMESTAMP',
+        'transform.compute.b must be a template string'
+      ]);
+    });
+  });
+});